@@ -1,12 +1,5 @@
-const USER_STORAGE_KEY = "icracy.userContext";
 const DRAFT_STORAGE_KEY = "icracy.activeDraftId";
 
-const DEFAULT_USER = {
-  id: "user-human-8821",
-  handle: "human-8821",
-  displayName: "Human Delegate",
-};
-
 const ARCHIVE_PAGE_SIZE = 12;
 const PROFILE_PAGE_SIZE = 5;
 
@@ -84,6 +77,23 @@ function normalizeVote(value) {
   return normalized.startsWith("idi") ? "Idiotic" : "Intelligent";
 }
 
+const CONSENSUS_RULE_LABELS = {
+  majority: "Simple majority",
+  confidence: "Confidence-weighted",
+  calibrated: "Calibration-weighted",
+  rank: "Rank-weighted",
+  supermajority: "Supermajority",
+};
+
+function consensusRuleLabel(rule, threshold) {
+  const label = CONSENSUS_RULE_LABELS[rule] || CONSENSUS_RULE_LABELS.majority;
+  return rule === "supermajority" && threshold ? `${label} (${threshold}%)` : label;
+}
+
+function screeningReasonText(screening) {
+  return (screening?.reasons || []).map((reason) => reason.message).join(" ") || "flagged by content screening.";
+}
+
 function voteBadgeClass(vote) {
   return vote === "Idiotic"
     ? "text-red-300 border-red-500/30 bg-red-500/10"
@@ -104,6 +114,14 @@ function stanceToneClass(stance) {
   return "border-l-slate-500";
 }
 
+function phaseToLabel(phase) {
+  const value = String(phase ?? "").toLowerCase();
+  if (value === "opening") return "Opening";
+  if (value === "rebuttal") return "Rebuttal";
+  if (value === "closing") return "Closing";
+  return "";
+}
+
 function initialsFromName(name) {
   const words = String(name ?? "")
     .split(/\s+/)
@@ -118,49 +136,53 @@ function initialsFromName(name) {
   return words.map((word) => word[0]).join("").toUpperCase();
 }
 
-function loadUserContext() {
-  try {
-    const raw = localStorage.getItem(USER_STORAGE_KEY);
-    if (!raw) {
-      localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(DEFAULT_USER));
-      return { ...DEFAULT_USER };
-    }
-
-    const parsed = JSON.parse(raw);
-    const id = String(parsed?.id || "").trim();
-    const handle = String(parsed?.handle || "").trim();
-    const displayName = String(parsed?.displayName || "").trim();
+let currentUser = null;
 
-    if (!id || !handle || !displayName) {
-      localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(DEFAULT_USER));
-      return { ...DEFAULT_USER };
-    }
+async function loadCurrentUser() {
+  const payload = await safeCall(() => fetchJson("/v1/auth/me"), { user: null });
+  currentUser = payload.user || null;
+  return currentUser;
+}
 
-    return { id, handle, displayName };
-  } catch {
-    localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(DEFAULT_USER));
-    return { ...DEFAULT_USER };
-  }
+function loginUrl() {
+  return `/login?next=${encodeURIComponent(`${window.location.pathname}${window.location.search}`)}`;
 }
 
-const userContext = loadUserContext();
+function renderAuthControls() {
+  document.querySelectorAll("[data-auth-handle]").forEach((node) => {
+    node.textContent = currentUser ? currentUser.handle.toUpperCase() : "GUEST";
+  });
 
-function authHeaders() {
-  return {
-    "x-user-id": userContext.id,
-    "x-user-handle": userContext.handle,
-    "x-user-name": userContext.displayName,
-  };
+  document.querySelectorAll("[data-auth-button]").forEach((button) => {
+    const label = button.querySelector("[data-auth-label]") || button;
+    label.textContent = currentUser ? "Log Out" : "Log In";
+    button.onclick = async () => {
+      if (!currentUser) {
+        window.location.href = loginUrl();
+        return;
+      }
+
+      await safeCall(() => fetchJson("/v1/auth/logout", { method: "POST" }), null);
+      window.location.href = "/";
+    };
+  });
 }
 
 async function fetchJson(url, options = {}) {
   const response = await fetch(url, options);
   const payload = await response.json().catch(() => ({}));
 
+  if (response.status === 401 && !url.startsWith("/v1/auth/")) {
+    window.location.href = loginUrl();
+  }
+
   if (!response.ok) {
     const message = payload?.error || `Request failed (${response.status})`;
     const details = payload?.details ? `: ${payload.details}` : "";
-    throw new Error(`${message}${details}`);
+    const error = new Error(`${message}${details}`);
+    error.status = response.status;
+    error.payload = payload;
+    throw error;
   }
 
   return payload;
@@ -194,12 +216,13 @@ function getCurrentDebateIdFromQuery() {
 }
 
 async function hydrateLanding() {
-  const [heroPayload, argsPayload, consensusPayload, trendingPayload, delegatesPayload] = await Promise.all([
+  const [heroPayload, argsPayload, consensusPayload, trendingPayload, delegatesPayload, recommendedPayload] = await Promise.all([
     safeCall(() => fetchJson("/v1/live/hero"), { debate: null, delegates: [] }),
     safeCall(() => fetchJson("/v1/live/arguments?limit=9"), { items: [] }),
     safeCall(() => fetchJson("/v1/live/consensus"), { consensus: null }),
     safeCall(() => fetchJson("/v1/live/trending?limit=6"), { items: [] }),
     safeCall(() => fetchJson("/v1/live/delegates?limit=6"), { delegates: [] }),
+    currentUser ? safeCall(() => fetchJson("/v1/me/recommended?limit=5"), null) : null,
   ]);
 
   const debate = heroPayload?.debate || null;
@@ -235,6 +258,7 @@ async function hydrateLanding() {
 
   renderLandingArguments(argsPayload?.items || []);
   renderLandingTrending(trendingPayload?.items || []);
+  renderLandingRecommended(recommendedPayload);
   renderLandingTopDelegates(delegatesPayload?.delegates || heroPayload?.delegates || []);
   wireLandingVoting(debate?.id || null);
 }
@@ -329,6 +353,45 @@ function renderLandingTrending(items) {
     .join("\n");
 }
 
+function recommendationReason(reason) {
+  if (reason?.kind === "similar_voters") {
+    return `${reason.voters} ${reason.voters === 1 ? "citizen" : "citizens"} who vote like you weighed in`;
+  }
+  if (reason?.kind === "topic") {
+    return `You've voted on ${reason.votes} ${reason.topic} ${reason.votes === 1 ? "debate" : "debates"}`;
+  }
+  return `${reason?.votes || 0} people's votes`;
+}
+
+function renderLandingRecommended(payload) {
+  const panel = document.getElementById("live_recommended_panel");
+  const list = document.getElementById("live_recommended_list");
+  const rows = Array.isArray(payload?.items) ? payload.items : [];
+
+  panel?.classList.toggle("hidden", !rows.length);
+  if (!list || !rows.length) {
+    return;
+  }
+
+  setText("live_recommended_basis", payload.basedOnVotes ? `Based on your ${payload.basedOnVotes} votes` : "Popular with other citizens");
+
+  list.innerHTML = rows
+    .map(
+      (item) => `
+      <li class="p-4 hover:bg-slate-700/50 transition-colors">
+        <a class="block" href="/assembly?debate=${encodeURIComponent(item.debateId)}">
+          <div class="text-xs text-slate-500 mb-1">${escapeHtml(item.topic || "General")} • ${escapeHtml(
+            item.status === "active" ? "Live now" : item.verdict || "Closed",
+          )}</div>
+          <div class="text-sm text-slate-200 font-medium line-clamp-2">${escapeHtml(truncate(item.title, 94))}</div>
+          <div class="mt-2 text-xs text-slate-500">${escapeHtml(recommendationReason(item.reason))}</div>
+        </a>
+      </li>
+    `,
+    )
+    .join("\n");
+}
+
 function renderLandingTopDelegates(delegates) {
   const list = document.getElementById("live_top_delegates_list");
   if (!list) {
@@ -346,7 +409,7 @@ function renderLandingTopDelegates(delegates) {
     .map((delegate, index) => {
       const initials = initialsFromName(delegate.displayName || delegate.id);
       return `
-        <div class="flex items-center gap-3">
+        <a class="flex items-center gap-3 hover:opacity-80 transition-opacity" href="${escapeHtml(delegateUrl(delegate.id))}">
           <div class="text-slate-500 font-mono text-sm">${String(index + 1).padStart(2, "0")}</div>
           <div class="size-8 rounded-full bg-slate-700/60 text-slate-100 flex items-center justify-center text-xs font-bold border border-slate-500/30">${escapeHtml(
             initials,
@@ -355,7 +418,7 @@ function renderLandingTopDelegates(delegates) {
             <div class="text-sm text-white font-medium">${escapeHtml(delegate.displayName || delegate.id)}</div>
             <div class="text-xs text-slate-500">${escapeHtml(delegate.provider || "delegate")}</div>
           </div>
-        </div>
+        </a>
       `;
     })
     .join("\n");
@@ -394,7 +457,6 @@ function wireLandingVoting(debateId) {
         method: "POST",
         headers: {
           "content-type": "application/json",
-          ...authHeaders(),
         },
         body: JSON.stringify({ vote }),
       });
@@ -413,13 +475,13 @@ function wireLandingVoting(debateId) {
   idioticButton.onclick = () => submitVote("Idiotic");
 }
 
-function renderAssemblyMessages(messages) {
+function renderAssemblyMessages(messages, drafts = []) {
   const feed = document.getElementById("assembly_feed");
   if (!feed) {
     return;
   }
 
-  const rows = Array.isArray(messages) ? messages : [];
+  const rows = [...(Array.isArray(messages) ? messages : []), ...drafts];
 
   if (!rows.length) {
     feed.innerHTML = `
@@ -454,6 +516,12 @@ function renderAssemblyMessages(messages) {
           ? "bg-green-500/10 text-green-400 border-green-500/20"
           : "bg-slate-500/10 text-slate-300 border-slate-500/20";
       const bubbleClass = isOpposing ? "rounded-tr-none text-right" : "rounded-tl-none";
+      const phaseLabel = phaseToLabel(message.phase);
+      const roundBadge = phaseLabel
+        ? `<span class="px-1.5 py-0.5 rounded text-[10px] font-bold uppercase border border-border-color text-text-secondary">R${escapeHtml(
+            message.round || 1,
+          )} ${escapeHtml(phaseLabel)}</span>`
+        : "";
 
       return `
         <div class="flex gap-4 group ${sideClass}">
@@ -471,9 +539,19 @@ function renderAssemblyMessages(messages) {
               <span class="px-1.5 py-0.5 rounded text-[10px] font-bold uppercase border ${badgeClass}">${escapeHtml(
                 stanceToLabel(stance),
               )}</span>
+              ${roundBadge}
+              ${
+                message.argumentId
+                  ? `<button class="opacity-0 group-hover:opacity-100 text-text-secondary hover:text-red-300 transition-opacity" data-flag-argument="${escapeHtml(
+                      message.argumentId,
+                    )}" title="Report argument" type="button"><span class="material-symbols-outlined text-sm">flag</span></button>`
+                  : ""
+              }
             </div>
             <div class="p-4 rounded-xl ${bubbleClass} bg-surface-dark border border-border-color shadow-sm">
-              <p class="text-slate-300 leading-relaxed">${escapeHtml(message.content)}</p>
+              <p class="text-slate-300 leading-relaxed">${escapeHtml(message.content)}${
+                message.streaming ? '<span class="inline-block w-2 h-4 ml-1 align-middle bg-primary animate-pulse"></span>' : ""
+              }</p>
             </div>
           </div>
         </div>
@@ -498,12 +576,18 @@ function renderAssemblyDelegates(debate) {
   list.innerHTML = delegates
     .map((row, index) => {
       const vote = row.vote || "Pending";
-      const status = row.error ? "failed" : index === 0 ? "Speaking..." : "Responded";
+      const status = row.error
+        ? "failed"
+        : row.substitutedFor
+          ? `Substitute for ${row.substitutedFor}`
+          : index === 0
+            ? "Speaking..."
+            : "Responded";
       const tone = row.error ? "text-red-400" : vote === "Idiotic" ? "text-red-400" : "text-primary";
       const border = index === 0 ? "bg-primary/10 border-primary/30" : "border-transparent hover:bg-surface-hover";
 
       return `
-        <div class="flex items-center gap-3 p-2 rounded-lg ${border} transition-colors border">
+        <a class="flex items-center gap-3 p-2 rounded-lg ${border} transition-colors border" href="${escapeHtml(delegateUrl(row.modelId))}">
           <div class="relative">
             <div class="size-10 rounded-full bg-slate-800 flex items-center justify-center overflow-hidden text-white text-[11px] font-bold">${escapeHtml(
               initialsFromName(row.displayName || row.modelId),
@@ -512,9 +596,14 @@ function renderAssemblyDelegates(debate) {
           </div>
           <div class="flex-1 min-w-0">
             <p class="text-sm font-medium text-white truncate">${escapeHtml(row.displayName || row.modelId)}</p>
+            ${
+              row.personaLabel && row.persona !== "delegate"
+                ? `<p class="text-[10px] uppercase tracking-wider text-text-secondary truncate">${escapeHtml(row.personaLabel)}</p>`
+                : ""
+            }
             <p class="text-xs ${tone} truncate">${escapeHtml(status)}</p>
           </div>
-        </div>
+        </a>
       `;
     })
     .join("\n");
@@ -547,6 +636,40 @@ function renderAssemblyMotions(items, activeDebateId) {
     .join("\n");
 }
 
+function relatedDebateReason(reasons) {
+  const parts = [];
+  if (reasons?.sameTopic) parts.push("Same topic");
+  if (reasons?.textSimilarity >= 0.1) parts.push("Similar wording");
+  if (reasons?.sharedVoters) parts.push(`${reasons.sharedVoters} shared ${reasons.sharedVoters === 1 ? "voter" : "voters"}`);
+  if (reasons?.sharedDelegates) parts.push(`${reasons.sharedDelegates} shared delegates`);
+  return parts.join(" • ");
+}
+
+function renderAssemblyRelated(items) {
+  const panel = document.getElementById("assembly_related_panel");
+  const list = document.getElementById("assembly_related_debates");
+  const rows = Array.isArray(items) ? items : [];
+
+  panel?.classList.toggle("hidden", !rows.length);
+  if (!list || !rows.length) {
+    return;
+  }
+
+  list.innerHTML = rows
+    .map(
+      (item) => `
+      <a class="block p-3 rounded bg-surface-hover border-l-2 ${
+        item.verdict === "Idiotic" ? "border-red-500" : item.verdict === "Intelligent" ? "border-blue-500" : "border-text-secondary"
+      } hover:border-primary transition-colors" href="/assembly?debate=${encodeURIComponent(item.debateId)}">
+        <p class="text-xs text-text-secondary mb-1">${escapeHtml(item.verdict || "Hung")} • ${escapeHtml(formatShortDate(item.createdAt))}</p>
+        <p class="text-sm font-medium text-white">${escapeHtml(truncate(item.title, 74))}</p>
+        <p class="text-[11px] text-text-secondary mt-1">${escapeHtml(relatedDebateReason(item.reasons))}</p>
+      </a>
+    `,
+    )
+    .join("\n");
+}
+
 async function hydrateAssembly() {
   let debateId = getCurrentDebateIdFromQuery();
 
@@ -564,7 +687,7 @@ async function hydrateAssembly() {
     actionStatus.className = `text-xs ${isError ? "text-red-300" : "text-text-secondary"}`;
   };
 
-  setText("assembly_user_id", userContext.handle);
+  setText("assembly_user_id", currentUser ? currentUser.handle : "Guest (log in to vote)");
 
   if (!debateId) {
     setStatus("No debate session available.", true);
@@ -572,9 +695,10 @@ async function hydrateAssembly() {
     return;
   }
 
-  const [debate, trending] = await Promise.all([
+  const [debate, trending, related] = await Promise.all([
     fetchJson(`/v1/debates/${encodeURIComponent(debateId)}`),
     safeCall(() => fetchJson("/v1/live/trending?limit=6"), { items: [] }),
+    safeCall(() => fetchJson(`/v1/archive/${encodeURIComponent(debateId)}/related?limit=4`), { items: [] }),
   ]);
 
   setText("assembly_meta", `Session ${debate.id.slice(0, 8)} • ${formatDate(debate.createdAt)}`);
@@ -585,16 +709,149 @@ async function hydrateAssembly() {
   );
 
   const intelligentPct = clamp(Number(debate.consensus?.intelligentPct ?? 50), 0, 100);
-  setText("assembly_consensus_label", `${intelligentPct}% Intelligent`);
+  setText(
+    "assembly_consensus_label",
+    `${debate.consensus?.verdict === "Hung" ? "Hung" : `${intelligentPct}% Intelligent`} • ${consensusRuleLabel(
+      debate.consensus?.rule,
+      debate.consensus?.threshold,
+    )}`,
+  );
 
   const needle = document.getElementById("assembly_consensus_needle");
   if (needle) {
     needle.style.left = `${intelligentPct}%`;
   }
 
-  renderAssemblyMessages(debate.messages || []);
+  const renderPeoplesVerdict = (peoplesVerdict, assemblyVerdict) => {
+    setText(
+      "assembly_peoples_verdict",
+      peoplesVerdict?.verdict
+        ? `People's verdict: ${peoplesVerdict.verdict} (${peoplesVerdict.intelligentPct}% of ${peoplesVerdict.totalVotes})`
+        : "People's verdict: awaiting votes",
+    );
+    setText(
+      "assembly_blended_verdict",
+      assemblyVerdict?.verdict ? `Assembly: ${assemblyVerdict.verdict} ${assemblyVerdict.intelligentPct}%` : "",
+    );
+  };
+  renderPeoplesVerdict(debate.peoplesVerdict, debate.assemblyVerdict);
+
+  let feedMessages = debate.messages || [];
+  const liveDrafts = new Map();
+  const renderFeed = () => renderAssemblyMessages(feedMessages, [...liveDrafts.values()]);
+
+  renderFeed();
   renderAssemblyDelegates(debate);
   renderAssemblyMotions(trending.items || [], debate.id);
+  renderAssemblyRelated(related.items || []);
+
+  if (debate.status === "queued") {
+    setStatus("Debate queued. Delegates will take the floor shortly.");
+  } else if (debate.status === "failed") {
+    setStatus(`Debate failed: ${debate.job?.lastError || "unknown error"}`, true);
+  }
+
+  const renderAmendments = (current) => {
+    const panel = document.getElementById("assembly_amendments");
+    const form = document.getElementById("assembly_amendment_form");
+    const links = [];
+
+    if (current.parentDebateId) {
+      links.push(
+        `Amendment v${escapeHtml(current.resolution?.version || 2)} of <a class="text-primary hover:underline" href="/assembly?debate=${encodeURIComponent(
+          current.parentDebateId,
+        )}">the original debate</a> • <a class="text-primary hover:underline" href="/archive?diff=${encodeURIComponent(
+          current.id,
+        )}">Compare verdicts</a>`,
+      );
+    }
+    (current.amendments || []).forEach((amendment) => {
+      links.push(
+        `<a class="text-primary hover:underline" href="/assembly?debate=${encodeURIComponent(amendment.id)}">v${escapeHtml(
+          amendment.version,
+        )}: ${escapeHtml(amendment.verdict || amendment.status)}</a>`,
+      );
+    });
+
+    setHtml("assembly_amendment_lineage", links.join(" • "));
+    panel?.classList.toggle("hidden", current.status !== "closed" && !links.length);
+    form?.classList.toggle("hidden", current.status !== "closed");
+  };
+  renderAmendments(debate);
+
+  const amendmentInput = document.getElementById("assembly_amendment_input");
+  const amendmentRationale = document.getElementById("assembly_amendment_rationale");
+  const amendmentButton = document.getElementById("assembly_propose_amendment");
+
+  if (amendmentButton && amendmentInput) {
+    amendmentButton.onclick = async () => {
+      const body = String(amendmentInput.value || "").trim();
+      if (!body) {
+        setStatus("Write the amended resolution text first.", true);
+        return;
+      }
+
+      amendmentButton.disabled = true;
+      setStatus("Submitting amendment for re-debate...");
+
+      try {
+        const amended = await fetchJson(`/v1/debates/${encodeURIComponent(debate.id)}/amendments`, {
+          method: "POST",
+          headers: {
+            "content-type": "application/json",
+          },
+          body: JSON.stringify({
+            body,
+            rationale: String(amendmentRationale?.value || "").trim(),
+          }),
+        });
+        window.location.href = `/assembly?debate=${encodeURIComponent(amended.id)}`;
+      } catch (error) {
+        setStatus(error.message, true);
+        amendmentButton.disabled = false;
+      }
+    };
+  }
+
+  const reportContent = async (targetType, targetId) => {
+    if (!currentUser) {
+      window.location.href = loginUrl();
+      return;
+    }
+
+    const reason = String(window.prompt(`Why should moderators review this ${targetType}?`) || "").trim();
+    if (!reason) {
+      return;
+    }
+
+    try {
+      await fetchJson("/v1/flags", {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+        },
+        body: JSON.stringify({ targetType, targetId, reason }),
+      });
+      setStatus("Report sent to the moderators.");
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  };
+
+  const reportResolution = document.getElementById("assembly_report_resolution");
+  if (reportResolution) {
+    reportResolution.onclick = () => reportContent("resolution", debate.resolution?.id);
+  }
+
+  const feedNode = document.getElementById("assembly_feed");
+  if (feedNode) {
+    feedNode.onclick = (event) => {
+      const button = event.target.closest("[data-flag-argument]");
+      if (button) {
+        reportContent("argument", button.dataset.flagArgument);
+      }
+    };
+  }
 
   const input = document.getElementById("assembly_argument_input");
   const submit = document.getElementById("assembly_submit_argument");
@@ -618,11 +875,10 @@ async function hydrateAssembly() {
       setStatus("Submitting argument...");
 
       try {
-        await fetchJson(`/v1/debates/${encodeURIComponent(debate.id)}/human-argument`, {
+        const posted = await fetchJson(`/v1/debates/${encodeURIComponent(debate.id)}/human-argument`, {
           method: "POST",
           headers: {
             "content-type": "application/json",
-            ...authHeaders(),
           },
           body: JSON.stringify({
             content,
@@ -630,8 +886,15 @@ async function hydrateAssembly() {
           }),
         });
 
+        if (posted.status === "quarantined") {
+          input.value = "";
+          setStatus(`Held for moderator review: ${screeningReasonText(posted.screening)}`, true);
+          return;
+        }
+
         const messagesPayload = await fetchJson(`/v1/debates/${encodeURIComponent(debate.id)}/messages?limit=200`);
-        renderAssemblyMessages(messagesPayload.items || []);
+        feedMessages = messagesPayload.items || [];
+        renderFeed();
         input.value = "";
         setStatus("Argument submitted to the floor.");
       } catch (error) {
@@ -650,7 +913,6 @@ async function hydrateAssembly() {
         method: "POST",
         headers: {
           "content-type": "application/json",
-          ...authHeaders(),
         },
         body: JSON.stringify({ vote }),
       });
@@ -670,15 +932,83 @@ async function hydrateAssembly() {
 
   const stream = new EventSource(`/v1/debates/${encodeURIComponent(debate.id)}/stream`);
 
-  stream.addEventListener("human_argument", async () => {
+  const refreshMessages = async () => {
     const messagesPayload = await safeCall(
       () => fetchJson(`/v1/debates/${encodeURIComponent(debate.id)}/messages?limit=200`),
       { items: [] },
     );
-    renderAssemblyMessages(messagesPayload.items || []);
+    feedMessages = messagesPayload.items || [];
+    renderFeed();
+  };
+
+  stream.addEventListener("connected", refreshMessages);
+  stream.addEventListener("human_argument", refreshMessages);
+  stream.addEventListener("human_argument_removed", refreshMessages);
+
+  stream.addEventListener("delegate_token", (event) => {
+    const data = JSON.parse(event.data || "{}");
+    const token = data.payload || {};
+    if (!token.argument) {
+      return;
+    }
+
+    liveDrafts.set(`${token.round}:${token.modelId}`, {
+      id: `draft-${token.round}-${token.modelId}`,
+      actorType: "delegate",
+      actorId: token.modelId,
+      actorName: token.displayName || token.modelId,
+      stance: "neutral",
+      content: token.argument,
+      round: token.round,
+      phase: token.phase,
+      createdAt: data.at,
+      streaming: true,
+    });
+    renderFeed();
+  });
+
+  stream.addEventListener("delegate_message", async (event) => {
+    const data = JSON.parse(event.data || "{}");
+    liveDrafts.delete(`${data.payload?.round}:${data.payload?.modelId}`);
+    await refreshMessages();
+  });
+
+  stream.addEventListener("debate_round_completed", async () => {
+    liveDrafts.clear();
+    await refreshMessages();
+  });
+
+  stream.addEventListener("debate_started", async () => {
+    setStatus("Delegates are taking the floor.");
+    await refreshMessages();
+  });
+
+  stream.addEventListener("debate_failed", (event) => {
+    const data = JSON.parse(event.data || "{}");
+    setStatus(`Debate failed: ${data.payload?.error || "unknown error"}`, true);
+  });
+
+  stream.addEventListener("debate_round_started", async (event) => {
+    const data = JSON.parse(event.data || "{}");
+    setStatus(`Round ${data.payload?.round || ""} in session.`);
+    await refreshMessages();
+  });
+
+  stream.addEventListener("debate_completed", async () => {
+    const latest = await safeCall(() => fetchJson(`/v1/debates/${encodeURIComponent(debate.id)}`), null);
+    liveDrafts.clear();
+    if (latest) {
+      feedMessages = latest.messages || [];
+      renderFeed();
+      renderAssemblyDelegates(latest);
+      renderAmendments(latest);
+    }
+    setStatus("Debate closed. Final verdict recorded.");
   });
 
-  stream.addEventListener("human_vote", () => {
+  stream.addEventListener("human_vote", (event) => {
+    const payload = JSON.parse(event.data || "{}");
+    renderPeoplesVerdict(payload.payload?.peoplesVerdict, payload.payload?.assemblyVerdict);
     setStatus("A vote was cast on this debate.");
   });
 
@@ -692,7 +1022,7 @@ async function hydrateAssembly() {
   });
 }
 
-function renderDelegateCards(gridNode, delegates, selectedSet) {
+function renderDelegateCards(gridNode, delegates, selectedSet, personas = []) {
   if (!gridNode) {
     return;
   }
@@ -726,6 +1056,18 @@ function renderDelegateCards(gridNode, delegates, selectedSet) {
             <span class="text-[10px] bg-white/5 text-slate-300 px-2 py-0.5 rounded">Rank #${escapeHtml(delegate.rank || index + 1)}</span>
             <span class="text-[10px] bg-white/5 text-slate-300 px-2 py-0.5 rounded">${escapeHtml(delegate.weeklyTokensText || "n/a")}</span>
           </div>
+          ${
+            personas.length
+              ? `<select class="delegate-persona mt-3 w-full bg-surface-dark border border-slate-700 rounded px-2 py-1 text-xs text-slate-200 font-sans focus:border-primary focus:ring-0" data-model-id="${escapeHtml(
+                  delegate.id,
+                )}">${personas
+                  .map(
+                    (persona) =>
+                      `<option title="${escapeHtml(persona.description)}" value="${escapeHtml(persona.id)}">${escapeHtml(persona.label)}</option>`,
+                  )
+                  .join("")}</select>`
+              : ""
+          }
         </div>
       </label>
     `;
@@ -733,6 +1075,41 @@ function renderDelegateCards(gridNode, delegates, selectedSet) {
     .join("\n");
 }
 
+// Past debates that look like the resolution being drafted, each linking to
+// its floor so the author can follow it instead of submitting again.
+function renderSimilarDebates(node, similar) {
+  if (!node) return;
+
+  if (!Array.isArray(similar) || !similar.length) {
+    node.classList.add("hidden");
+    node.innerHTML = "";
+    return;
+  }
+
+  node.classList.remove("hidden");
+  node.innerHTML = `
+    <p class="text-sm font-bold text-gold-accent mb-1">Similar past debates</p>
+    <p class="text-xs text-slate-400 mb-3 font-sans">These resolutions look close to yours. Follow an existing debate instead of starting a new one.</p>
+    <ul class="space-y-2">
+      ${similar
+        .map(
+          (item) => `
+        <li class="flex items-center justify-between gap-4 rounded-lg bg-background-dark border border-slate-700 px-3 py-2">
+          <div class="min-w-0">
+            <p class="text-sm text-white truncate">${escapeHtml(item.title)}</p>
+            <p class="text-xs text-slate-400 font-sans">${escapeHtml(item.verdict || (item.status === "closed" ? "No verdict" : "In debate"))} • ${escapeHtml(
+              Math.round(Number(item.similarity || 0) * 100),
+            )}% similar • ${escapeHtml(formatShortDate(item.createdAt))}</p>
+          </div>
+          <a class="shrink-0 text-xs font-bold text-primary hover:underline" href="/assembly?debate=${encodeURIComponent(item.debateId)}">Open debate</a>
+        </li>
+      `,
+        )
+        .join("")}
+    </ul>
+  `;
+}
+
 async function hydratePropose() {
   const titleInput = document.getElementById("title");
   const argumentInput = document.getElementById("argument");
@@ -744,6 +1121,11 @@ async function hydratePropose() {
   const discardButton = document.getElementById("discard_draft");
   const statusNode = document.getElementById("propose_status");
   const gridNode = document.getElementById("propose_delegate_grid");
+  const roundsSelect = document.getElementById("propose_rebuttal_rounds");
+  const ruleSelect = document.getElementById("propose_consensus_rule");
+  const similarNode = document.getElementById("propose_similar");
+  const tagsInput = document.getElementById("propose_tags");
+  const tagSuggestionsNode = document.getElementById("propose_tag_suggestions");
 
   let delegates = [];
   let activeDraftId = localStorage.getItem(DRAFT_STORAGE_KEY) || "";
@@ -775,26 +1157,82 @@ async function hydratePropose() {
       .map((node) => node.value)
       .filter(Boolean);
 
-  const topicFor = (title, body) => {
-    const source = `${title} ${body}`.toLowerCase();
-    if (/(econom|budget|tax|currency|credit|income)/.test(source)) return "Economics";
-    if (/(law|constitution|govern|policy|rights|vote)/.test(source)) return "Politics";
-    if (/(model|ai|compute|algorithm|robot|llm)/.test(source)) return "Technology";
-    if (/(ethic|moral|justice|fair)/.test(source)) return "Ethics";
-    if (/(climate|energy|planet|ecology)/.test(source)) return "Climate";
-    return "General";
+  // An empty tag field lets the server classify the resolution itself.
+  const enteredTags = () =>
+    String(tagsInput?.value || "")
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+
+  let suggestedTags = [];
+  const renderTagSuggestions = () => {
+    if (!tagSuggestionsNode) return;
+    const entered = new Set(enteredTags().map((tag) => tag.toLowerCase()));
+    const rows = suggestedTags.filter((tag) => tag.id !== "general" && !entered.has(tag.label.toLowerCase()));
+    tagSuggestionsNode.innerHTML = rows.length
+      ? `<span class="text-slate-500">Suggested:</span>${rows
+          .map(
+            (tag) =>
+              `<button class="propose-tag-suggestion px-2 py-1 rounded border border-slate-700 hover:border-gold-accent text-slate-300 hover:text-gold-accent transition-colors" data-label="${escapeHtml(
+                tag.label,
+              )}" type="button">+ ${escapeHtml(tag.label)}</button>`,
+          )
+          .join("")}`
+      : "";
+  };
+
+  let similarTimer = null;
+  const checkSimilar = () => {
+    window.clearTimeout(similarTimer);
+    similarTimer = window.setTimeout(async () => {
+      const title = String(titleInput?.value || "").trim();
+      const body = String(argumentInput?.value || "").trim();
+      if (title.length < 8 && body.length < 40) {
+        renderSimilarDebates(similarNode, []);
+        suggestedTags = [];
+        renderTagSuggestions();
+        return;
+      }
+
+      const request = {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+        },
+        body: JSON.stringify({ title, body: firstWords(body, 2000) }),
+      };
+      const [payload, tagPayload] = await Promise.all([
+        safeCall(() => fetchJson("/v1/resolutions/similar", request), { similar: [] }),
+        safeCall(() => fetchJson("/v1/tags/suggest", request), { tags: [] }),
+      ]);
+      renderSimilarDebates(similarNode, payload.similar);
+      suggestedTags = Array.isArray(tagPayload.tags) ? tagPayload.tags : [];
+      renderTagSuggestions();
+    }, 600);
   };
 
   updateCounters();
   titleInput?.addEventListener("input", updateCounters);
   argumentInput?.addEventListener("input", updateCounters);
+  titleInput?.addEventListener("input", checkSimilar);
+  argumentInput?.addEventListener("input", checkSimilar);
+  tagsInput?.addEventListener("input", renderTagSuggestions);
+  tagSuggestionsNode?.addEventListener("click", (event) => {
+    const target = event.target instanceof Element ? event.target.closest(".propose-tag-suggestion") : null;
+    if (!target || !tagsInput) return;
+    tagsInput.value = [...enteredTags(), target.dataset.label || ""].filter(Boolean).join(", ");
+    renderTagSuggestions();
+  });
 
   try {
-    const payload = await fetchJson("/v1/delegates/eligible?limit=12");
+    const [payload, personaPayload] = await Promise.all([
+      fetchJson("/v1/delegates/eligible?limit=12"),
+      safeCall(() => fetchJson("/v1/personas"), { personas: [] }),
+    ]);
     delegates = Array.isArray(payload.delegates) ? payload.delegates : [];
 
     delegates.slice(0, 4).forEach((delegate) => selected.add(delegate.id));
-    renderDelegateCards(gridNode, delegates, selected);
+    renderDelegateCards(gridNode, delegates, selected, personaPayload.personas || []);
 
     setStatus("Ready. Delegates loaded from OpenRouter leaderboard.");
   } catch (error) {
@@ -806,7 +1244,6 @@ async function hydratePropose() {
       () =>
         fetchJson(`/v1/drafts/${encodeURIComponent(activeDraftId)}`, {
           headers: {
-            ...authHeaders(),
           },
         }),
       null,
@@ -815,7 +1252,14 @@ async function hydratePropose() {
     if (draftPayload?.draft) {
       if (titleInput) titleInput.value = draftPayload.draft.title || "";
       if (argumentInput) argumentInput.value = draftPayload.draft.body || "";
+      if (tagsInput) {
+        tagsInput.value = (draftPayload.draft.tags || [])
+          .filter((tag) => tag.source === "user")
+          .map((tag) => tag.label)
+          .join(", ");
+      }
       updateCounters();
+      checkSimilar();
       setStatus(`Loaded draft ${draftPayload.draft.id.slice(0, 8)}.`, false);
     } else {
       localStorage.removeItem(DRAFT_STORAGE_KEY);
@@ -861,12 +1305,11 @@ async function hydratePropose() {
         method,
         headers: {
           "content-type": "application/json",
-          ...authHeaders(),
         },
         body: JSON.stringify({
           title,
           body,
-          topic: topicFor(title, body),
+          tags: enteredTags(),
         }),
       });
 
@@ -884,9 +1327,11 @@ async function hydratePropose() {
   discardButton?.addEventListener("click", () => {
     if (titleInput) titleInput.value = "";
     if (argumentInput) argumentInput.value = "";
+    if (tagsInput) tagsInput.value = "";
     activeDraftId = "";
     localStorage.removeItem(DRAFT_STORAGE_KEY);
     updateCounters();
+    checkSimilar();
     setStatus("Draft discarded from local session.");
   });
 
@@ -914,20 +1359,31 @@ async function hydratePropose() {
         method: "POST",
         headers: {
           "content-type": "application/json",
-          ...authHeaders(),
         },
         body: JSON.stringify({
           title,
           body,
-          topic: topicFor(title, body),
+          tags: enteredTags(),
           delegates: delegatesSelected,
+          personas: Object.fromEntries(
+            Array.from(document.querySelectorAll(".delegate-persona")).map((node) => [node.dataset.modelId, node.value]),
+          ),
+          rebuttalRounds: roundsSelect ? Number(roundsSelect.value || 0) : undefined,
+          consensusRule: ruleSelect ? ruleSelect.value : undefined,
         }),
       });
 
       localStorage.removeItem(DRAFT_STORAGE_KEY);
+      if (debate.screening?.decision === "quarantine") {
+        setStatus(`Held for moderator review: ${screeningReasonText(debate.screening)}`, true);
+        return;
+      }
       setStatus("Debate created. Redirecting to floor...");
       window.location.href = `/assembly?debate=${encodeURIComponent(debate.id)}`;
     } catch (error) {
+      if (error.status === 409 && error.payload?.similar) {
+        renderSimilarDebates(similarNode, error.payload.similar);
+      }
       setStatus(error.message, true);
     } finally {
       submitButton.disabled = false;
@@ -936,6 +1392,14 @@ async function hydratePropose() {
   });
 }
 
+// `match.snippet` arrives HTML-escaped from the server with <mark> around the
+// search terms, so it is inserted as-is.
+function searchMatchLabel(match) {
+  if (match.kind === "resolution") return "Matched in resolution";
+  if (match.kind === "delegate_vote") return `Matched in ${match.actorName || "delegate"}'s vote`;
+  return `Matched in ${match.actorName || "floor message"}${match.round ? `, round ${match.round}` : ""}`;
+}
+
 function renderArchiveCards(gridNode, debates) {
   if (!gridNode) {
     return;
@@ -953,8 +1417,7 @@ function renderArchiveCards(gridNode, debates) {
   gridNode.innerHTML = debates
     .map((debate) => {
       const verdict = debate.consensus?.verdict || debate.verdict || "Intelligent";
-      const isIntelligent = verdict !== "Idiotic";
-      const color = isIntelligent ? "primary" : "red-600";
+      const color = verdict === "Idiotic" ? "red-600" : verdict === "Hung" ? "amber-500" : "primary";
       const delegates = Array.isArray(debate.delegates) ? debate.delegates.slice(0, 3) : [];
       const delegateBadges = delegates
         .map((delegate, idx) => {
@@ -983,14 +1446,52 @@ function renderArchiveCards(gridNode, debates) {
               <span class="px-2 py-1 rounded bg-[#1c222b] text-slate-400 text-[10px] font-bold uppercase tracking-wider font-sans border border-slate-700">${escapeHtml(
                 debate.topic || "General",
               )}</span>
+              ${(debate.tags || [])
+                .filter((tag) => tag.label !== debate.topic)
+                .map(
+                  (tag) =>
+                    `<span class="px-2 py-1 rounded bg-[#1c222b] text-primary/80 text-[10px] font-bold tracking-wider font-sans border border-slate-700">#${escapeHtml(
+                      tag.label,
+                    )}</span>`,
+                )
+                .join("")}
               <span class="px-2 py-1 rounded bg-[#1c222b] text-slate-400 text-[10px] font-bold uppercase tracking-wider font-sans border border-slate-700">${escapeHtml(
                 verdict,
               )}</span>
+              <span class="px-2 py-1 rounded bg-[#1c222b] text-slate-400 text-[10px] font-bold uppercase tracking-wider font-sans border border-slate-700">${escapeHtml(
+                consensusRuleLabel(debate.consensus?.rule, debate.consensus?.threshold),
+              )}</span>
+              ${
+                debate.peoplesVerdict?.verdict
+                  ? `<span class="px-2 py-1 rounded bg-[#1c222b] ${
+                      debate.peoplesVerdict.verdict === verdict ? "text-slate-400" : "text-amber-300"
+                    } text-[10px] font-bold uppercase tracking-wider font-sans border border-slate-700">People: ${escapeHtml(
+                      debate.peoplesVerdict.verdict,
+                    )}</span>`
+                  : ""
+              }
             </div>
+            ${
+              debate.match
+                ? `<div class="mb-4 rounded-lg bg-[#1c222b] border border-slate-700 p-3 text-xs">
+                    <p class="text-[10px] font-bold uppercase tracking-wider text-slate-500 mb-1 font-sans">${escapeHtml(
+                      searchMatchLabel(debate.match),
+                    )}</p>
+                    <p class="text-slate-300 leading-relaxed [&_mark]:bg-primary/30 [&_mark]:text-white [&_mark]:rounded-sm">${debate.match.snippet}</p>
+                  </div>`
+                : ""
+            }
             <div class="flex-1"></div>
             <div class="h-px bg-slate-800 w-full my-4"></div>
             <div class="flex items-center justify-between">
               <div class="flex -space-x-2">${delegateBadges}</div>
+              ${
+                debate.parentDebateId
+                  ? `<a class="text-slate-400 hover:text-white text-xs font-bold transition-colors" href="/archive?diff=${encodeURIComponent(
+                      debate.id,
+                    )}">v${escapeHtml(debate.version)} • Compare</a>`
+                  : ""
+              }
               <a class="text-primary hover:text-white text-sm font-bold flex items-center gap-1 transition-colors" href="/assembly?debate=${encodeURIComponent(
                 debate.id,
               )}">
@@ -1009,12 +1510,101 @@ function renderArchiveCards(gridNode, debates) {
     .join("\n");
 }
 
+function renderArchiveDiff(node, diff) {
+  if (!node) {
+    return;
+  }
+
+  const verdictOf = (side) => side.consensus?.verdict || side.status;
+  const rows = (diff.delegates || [])
+    .map((row) => {
+      const delta = row.confidenceDelta;
+      const deltaLabel = delta === null ? "—" : `${delta > 0 ? "+" : ""}${delta}`;
+      const deltaTone = delta > 0 ? "text-green-300" : delta < 0 ? "text-red-300" : "text-slate-400";
+
+      return `
+        <tr class="border-t border-slate-800">
+          <td class="py-2 pr-4 text-white">${escapeHtml(row.displayName)}</td>
+          <td class="py-2 pr-4">${
+            row.before ? `<span class="px-2 py-0.5 text-xs rounded border ${voteBadgeClass(row.before.vote)}">${escapeHtml(row.before.vote)} ${escapeHtml(row.before.confidence)}%</span>` : "—"
+          }</td>
+          <td class="py-2 pr-4">${
+            row.after ? `<span class="px-2 py-0.5 text-xs rounded border ${voteBadgeClass(row.after.vote)}">${escapeHtml(row.after.vote)} ${escapeHtml(row.after.confidence)}%</span>` : "—"
+          }</td>
+          <td class="py-2 pr-4 ${deltaTone} font-mono">${escapeHtml(deltaLabel)}</td>
+          <td class="py-2 ${row.flipped ? "text-amber-300 font-bold" : "text-slate-500"}">${row.flipped ? "Flipped" : "Held"}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  node.innerHTML = `
+    <div class="flex flex-col md:flex-row md:items-start justify-between gap-4 mb-4">
+      <div>
+        <p class="text-xs font-bold text-slate-400 uppercase tracking-wider font-sans">Amendment Comparison</p>
+        <h3 class="text-xl text-white font-bold font-display">${escapeHtml(diff.amended.title)}</h3>
+        <p class="text-sm text-slate-400 font-sans mt-1">v${escapeHtml(diff.base.version)} ${escapeHtml(verdictOf(diff.base))} → v${escapeHtml(
+          diff.amended.version,
+        )} ${escapeHtml(verdictOf(diff.amended))} • ${escapeHtml(diff.flips)} delegate${diff.flips === 1 ? "" : "s"} flipped${
+          diff.verdictChanged ? " • verdict changed" : ""
+        }</p>
+      </div>
+      <a class="text-primary hover:text-white text-sm font-bold" href="/archive">Close comparison</a>
+    </div>
+    <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4 text-sm font-sans">
+      <div class="p-3 rounded-lg bg-background-dark border border-border-dark">
+        <p class="text-xs text-slate-500 mb-1">Original (v${escapeHtml(diff.base.version)})</p>
+        <p class="text-slate-300">${escapeHtml(diff.base.body)}</p>
+      </div>
+      <div class="p-3 rounded-lg bg-background-dark border border-border-dark">
+        <p class="text-xs text-slate-500 mb-1">Amended (v${escapeHtml(diff.amended.version)})${
+          diff.amended.amendmentRationale ? ` — ${escapeHtml(diff.amended.amendmentRationale)}` : ""
+        }</p>
+        <p class="text-slate-300">${escapeHtml(diff.amended.body)}</p>
+      </div>
+    </div>
+    <table class="w-full text-sm font-sans">
+      <thead>
+        <tr class="text-left text-xs text-slate-500 uppercase tracking-wider">
+          <th class="pb-2 pr-4">Delegate</th>
+          <th class="pb-2 pr-4">Original</th>
+          <th class="pb-2 pr-4">Amended</th>
+          <th class="pb-2 pr-4">Confidence</th>
+          <th class="pb-2">Change</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  node.classList.remove("hidden");
+}
+
+// Page numbers to show around the current page: always the first and last,
+// with null standing in for a gap.
+function pageWindow(page, totalPages) {
+  const pages = [];
+  for (let item = 1; item <= totalPages; item += 1) {
+    if (item === 1 || item === totalPages || Math.abs(item - page) <= 1) {
+      if (pages.length && item - pages[pages.length - 1] > 1) {
+        pages.push(null);
+      }
+      pages.push(item);
+    }
+  }
+  return pages;
+}
+
 async function hydrateArchive() {
   const grid = document.getElementById("archive_grid");
   const verdictIntelligent = document.getElementById("archive_verdict_intelligent");
   const verdictIdiotic = document.getElementById("archive_verdict_idiotic");
+  const verdictHung = document.getElementById("archive_verdict_hung");
+  const disagreementToggle = document.getElementById("archive_disagreement");
+  const ruleList = document.getElementById("archive_rule_list");
+  const personaList = document.getElementById("archive_persona_list");
   const topicList = document.getElementById("archive_topic_list");
   const delegateList = document.getElementById("archive_delegate_list");
+  const tagList = document.getElementById("archive_tag_list");
   const searchInput = document.getElementById("archive_search_input");
   const sortButton = document.getElementById("archive_sort_button");
   const sortLabel = document.getElementById("archive_sort_label");
@@ -1025,56 +1615,51 @@ async function hydrateArchive() {
   const sortModes = [
     { key: "newest", label: "Date: Newest" },
     { key: "oldest", label: "Date: Oldest" },
-    { key: "intelligent", label: "Intelligent First" },
-    { key: "idiotic", label: "Idiotic First" },
+    { key: "most_voted", label: "Most Voted" },
+    { key: "closest_margin", label: "Closest Margin" },
+    { key: "highest_confidence", label: "Highest Confidence" },
   ];
+  // Only offered while searching; the server ranks search hits by default.
+  const relevanceMode = { key: "relevance", label: "Best Match" };
 
   const state = {
     limit: ARCHIVE_PAGE_SIZE,
     offset: 0,
     sort: sortModes[0],
+    rule: "",
+    persona: "",
+    tag: "",
     topic: "",
     delegate: "",
     query: "",
     items: [],
+    total: 0,
   };
 
-  const applySort = (items) => {
-    const rows = [...items];
-
-    if (state.sort.key === "newest") {
-      rows.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
-    } else if (state.sort.key === "oldest") {
-      rows.sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
-    } else if (state.sort.key === "intelligent") {
-      rows.sort((a, b) => {
-        const av = a.consensus?.verdict === "Intelligent" ? 0 : 1;
-        const bv = b.consensus?.verdict === "Intelligent" ? 0 : 1;
-        if (av !== bv) return av - bv;
-        return new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime();
-      });
-    } else if (state.sort.key === "idiotic") {
-      rows.sort((a, b) => {
-        const av = a.consensus?.verdict === "Idiotic" ? 0 : 1;
-        const bv = b.consensus?.verdict === "Idiotic" ? 0 : 1;
-        if (av !== bv) return av - bv;
-        return new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime();
-      });
+  const setSortMode = (mode) => {
+    state.sort = mode;
+    if (sortLabel) {
+      sortLabel.textContent = mode.label;
     }
-
-    return rows;
   };
 
   const renderPagination = () => {
     const page = Math.floor(state.offset / state.limit) + 1;
-    const hasPrev = state.offset > 0;
-    const hasNext = state.items.length >= state.limit;
+    const totalPages = Math.max(1, Math.ceil(state.total / state.limit));
 
-    if (prevButton) prevButton.disabled = !hasPrev;
-    if (nextButton) nextButton.disabled = !hasNext;
+    if (prevButton) prevButton.disabled = page <= 1;
+    if (nextButton) nextButton.disabled = page >= totalPages;
 
     if (pageNumbers) {
-      pageNumbers.innerHTML = `<button class="px-4 py-2 text-sm font-bold text-white bg-primary rounded-lg">${page}</button>`;
+      pageNumbers.innerHTML = pageWindow(page, totalPages)
+        .map((item) =>
+          item === null
+            ? `<span class="px-2 text-slate-600">...</span>`
+            : `<button class="archive-page px-4 py-2 text-sm ${
+                item === page ? "font-bold text-white bg-primary rounded-lg" : "font-medium text-slate-400 hover:text-white transition-colors"
+              }" data-page="${item}" type="button">${item}</button>`,
+        )
+        .join("");
     }
   };
 
@@ -1082,27 +1667,46 @@ async function hydrateArchive() {
     const params = new URLSearchParams();
     params.set("limit", String(state.limit));
     params.set("offset", String(state.offset));
+    params.set("sort", state.sort.key);
     if (state.query) params.set("q", state.query);
+    if (state.rule) params.set("rule", state.rule);
+    if (state.persona) params.set("persona", state.persona);
     if (state.topic) params.set("topic", state.topic);
+    if (state.tag) params.set("tag", state.tag);
     if (state.delegate) params.set("delegate", state.delegate);
 
-    const onlyOneVerdictSelected =
-      (verdictIntelligent?.checked && !verdictIdiotic?.checked) || (!verdictIntelligent?.checked && verdictIdiotic?.checked);
+    const selectedVerdicts = [verdictIntelligent, verdictIdiotic, verdictHung].filter((checkbox) => checkbox?.checked);
+
+    if (selectedVerdicts.length === 1) {
+      params.set("verdict", selectedVerdicts[0].value);
+    }
 
-    if (onlyOneVerdictSelected) {
-      params.set("verdict", verdictIdiotic?.checked ? "Idiotic" : "Intelligent");
+    if (disagreementToggle?.checked) {
+      params.set("disagreement", "true");
     }
 
     const payload = await fetchJson(`/v1/archive?${params.toString()}`);
     state.items = Array.isArray(payload.items) ? payload.items : [];
-    renderArchiveCards(grid, applySort(state.items));
+    state.total = Number(payload.total) || 0;
+    renderArchiveCards(grid, state.items);
     renderPagination();
   };
 
+  const diffId = new URLSearchParams(window.location.search).get("diff");
+  if (diffId) {
+    const diff = await safeCall(() => fetchJson(`/v1/archive/${encodeURIComponent(diffId)}/diff`), null);
+    if (diff) {
+      renderArchiveDiff(document.getElementById("archive_diff"), diff);
+    }
+  }
+
   const facets = await safeCall(() => fetchJson("/v1/archive/facets"), {
     verdicts: [],
+    consensusRules: [],
     topics: [],
+    tags: [],
     delegates: [],
+    personas: [],
   });
 
   if (topicList) {
@@ -1123,6 +1727,53 @@ async function hydrateArchive() {
       .join("\n");
   }
 
+  if (ruleList) {
+    ruleList.innerHTML = (facets.consensusRules || [])
+      .map(
+        (item) => `
+        <button class="archive-rule w-full text-left px-3 py-2 rounded-lg text-slate-300 hover:text-white hover:bg-surface-dark text-sm flex items-center justify-between group transition-colors" data-rule="${escapeHtml(
+          item.rule,
+        )}" type="button">
+          <span class="font-sans">${escapeHtml(consensusRuleLabel(item.rule))}</span>
+          <span class="text-xs bg-slate-800 text-slate-400 py-0.5 px-2 rounded-full group-hover:text-white">${escapeHtml(
+            item.count,
+          )}</span>
+        </button>
+      `,
+      )
+      .join("\n");
+  }
+
+  if (personaList) {
+    personaList.innerHTML = (facets.personas || [])
+      .map(
+        (item) => `
+        <button class="archive-persona w-full text-left px-3 py-2 rounded-lg text-slate-300 hover:text-white hover:bg-surface-dark text-sm flex items-center justify-between group transition-colors" data-persona="${escapeHtml(
+          item.persona,
+        )}" type="button">
+          <span class="font-sans">${escapeHtml(item.label)}</span>
+          <span class="text-xs bg-slate-800 text-slate-400 py-0.5 px-2 rounded-full group-hover:text-white">${escapeHtml(
+            item.count,
+          )}</span>
+        </button>
+      `,
+      )
+      .join("\n");
+  }
+
+  if (tagList) {
+    tagList.innerHTML = (facets.tags || [])
+      .slice(0, 16)
+      .map(
+        (item) => `
+        <button class="archive-tag px-3 py-1 rounded border border-slate-700 hover:border-primary text-slate-400 hover:text-primary text-xs font-sans transition-colors" data-tag="${escapeHtml(
+          item.tag,
+        )}" type="button">#${escapeHtml(item.label)} <span class="text-slate-600">${escapeHtml(item.count)}</span></button>
+      `,
+      )
+      .join("\n");
+  }
+
   if (delegateList) {
     delegateList.innerHTML = (facets.delegates || [])
       .slice(0, 8)
@@ -1136,6 +1787,28 @@ async function hydrateArchive() {
       .join("\n");
   }
 
+  ruleList?.addEventListener("click", (event) => {
+    const target = event.target instanceof Element ? event.target.closest(".archive-rule") : null;
+    if (!target) return;
+    const rule = target.dataset.rule || "";
+    state.rule = state.rule === rule ? "" : rule;
+    state.offset = 0;
+    loadArchive().catch(() => {
+      renderArchiveCards(grid, []);
+    });
+  });
+
+  personaList?.addEventListener("click", (event) => {
+    const target = event.target instanceof Element ? event.target.closest(".archive-persona") : null;
+    if (!target) return;
+    const persona = target.dataset.persona || "";
+    state.persona = state.persona === persona ? "" : persona;
+    state.offset = 0;
+    loadArchive().catch(() => {
+      renderArchiveCards(grid, []);
+    });
+  });
+
   topicList?.addEventListener("click", (event) => {
     const target = event.target instanceof Element ? event.target.closest(".archive-topic") : null;
     if (!target) return;
@@ -1147,6 +1820,17 @@ async function hydrateArchive() {
     });
   });
 
+  tagList?.addEventListener("click", (event) => {
+    const target = event.target instanceof Element ? event.target.closest(".archive-tag") : null;
+    if (!target) return;
+    const tag = target.dataset.tag || "";
+    state.tag = state.tag === tag ? "" : tag;
+    state.offset = 0;
+    loadArchive().catch(() => {
+      renderArchiveCards(grid, []);
+    });
+  });
+
   delegateList?.addEventListener("click", (event) => {
     const target = event.target instanceof Element ? event.target.closest(".archive-delegate") : null;
     if (!target) return;
@@ -1158,7 +1842,7 @@ async function hydrateArchive() {
     });
   });
 
-  [verdictIntelligent, verdictIdiotic].forEach((checkbox) => {
+  [verdictIntelligent, verdictIdiotic, verdictHung, disagreementToggle].forEach((checkbox) => {
     checkbox?.addEventListener("change", () => {
       state.offset = 0;
       loadArchive().catch(() => {
@@ -1171,7 +1855,13 @@ async function hydrateArchive() {
   searchInput?.addEventListener("input", () => {
     window.clearTimeout(searchTimer);
     searchTimer = window.setTimeout(() => {
-      state.query = String(searchInput.value || "").trim();
+      const query = String(searchInput.value || "").trim();
+      if (query && !state.query && state.sort.key === "newest") {
+        setSortMode(relevanceMode);
+      } else if (!query && state.sort === relevanceMode) {
+        setSortMode(sortModes[0]);
+      }
+      state.query = query;
       state.offset = 0;
       loadArchive().catch(() => {
         renderArchiveCards(grid, []);
@@ -1180,12 +1870,22 @@ async function hydrateArchive() {
   });
 
   sortButton?.addEventListener("click", () => {
-    const index = sortModes.findIndex((mode) => mode.key === state.sort.key);
-    state.sort = sortModes[(index + 1) % sortModes.length];
-    if (sortLabel) {
-      sortLabel.textContent = state.sort.label;
-    }
-    renderArchiveCards(grid, applySort(state.items));
+    const modes = state.query ? [relevanceMode, ...sortModes] : sortModes;
+    const index = modes.findIndex((mode) => mode.key === state.sort.key);
+    setSortMode(modes[(index + 1) % modes.length]);
+    state.offset = 0;
+    loadArchive().catch(() => {
+      renderArchiveCards(grid, []);
+    });
+  });
+
+  pageNumbers?.addEventListener("click", (event) => {
+    const target = event.target instanceof Element ? event.target.closest(".archive-page") : null;
+    if (!target) return;
+    state.offset = (Number(target.dataset.page) - 1) * state.limit;
+    loadArchive().catch(() => {
+      renderArchiveCards(grid, []);
+    });
   });
 
   prevButton?.addEventListener("click", () => {
@@ -1282,19 +1982,19 @@ function profileCardForDraft(row) {
 }
 
 async function hydrateProfile() {
-  const [profilePayload, submissionsPayload, votesPayload, alignmentPayload] = await Promise.all([
-    fetchJson("/v1/me/profile", { headers: { ...authHeaders() } }),
-    fetchJson("/v1/me/submissions?limit=200", { headers: { ...authHeaders() } }),
-    fetchJson("/v1/me/votes?limit=200", { headers: { ...authHeaders() } }),
-    fetchJson("/v1/me/alignment", { headers: { ...authHeaders() } }),
-  ]);
+  if (!currentUser) {
+    window.location.href = loginUrl();
+    return;
+  }
+
+  const [profilePayload, alignmentPayload] = await Promise.all([fetchJson("/v1/me/profile"), fetchJson("/v1/me/alignment")]);
 
-  const user = profilePayload?.user || userContext;
+  const user = profilePayload?.user || currentUser;
   const stats = profilePayload?.stats || {};
 
-  setText("profile_user_name", user.displayName || userContext.displayName);
+  setText("profile_user_name", user.displayName);
   setText("profile_user_title", stats.title || "Junior Petitioner");
-  setText("profile_member_since", `Handle: ${user.handle || userContext.handle}`);
+  setText("profile_member_since", `Handle: ${user.handle}`);
   setText("profile_stat_submissions", String(stats.submissions || 0));
   setText("profile_stat_votes", String(stats.totalVotes || 0));
   setText("profile_alignment_pct", `${stats.alignmentPct || 0}%`);
@@ -1317,9 +2017,6 @@ async function hydrateProfile() {
   const prevPage = document.getElementById("profile_prev_page");
   const nextPage = document.getElementById("profile_next_page");
 
-  const allSubmissions = Array.isArray(submissionsPayload.items) ? submissionsPayload.items : [];
-  const allVotes = Array.isArray(votesPayload.items) ? votesPayload.items : [];
-
   const state = {
     tab: "proposals",
     query: "",
@@ -1327,43 +2024,39 @@ async function hydrateProfile() {
     page: 1,
   };
 
-  const dataForTab = (tab) => {
-    if (tab === "votes") return allVotes;
-    if (tab === "drafts") return allSubmissions.filter((row) => row.status === "draft");
-    return allSubmissions.filter((row) => row.status !== "draft");
-  };
-
-  const render = () => {
-    if (!list) return;
+  // Sorting, search and paging happen on the server; "alignment" only applies
+  // to votes, so proposals and drafts fall back to newest first.
+  const listingUrl = () => {
+    const params = new URLSearchParams();
+    params.set("limit", String(PROFILE_PAGE_SIZE));
+    params.set("offset", String((state.page - 1) * PROFILE_PAGE_SIZE));
+    if (state.query) params.set("q", state.query);
 
-    const dataset = dataForTab(state.tab)
-      .filter((row) => {
-        const haystack = `${row.title || ""} ${row.body || ""}`.toLowerCase();
-        return haystack.includes(state.query.toLowerCase());
-      })
-      .sort((a, b) => {
-        const aTime = new Date(a.createdAt || a.updatedAt || 0).getTime();
-        const bTime = new Date(b.createdAt || b.updatedAt || 0).getTime();
-
-        if (state.sort === "oldest") {
-          return aTime - bTime;
-        }
+    if (state.sort === "alignment") {
+      params.set("sort", state.tab === "votes" ? "aligned" : "newest");
+    } else {
+      params.set("sort", state.sort === "recent" ? "newest" : state.sort);
+    }
 
-        if (state.sort === "alignment") {
-          const aScore = Number(a.aligned ? 1 : 0);
-          const bScore = Number(b.aligned ? 1 : 0);
-          if (bScore !== aScore) return bScore - aScore;
-          return bTime - aTime;
-        }
+    if (state.tab === "votes") {
+      return `/v1/me/votes?${params.toString()}`;
+    }
+    params.set("status", state.tab === "drafts" ? "draft" : "published");
+    return `/v1/me/submissions?${params.toString()}`;
+  };
 
-        return bTime - aTime;
-      });
+  const render = async () => {
+    if (!list) return;
 
-    const totalPages = Math.max(1, Math.ceil(dataset.length / PROFILE_PAGE_SIZE));
-    state.page = clamp(state.page, 1, totalPages);
+    const payload = await safeCall(() => fetchJson(listingUrl()), { items: [], total: 0 });
+    const pageRows = Array.isArray(payload.items) ? payload.items : [];
+    const totalPages = Math.max(1, Math.ceil((Number(payload.total) || 0) / PROFILE_PAGE_SIZE));
 
-    const offset = (state.page - 1) * PROFILE_PAGE_SIZE;
-    const pageRows = dataset.slice(offset, offset + PROFILE_PAGE_SIZE);
+    if (state.page > totalPages) {
+      state.page = totalPages;
+      render();
+      return;
+    }
 
     if (!pageRows.length) {
       list.innerHTML = `
@@ -1410,14 +2103,19 @@ async function hydrateProfile() {
     render();
   });
 
+  let searchTimer = null;
   searchInput?.addEventListener("input", () => {
-    state.query = String(searchInput.value || "").trim();
-    state.page = 1;
-    render();
+    window.clearTimeout(searchTimer);
+    searchTimer = window.setTimeout(() => {
+      state.query = String(searchInput.value || "").trim();
+      state.page = 1;
+      render();
+    }, 250);
   });
 
   sortSelect?.addEventListener("change", () => {
     state.sort = String(sortSelect.value || "recent");
+    state.page = 1;
     render();
   });
 
@@ -1442,7 +2140,7 @@ async function hydrateProfile() {
     window.location.href = "/propose";
   });
 
-  render();
+  await render();
 }
 
 function podiumCard(row, rankLabel) {
@@ -1489,6 +2187,29 @@ function leaderboardRow(row) {
   `;
 }
 
+function delegateLeaderboardRow(row) {
+  return `
+    <tr>
+      <td class="px-4 py-4 text-amber-100/75">${escapeHtml(row.rank)}</td>
+      <td class="px-4 py-4">
+        <a class="text-amber-100 hover:text-gold" href="${delegateUrl(row.modelId)}">${escapeHtml(row.displayName || row.modelId)}</a>
+        <span class="block text-xs text-amber-100/45">${escapeHtml(row.provider)}</span>
+      </td>
+      <td class="px-4 py-4">
+        <div class="flex items-center gap-3">
+          <div class="h-1.5 w-36 bg-[#13120f] rounded-full border border-borderline overflow-hidden">
+            <div class="h-full bg-gradient-to-r from-amber-600 to-gold" style="width:${clamp(Number(row.peopleMatchPct || 0), 0, 100)}%"></div>
+          </div>
+          <span class="text-amber-100/80 text-xs">${escapeHtml(row.peopleMatchPct)}% of ${escapeHtml(row.peopleComparable)}</span>
+        </div>
+      </td>
+      <td class="px-4 py-4 text-right text-amber-100/70">${escapeHtml(row.calibrationScore)}</td>
+      <td class="px-4 py-4 text-right text-amber-100/70">${escapeHtml(formatPct(row.swingPct))}</td>
+      <td class="px-4 py-4 text-right text-amber-100/70">${escapeHtml(row.totalVotes)}</td>
+    </tr>
+  `;
+}
+
 async function hydrateLeaderboard() {
   const periodTabs = Array.from(document.querySelectorAll(".leaderboard-period"));
   const top1 = document.getElementById("leaderboard_top1");
@@ -1497,10 +2218,12 @@ async function hydrateLeaderboard() {
   const tableBody = document.getElementById("leaderboard_table_body");
   const tableMeta = document.getElementById("leaderboard_table_meta");
   const statusNode = document.getElementById("leaderboard_status");
+  const delegateBody = document.getElementById("delegate_leaderboard_body");
 
   const state = {
     period: "weekly",
     items: [],
+    delegates: [],
   };
 
   const setStatus = (message, isError = false) => {
@@ -1549,6 +2272,13 @@ async function hydrateLeaderboard() {
     }
   };
 
+  const renderDelegates = () => {
+    if (!delegateBody) return;
+    delegateBody.innerHTML = state.delegates.length
+      ? state.delegates.map(delegateLeaderboardRow).join("\n")
+      : `<tr><td class="px-4 py-4 text-amber-100/60" colspan="6">No delegate has voted on a debate the People decided yet.</td></tr>`;
+  };
+
   const syncPeriodTabs = () => {
     periodTabs.forEach((button) => {
       if (button.dataset.period === state.period) {
@@ -1565,15 +2295,22 @@ async function hydrateLeaderboard() {
     setStatus("Refreshing leaderboard...");
 
     try {
-      const payload = await fetchJson(`/v1/leaderboard?period=${encodeURIComponent(state.period)}&limit=50`);
+      const [payload, delegates] = await Promise.all([
+        fetchJson(`/v1/leaderboard?period=${encodeURIComponent(state.period)}&limit=50`),
+        fetchJson(`/v1/leaderboard/delegates?period=${encodeURIComponent(state.period)}&limit=50`),
+      ]);
       state.items = Array.isArray(payload.items) ? payload.items : [];
+      state.delegates = Array.isArray(delegates.items) ? delegates.items : [];
       renderTop();
       renderTable();
+      renderDelegates();
       setStatus(`Updated ${formatDate(payload.updatedAt || new Date().toISOString())}`);
     } catch (error) {
       state.items = [];
+      state.delegates = [];
       renderTop();
       renderTable();
+      renderDelegates();
       setStatus(error.message, true);
     }
   };
@@ -1587,13 +2324,675 @@ async function hydrateLeaderboard() {
     });
   });
 
+  const agreementForm = document.getElementById("agreement_filters");
+  const agreementTopic = document.getElementById("agreement_topic");
+  const agreementHeatmap = document.getElementById("agreement_heatmap");
+  const agreementRedundant = document.getElementById("agreement_redundant");
+
+  const loadAgreement = async () => {
+    const params = new URLSearchParams();
+    if (agreementTopic?.value) params.set("topic", agreementTopic.value);
+    const dateFrom = document.getElementById("agreement_date_from")?.value;
+    const dateTo = document.getElementById("agreement_date_to")?.value;
+    if (dateFrom) params.set("date_from", dateFrom);
+    if (dateTo) params.set("date_to", `${dateTo}T23:59:59.999Z`);
+
+    try {
+      const matrix = await fetchJson(`/v1/delegates/agreement?${params.toString()}`);
+      renderAgreementHeatmap(agreementHeatmap, matrix);
+      const redundant = (matrix.mostAligned || []).filter((pair) => pair.agreementPct >= 90 && pair.shared >= 5);
+      const names = new Map((matrix.delegates || []).map((delegate) => [delegate.id, delegate.displayName]));
+      if (agreementRedundant) {
+        agreementRedundant.textContent = redundant.length
+          ? `Likely redundant picks: ${redundant
+              .map((pair) => `${names.get(pair.modelA) || pair.modelA} & ${names.get(pair.modelB) || pair.modelB} (${pair.agreementPct}%)`)
+              .join(", ")}`
+          : "No pair of delegates agrees often enough to look redundant.";
+      }
+    } catch (error) {
+      if (agreementHeatmap) {
+        agreementHeatmap.innerHTML = `<p class="text-sm text-red-300">${escapeHtml(error.message)}</p>`;
+      }
+    }
+  };
+
+  agreementForm?.addEventListener("submit", (event) => {
+    event.preventDefault();
+    loadAgreement();
+  });
+
   syncPeriodTabs();
   await load();
+
+  if (agreementTopic) {
+    const facets = await safeCall(() => fetchJson("/v1/archive/facets"), { topics: [] });
+    agreementTopic.innerHTML += (facets.topics || [])
+      .map((topic) => `<option value="${escapeHtml(topic.topic)}">${escapeHtml(topic.topic)}</option>`)
+      .join("");
+  }
+  await loadAgreement();
+}
+
+function agreementCellClass(pct) {
+  if (pct >= 90) return "bg-gold text-[#201608]";
+  if (pct >= 75) return "bg-gold/70 text-[#201608]";
+  if (pct >= 60) return "bg-gold/45 text-amber-50";
+  if (pct >= 40) return "bg-gold/25 text-amber-50";
+  return "bg-gold/10 text-amber-100/70";
+}
+
+function renderAgreementHeatmap(node, matrix) {
+  if (!node) {
+    return;
+  }
+
+  const delegates = matrix.delegates || [];
+  if (delegates.length < 2) {
+    node.innerHTML = '<p class="text-sm text-amber-100/55">Not enough shared debates to compare delegates yet.</p>';
+    return;
+  }
+
+  const lookup = new Map();
+  for (const pair of matrix.pairs || []) {
+    lookup.set(`${pair.modelA}|${pair.modelB}`, pair);
+    lookup.set(`${pair.modelB}|${pair.modelA}`, pair);
+  }
+
+  const header = delegates
+    .map(
+      (delegate) =>
+        `<th class="px-2 py-2 font-medium text-amber-100/60 align-bottom"><a class="hover:text-gold [writing-mode:vertical-rl] rotate-180 inline-block whitespace-nowrap" href="${delegateUrl(
+          delegate.id,
+        )}">${escapeHtml(delegate.displayName)}</a></th>`,
+    )
+    .join("");
+
+  const rows = delegates
+    .map((row) => {
+      const cells = delegates
+        .map((column) => {
+          if (row.id === column.id) {
+            return '<td class="px-1 py-1"><div class="size-11 rounded bg-[#17150f]"></div></td>';
+          }
+          const pair = lookup.get(`${row.id}|${column.id}`);
+          if (!pair) {
+            return '<td class="px-1 py-1"><div class="size-11 rounded border border-borderline/50 grid place-items-center text-amber-100/30">--</div></td>';
+          }
+          return `<td class="px-1 py-1"><div class="size-11 rounded grid place-items-center font-semibold ${agreementCellClass(
+            pair.agreementPct,
+          )}" title="${escapeHtml(
+            `${row.displayName} & ${column.displayName}: ${pair.agreements}/${pair.shared} debates`,
+          )}">${pair.agreementPct}</div></td>`;
+        })
+        .join("");
+      return `<tr><th class="pr-3 py-1 text-right font-medium text-amber-100/70 whitespace-nowrap"><a class="hover:text-gold" href="${delegateUrl(
+        row.id,
+      )}">${escapeHtml(row.displayName)}</a></th>${cells}</tr>`;
+    })
+    .join("");
+
+  node.innerHTML = `<table class="text-xs mx-auto"><thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+async function hydrateLogin() {
+  const loginForm = document.getElementById("login_form");
+  const signupForm = document.getElementById("signup_form");
+  const statusNode = document.getElementById("login_status");
+  const params = new URLSearchParams(window.location.search);
+  const next = String(params.get("next") || "");
+  const destination = next.startsWith("/") && !next.startsWith("//") ? next : "/profile";
+
+  const setStatus = (message, isError = false) => {
+    if (!statusNode) {
+      return;
+    }
+    statusNode.textContent = message;
+    statusNode.className = `text-sm font-sans ${isError ? "text-red-300" : "text-slate-400"}`;
+  };
+
+  const showMode = (mode) => {
+    loginForm?.classList.toggle("hidden", mode !== "login");
+    signupForm?.classList.toggle("hidden", mode !== "signup");
+    document.querySelectorAll("[data-auth-mode]").forEach((tab) => {
+      const active = tab.dataset.authMode === mode;
+      tab.classList.toggle("text-white", active);
+      tab.classList.toggle("border-primary", active);
+      tab.classList.toggle("text-slate-400", !active);
+      tab.classList.toggle("border-transparent", !active);
+    });
+    setStatus("");
+  };
+
+  document.querySelectorAll("[data-auth-mode]").forEach((tab) => {
+    tab.addEventListener("click", () => showMode(tab.dataset.authMode));
+  });
+  showMode(params.get("mode") === "signup" ? "signup" : "login");
+
+  if (currentUser) {
+    setStatus(`Signed in as ${currentUser.handle}.`);
+  }
+
+  const submitAuth = async (form, url, fields) => {
+    const button = form.querySelector("button[type='submit']");
+    if (button) button.disabled = true;
+    setStatus("Checking credentials...");
+
+    try {
+      await fetchJson(url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+        },
+        body: JSON.stringify(fields),
+      });
+      window.location.href = destination;
+    } catch (error) {
+      setStatus(error.message, true);
+      if (button) button.disabled = false;
+    }
+  };
+
+  loginForm?.addEventListener("submit", (event) => {
+    event.preventDefault();
+    submitAuth(loginForm, "/v1/auth/login", {
+      handle: document.getElementById("login_handle")?.value || "",
+      password: document.getElementById("login_password")?.value || "",
+    });
+  });
+
+  signupForm?.addEventListener("submit", (event) => {
+    event.preventDefault();
+    submitAuth(signupForm, "/v1/auth/signup", {
+      handle: document.getElementById("signup_handle")?.value || "",
+      displayName: document.getElementById("signup_display_name")?.value || "",
+      password: document.getElementById("signup_password")?.value || "",
+    });
+  });
+}
+
+function delegateUrl(modelId) {
+  return `/delegates/${String(modelId || "")
+    .split("/")
+    .map(encodeURIComponent)
+    .join("/")}`;
+}
+
+function formatPct(value) {
+  return value === null || value === undefined ? "--" : `${value}%`;
+}
+
+function renderDelegateTimeline(node, items) {
+  if (!node) {
+    return;
+  }
+
+  if (!items.length) {
+    node.innerHTML = '<p class="text-sm text-slate-400">No votes recorded yet.</p>';
+    return;
+  }
+
+  const width = 720;
+  const height = 180;
+  const slot = width / items.length;
+  const barWidth = Math.max(4, Math.min(40, slot * 0.6));
+  const maxSeats = Math.max(...items.map((item) => item.seats), 1);
+  const scale = (value) => (value / maxSeats) * (height - 20);
+
+  const bars = items
+    .map((item, index) => {
+      const x = index * slot + (slot - barWidth) / 2;
+      let y = height;
+      return [
+        ["#22c55e", item.intelligent],
+        ["#ef4444", item.idiotic],
+        ["#64748b", item.failedSeats],
+      ]
+        .map(([color, count]) => {
+          const h = scale(count);
+          y -= h;
+          return h ? `<rect x="${x}" y="${y}" width="${barWidth}" height="${h}" fill="${color}" rx="2"><title>${escapeHtml(item.period)}: ${count}</title></rect>` : "";
+        })
+        .join("");
+    })
+    .join("");
+
+  const points = items
+    .map((item, index) => (item.verdictAgreementPct === null ? null : `${index * slot + slot / 2},${height - (item.verdictAgreementPct / 100) * (height - 20)}`))
+    .filter(Boolean)
+    .join(" ");
+
+  const labelEvery = Math.ceil(items.length / 8);
+  node.innerHTML = `
+    <svg class="w-full h-48" preserveAspectRatio="none" viewBox="0 0 ${width} ${height}">
+      <line x1="0" x2="${width}" y1="${height}" y2="${height}" stroke="#2a2f3a" />
+      ${bars}
+      ${points ? `<polyline fill="none" points="${points}" stroke="#d4af37" stroke-width="2" vector-effect="non-scaling-stroke" />` : ""}
+    </svg>
+    <div class="flex text-[10px] text-slate-500 mt-1">${items
+      .map((item, index) => `<span class="flex-1 text-center truncate">${index % labelEvery === 0 ? escapeHtml(formatShortDate(item.period)) : ""}</span>`)
+      .join("")}</div>
+  `;
+}
+
+// Reliability diagram: stated confidence (x) against how often the delegate's
+// vote matched the reference verdict (y), one polyline per reference.
+function renderReliabilityCurve(node, curves) {
+  if (!node) {
+    return;
+  }
+
+  if (!curves.some((curve) => curve.comparable)) {
+    node.innerHTML = '<p class="text-sm text-slate-400">No decided debates to calibrate against yet.</p>';
+    return;
+  }
+
+  const size = 240;
+  const point = (x, y) => `${(x / 100) * size},${size - (y / 100) * size}`;
+  const lines = curves
+    .map(({ bins, color }) => {
+      const points = bins.filter((bin) => bin.count).map((bin) => point(bin.meanConfidence, bin.observedPct));
+      const dots = bins
+        .filter((bin) => bin.count)
+        .map((bin) => {
+          const [cx, cy] = point(bin.meanConfidence, bin.observedPct).split(",");
+          return `<circle cx="${cx}" cy="${cy}" r="${Math.min(8, 2 + Math.sqrt(bin.count))}" fill="${color}"><title>${bin.from}-${bin.to}: ${bin.observedPct}% of ${bin.count}</title></circle>`;
+        })
+        .join("");
+      return `<polyline fill="none" points="${points.join(" ")}" stroke="${color}" stroke-width="2" />${dots}`;
+    })
+    .join("");
+
+  node.innerHTML = `
+    <svg class="w-full max-w-sm h-64 mx-auto block" viewBox="-24 -8 ${size + 32} ${size + 32}">
+      <rect x="0" y="0" width="${size}" height="${size}" fill="none" stroke="#2a2f3a" />
+      <line x1="0" y1="${size}" x2="${size}" y2="0" stroke="#64748b" stroke-dasharray="4 4" />
+      ${lines}
+      <text x="${size / 2}" y="${size + 20}" fill="#94a3b8" font-size="10" text-anchor="middle">Stated confidence</text>
+      <text x="-14" y="${size / 2}" fill="#94a3b8" font-size="10" text-anchor="middle" transform="rotate(-90 -14 ${size / 2})">Observed agreement</text>
+    </svg>
+  `;
+}
+
+async function hydrateDelegate() {
+  const modelId = window.location.pathname
+    .replace(/^\/delegates\//, "")
+    .split("/")
+    .map(decodeURIComponent)
+    .join("/");
+  const state = { bucket: "week" };
+  const bucketTabs = Array.from(document.querySelectorAll("[data-stats-bucket]"));
+
+  const load = async () => {
+    let stats;
+    try {
+      stats = await fetchJson(`${delegateUrl(modelId).replace("/delegates/", "/v1/delegates/")}/stats?bucket=${state.bucket}`);
+    } catch (error) {
+      setText("delegate_name", "Delegate not found");
+      setText("delegate_meta", error.message);
+      return;
+    }
+
+    const { delegate, summary } = stats;
+    document.title = `icracy.com - ${delegate.displayName || delegate.id}`;
+    setText("delegate_name", delegate.displayName || delegate.id);
+    setText(
+      "delegate_meta",
+      [delegate.id, delegate.provider, delegate.servedBy && `served by ${delegate.servedBy}`, delegate.rank && `rank #${delegate.rank}`]
+        .filter(Boolean)
+        .join(" • "),
+    );
+    setText("delegate_stat_seats", String(summary.seats));
+    setText("delegate_stat_intelligent", formatPct(summary.intelligentPct));
+    setText("delegate_stat_confidence", summary.avgConfidence === null ? "--" : String(summary.avgConfidence));
+    setText("delegate_stat_failure", formatPct(summary.failureRatePct));
+    setText(
+      "delegate_stat_latency",
+      summary.p50LatencyMs === null ? "--" : `${(summary.p50LatencyMs / 1000).toFixed(1)}s / ${(summary.p95LatencyMs / 1000).toFixed(1)}s`,
+    );
+    setText("delegate_stat_verdict", formatPct(summary.verdictAgreementPct));
+    setText("delegate_stat_people", formatPct(summary.peopleAgreementPct));
+    setText("delegate_stat_calls", `${summary.calls} / ${summary.timeouts}`);
+
+    bucketTabs.forEach((tab) => {
+      const active = tab.dataset.statsBucket === state.bucket;
+      tab.classList.toggle("border-primary", active);
+      tab.classList.toggle("text-white", active);
+      tab.classList.toggle("border-transparent", !active);
+      tab.classList.toggle("text-slate-400", !active);
+    });
+    renderDelegateTimeline(document.getElementById("delegate_timeline"), stats.timeline.items || []);
+
+    setHtml(
+      "delegate_topics",
+      stats.topics.length
+        ? stats.topics
+            .map(
+              (row) => `
+                <tr>
+                  <td class="py-2 pr-4 text-white">${escapeHtml(row.topic || "General")}</td>
+                  <td class="py-2 pr-4 text-slate-300">${escapeHtml(row.seats)}</td>
+                  <td class="py-2 pr-4 text-slate-300">${escapeHtml(formatPct(row.intelligentPct))}</td>
+                  <td class="py-2 pr-4 text-slate-300">${escapeHtml(formatPct(row.verdictAgreementPct))}</td>
+                  <td class="py-2 text-slate-300">${escapeHtml(formatPct(row.peopleAgreementPct))}</td>
+                </tr>
+              `,
+            )
+            .join("")
+        : '<tr><td class="py-3 text-slate-400" colspan="5">No topics yet.</td></tr>',
+    );
+
+    setHtml(
+      "delegate_recent",
+      stats.recent.length
+        ? stats.recent
+            .map(
+              (row) => `
+                <a class="flex items-center justify-between gap-3 p-3 rounded-lg border border-border-dark bg-background-dark hover:border-primary/50 transition-colors" href="/assembly?debate=${encodeURIComponent(
+                  row.debateId,
+                )}">
+                  <div class="min-w-0">
+                    <p class="text-white text-sm truncate">${escapeHtml(row.title)}</p>
+                    <p class="text-slate-400 text-xs">${escapeHtml(row.topic || "General")} • Verdict ${escapeHtml(row.verdict || "pending")}</p>
+                  </div>
+                  <span class="px-2 py-0.5 rounded text-[10px] font-bold uppercase border shrink-0 ${
+                    row.error ? "border-slate-500/30 text-slate-400" : voteBadgeClass(row.vote)
+                  }">${escapeHtml(row.error ? "Failed" : `${row.vote} ${row.confidence ?? ""}`)}</span>
+                </a>
+              `,
+            )
+            .join("")
+        : '<p class="text-sm text-slate-400">No votes yet.</p>',
+    );
+  };
+
+  bucketTabs.forEach((tab) => {
+    tab.onclick = async () => {
+      state.bucket = tab.dataset.statsBucket;
+      await load();
+    };
+  });
+
+  await load();
+
+  const calibration = await safeCall(
+    () => fetchJson(`${delegateUrl(modelId).replace("/delegates/", "/v1/delegates/")}/calibration`),
+    null,
+  );
+  if (calibration) {
+    renderReliabilityCurve(document.getElementById("delegate_calibration"), [
+      { ...calibration.consensus, color: "#135bec" },
+      { ...calibration.people, color: "#d4af37" },
+    ]);
+    const brier = (curve) => (curve.brier === null ? "--" : curve.brier.toFixed(3));
+    setText(
+      "delegate_calibration_scores",
+      `Brier vs consensus ${brier(calibration.consensus)} (${calibration.consensus.comparable}) • vs People ${brier(calibration.people)} (${
+        calibration.people.comparable
+      }) • lower is better`,
+    );
+  }
+}
+
+function moderationFlagActions(flag) {
+  if (flag.status !== "open") {
+    return "";
+  }
+
+  const button = (action, label, tone = "border-border-dark text-slate-300 hover:bg-white/5") =>
+    `<button class="text-xs px-3 py-1.5 rounded-lg border ${tone} transition-colors" data-mod-action="${action}" data-flag-id="${escapeHtml(
+      flag.id,
+    )}" data-target-id="${escapeHtml(flag.targetId)}" type="button">${label}</button>`;
+  const danger = "border-red-500/50 text-red-300 hover:bg-red-500/10";
+  const actions = [];
+
+  if (flag.targetExists && flag.targetType === "resolution") {
+    actions.push(button("hide", "Hide Resolution"));
+    if (currentUser?.role === "admin") {
+      actions.push(button("delete-resolution", "Delete", danger));
+    }
+  }
+  if (flag.targetExists && flag.targetType === "argument") {
+    actions.push(button("delete-argument", "Remove Argument", danger));
+  }
+  if (flag.targetExists && flag.targetType === "user") {
+    actions.push(button("suspend", "Suspend User", danger));
+  }
+  actions.push(button("dismiss", "Dismiss"));
+
+  return actions.join("");
+}
+
+async function hydrateModeration() {
+  if (!currentUser) {
+    window.location.href = loginUrl();
+    return;
+  }
+
+  const statusNode = document.getElementById("moderation_status");
+  const setStatus = (message, isError = false) => {
+    if (!statusNode) {
+      return;
+    }
+    statusNode.textContent = message;
+    statusNode.className = `text-sm font-sans ${isError ? "text-red-300" : "text-slate-400"}`;
+  };
+
+  if (currentUser.role !== "moderator" && currentUser.role !== "admin") {
+    setStatus("The moderation console is limited to moderators and admins.", true);
+    return;
+  }
+
+  const state = { flagStatus: "open" };
+  const statusTabs = Array.from(document.querySelectorAll("[data-flag-status]"));
+
+  const loadFlags = async () => {
+    const payload = await fetchJson(`/v1/moderation/flags?status=${encodeURIComponent(state.flagStatus)}`);
+    const items = payload.items || [];
+
+    statusTabs.forEach((tab) => {
+      const active = tab.dataset.flagStatus === state.flagStatus;
+      tab.classList.toggle("border-primary", active);
+      tab.classList.toggle("text-white", active);
+      tab.classList.toggle("border-transparent", !active);
+      tab.classList.toggle("text-slate-400", !active);
+    });
+
+    setHtml(
+      "moderation_flags",
+      items.length
+        ? items
+            .map(
+              (flag) => `
+                <div class="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 rounded-lg border border-border-dark bg-background-dark">
+                  <div class="min-w-0">
+                    <div class="flex items-center gap-2 mb-1 text-xs">
+                      <span class="px-2 py-0.5 rounded font-bold uppercase tracking-wider bg-primary/20 text-primary border border-primary/20">${escapeHtml(
+                        flag.targetType,
+                      )}</span>
+                      ${flag.actioned ? '<span class="px-2 py-0.5 rounded font-bold uppercase tracking-wider bg-amber-500/10 text-amber-300 border border-amber-500/30">Actioned</span>' : ""}
+                      <span class="text-slate-400">Reported by ${escapeHtml(flag.reporterHandle || "unknown")} • ${escapeHtml(
+                        relativeTime(flag.createdAt) || formatShortDate(flag.createdAt),
+                      )}</span>
+                    </div>
+                    <p class="text-white text-sm truncate">${
+                      flag.targetExists ? escapeHtml(truncate(flag.targetPreview, 160)) : '<span class="text-slate-500 italic">Content already removed</span>'
+                    }</p>
+                    <p class="text-slate-400 text-xs mt-1">Reason: ${escapeHtml(flag.reason)}${
+                      flag.debateId ? ` • <a class="text-primary hover:underline" href="/assembly?debate=${encodeURIComponent(flag.debateId)}">View debate</a>` : ""
+                    }${flag.resolvedByHandle ? ` • Closed by ${escapeHtml(flag.resolvedByHandle)}` : ""}</p>
+                  </div>
+                  <div class="flex flex-wrap gap-2 shrink-0">${moderationFlagActions(flag)}</div>
+                </div>
+              `,
+            )
+            .join("")
+        : `<p class="text-sm text-slate-400">No ${escapeHtml(state.flagStatus)} flags.</p>`,
+    );
+  };
+
+  const loadScreening = async () => {
+    const payload = await fetchJson("/v1/moderation/screening?decision=quarantine");
+    const items = payload.items || [];
+
+    setHtml(
+      "moderation_screening",
+      items.length
+        ? items
+            .map(
+              (item) => `
+                <div class="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 rounded-lg border border-border-dark bg-background-dark">
+                  <div class="min-w-0">
+                    <div class="flex items-center gap-2 mb-1 text-xs">
+                      <span class="px-2 py-0.5 rounded font-bold uppercase tracking-wider bg-amber-500/10 text-amber-300 border border-amber-500/30">${escapeHtml(
+                        item.targetType,
+                      )}</span>
+                      <span class="text-slate-400">By ${escapeHtml(item.userHandle || "unknown")} • ${escapeHtml(
+                        relativeTime(item.createdAt) || formatShortDate(item.createdAt),
+                      )} • ${escapeHtml(item.classifier)}</span>
+                    </div>
+                    <p class="text-white text-sm whitespace-pre-line">${escapeHtml(truncate(item.content, 400))}</p>
+                    <p class="text-amber-200/80 text-xs mt-1">${escapeHtml(screeningReasonText(item))}</p>
+                  </div>
+                  <div class="flex flex-wrap gap-2 shrink-0">
+                    <button class="text-xs px-3 py-1.5 rounded-lg border border-green-500/50 text-green-300 hover:bg-green-500/10 transition-colors" data-mod-action="approve-screening" data-target-id="${escapeHtml(
+                      item.id,
+                    )}" type="button">Approve</button>
+                    <button class="text-xs px-3 py-1.5 rounded-lg border border-red-500/50 text-red-300 hover:bg-red-500/10 transition-colors" data-mod-action="reject-screening" data-target-id="${escapeHtml(
+                      item.id,
+                    )}" type="button">Reject</button>
+                  </div>
+                </div>
+              `,
+            )
+            .join("")
+        : '<p class="text-sm text-slate-400">Nothing is waiting for review.</p>',
+    );
+  };
+
+  const loadFailedDebates = async () => {
+    const payload = await fetchJson("/v1/moderation/failed-debates");
+    const items = payload.items || [];
+
+    setHtml(
+      "moderation_failed_debates",
+      items.length
+        ? items
+            .map(
+              (debate) => `
+                <div class="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 rounded-lg border border-border-dark bg-background-dark">
+                  <div class="min-w-0">
+                    <p class="text-white text-sm truncate">${escapeHtml(debate.title)}</p>
+                    <p class="text-slate-400 text-xs mt-1">Failed ${escapeHtml(relativeTime(debate.failedAt) || formatShortDate(debate.failedAt))} after ${escapeHtml(
+                      debate.attempts || 0,
+                    )} attempt(s)${debate.lastError ? ` • ${escapeHtml(truncate(debate.lastError, 140))}` : ""}</p>
+                  </div>
+                  <button class="text-xs px-3 py-1.5 rounded-lg border border-primary/50 text-primary hover:bg-primary/10 transition-colors shrink-0" data-mod-action="rerun" data-target-id="${escapeHtml(
+                    debate.id,
+                  )}" type="button">Re-run Debate</button>
+                </div>
+              `,
+            )
+            .join("")
+        : '<p class="text-sm text-slate-400">No failed debates.</p>',
+    );
+  };
+
+  const loadAudit = async () => {
+    const payload = await fetchJson("/v1/moderation/audit?limit=100");
+    const items = payload.items || [];
+
+    setHtml(
+      "moderation_audit",
+      items.length
+        ? items
+            .map(
+              (entry) => `
+                <tr>
+                  <td class="py-2 pr-4 text-slate-400 whitespace-nowrap">${escapeHtml(formatShortDate(entry.createdAt))}</td>
+                  <td class="py-2 pr-4 text-white">${escapeHtml(entry.actorHandle || entry.actorUserId || "unknown")}</td>
+                  <td class="py-2 pr-4 font-mono text-xs text-slate-300">${escapeHtml(entry.action)}</td>
+                  <td class="py-2 pr-4 text-slate-400">${escapeHtml(entry.targetType)} <span class="font-mono text-xs">${escapeHtml(
+                    truncate(entry.details?.handle || entry.details?.title || entry.targetId, 40),
+                  )}</span></td>
+                  <td class="py-2 text-slate-400">${escapeHtml(entry.reason || "")}</td>
+                </tr>
+              `,
+            )
+            .join("")
+        : '<tr><td class="py-3 text-slate-400" colspan="5">No moderation actions yet.</td></tr>',
+    );
+  };
+
+  const refresh = () => Promise.all([loadFlags(), loadScreening(), loadFailedDebates(), loadAudit()]);
+
+  statusTabs.forEach((tab) => {
+    tab.onclick = async () => {
+      state.flagStatus = tab.dataset.flagStatus;
+      await safeCall(loadFlags, null);
+    };
+  });
+
+  const requests = {
+    hide: (id, reason) => [`/v1/moderation/resolutions/${encodeURIComponent(id)}/hide`, "POST", { reason }],
+    "delete-resolution": (id, reason) => [`/v1/moderation/resolutions/${encodeURIComponent(id)}`, "DELETE", { reason }],
+    "delete-argument": (id, reason) => [`/v1/moderation/arguments/${encodeURIComponent(id)}`, "DELETE", { reason }],
+    suspend: (id, reason) => [`/v1/moderation/users/${encodeURIComponent(id)}/suspend`, "POST", { reason }],
+    rerun: (id) => [`/v1/moderation/debates/${encodeURIComponent(id)}/rerun`, "POST", {}],
+    "approve-screening": (id, reason) => [`/v1/moderation/screening/${encodeURIComponent(id)}/approve`, "POST", { reason }],
+    "reject-screening": (id, reason) => [`/v1/moderation/screening/${encodeURIComponent(id)}/reject`, "POST", { reason }],
+  };
+
+  document.querySelector("main").addEventListener("click", async (event) => {
+    const button = event.target.closest("[data-mod-action]");
+    if (!button) {
+      return;
+    }
+
+    const action = button.dataset.modAction;
+    let reason = "";
+    if (action !== "rerun") {
+      reason = window.prompt("Reason for the audit log (optional):");
+      if (reason === null) {
+        return;
+      }
+    }
+
+    const [url, method, body] =
+      action === "dismiss"
+        ? [`/v1/moderation/flags/${encodeURIComponent(button.dataset.flagId)}/dismiss`, "POST", { reason }]
+        : requests[action](button.dataset.targetId, reason);
+
+    button.disabled = true;
+    try {
+      await fetchJson(url, {
+        method,
+        headers: {
+          "content-type": "application/json",
+        },
+        body: JSON.stringify(body),
+      });
+      setStatus("Done.");
+      await refresh();
+    } catch (error) {
+      setStatus(error.message, true);
+      button.disabled = false;
+    }
+  });
+
+  await refresh().catch((error) => setStatus(error.message, true));
 }
 
 async function init() {
   const page = document.body.dataset.page;
 
+  await loadCurrentUser();
+  renderAuthControls();
+
+  if (page === "login") {
+    await hydrateLogin();
+    return;
+  }
+
   if (page === "landing") {
     await hydrateLanding();
     return;
@@ -1621,6 +3020,16 @@ async function init() {
 
   if (page === "leaderboard") {
     await hydrateLeaderboard();
+    return;
+  }
+
+  if (page === "moderation") {
+    await hydrateModeration();
+    return;
+  }
+
+  if (page === "delegate") {
+    await hydrateDelegate();
   }
 }
 
@@ -4,7 +4,7 @@ const express = require("express");
 const fs = require("node:fs");
 const fsp = require("node:fs/promises");
 const path = require("node:path");
-const { randomUUID, createHash } = require("node:crypto");
+const { randomUUID, randomBytes, createHash, createHmac, scryptSync, timingSafeEqual } = require("node:crypto");
 const { EventEmitter } = require("node:events");
 const Database = require("better-sqlite3");
 
@@ -22,23 +22,167 @@ const OPENROUTER_RANKINGS_URL = "https://openrouter.ai/rankings";
 const OPENROUTER_SITE_URL = process.env.OPENROUTER_SITE_URL || (IS_VERCEL ? "https://icracy.vercel.app" : `http://localhost:${PORT}`);
 const OPENROUTER_SITE_NAME = process.env.OPENROUTER_SITE_NAME || "icracy.com";
 
+const LOCAL_MODEL_BASE_URL = String(process.env.LOCAL_MODEL_BASE_URL || "").replace(/\/+$/, "");
+const LOCAL_MODEL_API_KEY = process.env.LOCAL_MODEL_API_KEY || "";
+const LOCAL_MODEL_IDS = String(process.env.LOCAL_MODEL_IDS || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+// vLLM, llama.cpp server and recent Ollama accept `response_format` JSON schemas.
+const LOCAL_MODEL_STRUCTURED_OUTPUT = process.env.LOCAL_MODEL_STRUCTURED_OUTPUT === "true";
+const DELEGATE_PROVIDER_IDS = String(process.env.DELEGATE_PROVIDERS || (LOCAL_MODEL_BASE_URL ? "openrouter,openai_compatible" : "openrouter"))
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+
 const DEFAULT_USER_ID = process.env.DEFAULT_USER_ID || "user-human-8821";
 const DEFAULT_USER_HANDLE = process.env.DEFAULT_USER_HANDLE || "human-8821";
 const DEFAULT_USER_NAME = process.env.DEFAULT_USER_NAME || "Human Delegate";
 
+// Trusting x-user-* headers is a development convenience only.
+const AUTH_DEV_HEADERS = process.env.AUTH_DEV_HEADERS === "true";
+const SESSION_COOKIE_NAME = "icracy_session";
+const SESSION_TTL_MS = Math.max(1, Number(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Sessions are signed with SESSION_SECRET; a per-process key would log users
+// out on every restart and across serverless instances, so only dev mode may
+// run without one.
+const SESSION_SECRET = process.env.SESSION_SECRET || (AUTH_DEV_HEADERS ? randomBytes(32).toString("hex") : "");
+if (!SESSION_SECRET) {
+  throw new Error("SESSION_SECRET is not set; set it, or AUTH_DEV_HEADERS=true for local development");
+}
+const PASSWORD_MIN_LENGTH = 8;
+const USER_ROLES = ["citizen", "moderator", "admin"];
+
 const DELEGATE_SYNC_TTL_MS = 10 * 60 * 1000;
 const MODEL_CATALOG_TTL_MS = 10 * 60 * 1000;
 
-const runtime = {
-  modelCatalogCache: {
-    expiresAt: 0,
-    data: [],
+const MAX_REBUTTAL_ROUNDS = 3;
+const DEBATE_JOB_CONCURRENCY = Math.max(1, Number(process.env.DEBATE_JOB_CONCURRENCY) || 2);
+const DEBATE_JOB_MAX_ATTEMPTS = 3;
+const DELEGATE_CALL_TIMEOUT_MS = Math.max(1000, Number(process.env.DELEGATE_CALL_TIMEOUT_MS) || 45000);
+const DELEGATE_MAX_RETRIES = Math.max(0, Math.min(5, Number(process.env.DELEGATE_MAX_RETRIES ?? 2) || 0));
+const DELEGATE_RETRY_BASE_MS = Math.max(100, Number(process.env.DELEGATE_RETRY_BASE_MS) || 1000);
+const DELEGATE_SUBSTITUTES_DEFAULT = process.env.DELEGATE_SUBSTITUTES === "true";
+const MOCK_STREAM_CHUNK_SIZE = 12;
+const MOCK_STREAM_DELAY_MS = Math.max(0, Number(process.env.MOCK_STREAM_DELAY_MS ?? 20) || 0);
+const MOCK_DELEGATE_OUTPUT = ["json", "invalid", "invalid_repair_fails"].includes(process.env.MOCK_DELEGATE_OUTPUT)
+  ? process.env.MOCK_DELEGATE_OUTPUT
+  : "json";
+const DEFAULT_REBUTTAL_ROUNDS = Math.max(0, Math.min(MAX_REBUTTAL_ROUNDS, Number(process.env.DEBATE_REBUTTAL_ROUNDS) || 0));
+
+const CONSENSUS_RULES = ["majority", "confidence", "calibrated", "rank", "supermajority"];
+const CONSENSUS_RULE_LABELS = {
+  majority: "simple majority",
+  confidence: "confidence-weighted majority",
+  calibrated: "calibration-weighted majority",
+  rank: "rank-weighted majority",
+  supermajority: "supermajority",
+};
+const DEFAULT_CONSENSUS_RULE = CONSENSUS_RULES.includes(process.env.CONSENSUS_RULE) ? process.env.CONSENSUS_RULE : "majority";
+const DEFAULT_SUPERMAJORITY_PCT = Math.max(51, Math.min(100, Number(process.env.CONSENSUS_SUPERMAJORITY_PCT) || 67));
+const DEFAULT_HUMAN_VERDICT_WEIGHT = Math.max(0, Math.min(1, Number(process.env.HUMAN_VERDICT_WEIGHT ?? 0.3) || 0));
+// Delegates without a leaderboard position weigh like the last synced seat.
+const UNRANKED_DELEGATE_RANK = 20;
+// Reliability curves bin stated confidence in tens. A bin's observed hit rate
+// is blended with the stated confidence as if it had this many extra votes, so
+// a delegate with little history keeps roughly its own stated weight.
+const CALIBRATION_BIN_SIZE = 10;
+const CALIBRATION_PRIOR_VOTES = Math.max(0, Number(process.env.CALIBRATION_PRIOR_VOTES ?? 5) || 0);
+
+// Fixed-window budgets per route group. Each request is charged to the
+// signed-in user and to the client IP; the IP allowance is scaled up so
+// households and offices behind one address are not throttled as one person.
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+const RATE_LIMIT_IP_MULTIPLIER = Math.max(1, Number(process.env.RATE_LIMIT_IP_MULTIPLIER) || 3);
+const RATE_LIMITS = {
+  submissions: {
+    label: "submissions",
+    limit: Math.max(1, Number(process.env.RATE_LIMIT_SUBMISSIONS_PER_HOUR) || 10),
+    windowMs: 60 * 60 * 1000,
+    windowLabel: "hour",
+  },
+  votes: {
+    label: "votes",
+    limit: Math.max(1, Number(process.env.RATE_LIMIT_VOTES_PER_MINUTE) || 20),
+    windowMs: 60 * 1000,
+    windowLabel: "minute",
+  },
+  arguments: {
+    label: "arguments",
+    limit: Math.max(1, Number(process.env.RATE_LIMIT_ARGUMENTS_PER_MINUTE) || 5),
+    windowMs: 60 * 1000,
+    windowLabel: "minute",
+  },
+  flags: {
+    label: "reports",
+    limit: Math.max(1, Number(process.env.RATE_LIMIT_FLAGS_PER_HOUR) || 20),
+    windowMs: 60 * 60 * 1000,
+    windowLabel: "hour",
+  },
+  auth: {
+    label: "sign-in attempts",
+    limit: Math.max(1, Number(process.env.RATE_LIMIT_AUTH_PER_HOUR) || 30),
+    windowMs: 60 * 60 * 1000,
+    windowLabel: "hour",
+    ipOnly: true,
+  },
+  lookups: {
+    label: "similarity checks",
+    limit: Math.max(1, Number(process.env.RATE_LIMIT_LOOKUPS_PER_MINUTE) || 30),
+    windowMs: 60 * 1000,
+    windowLabel: "minute",
+  },
+};
+
+// Spending budgets in USD; unset means unlimited. Days and months are UTC.
+function parseBudgetUsd(value) {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+const SPENDING_BUDGETS = {
+  user: {
+    daily: parseBudgetUsd(process.env.BUDGET_USER_DAILY_USD),
+    monthly: parseBudgetUsd(process.env.BUDGET_USER_MONTHLY_USD),
+  },
+  global: {
+    daily: parseBudgetUsd(process.env.BUDGET_GLOBAL_DAILY_USD),
+    monthly: parseBudgetUsd(process.env.BUDGET_GLOBAL_MONTHLY_USD),
   },
+};
+const BUDGET_EXCEEDED_ACTION = process.env.BUDGET_EXCEEDED_ACTION === "block" ? "block" : "downgrade";
+
+const SCREENING_ENABLED = process.env.SCREENING_ENABLED !== "false";
+const SCREENING_BLOCKLIST = String(process.env.SCREENING_BLOCKLIST || "")
+  .split(",")
+  .map((term) => term.trim().toLowerCase())
+  .filter(Boolean);
+const SCREENING_MODEL = String(process.env.SCREENING_MODEL || "").trim();
+const SCREENING_MODEL_PROVIDER = process.env.SCREENING_MODEL_PROVIDER || "openrouter";
+const SCREENING_DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+const SCREENING_MAX_LINKS = 3;
+
+// Past resolutions at least this similar (0-1 shingle similarity) are shown to
+// the author; at the block threshold a submission is refused (0 turns that off).
+const DUPLICATE_WARN_SIMILARITY = Math.max(0, Math.min(1, Number(process.env.DUPLICATE_WARN_SIMILARITY ?? 0.45) || 0));
+const DUPLICATE_BLOCK_SIMILARITY = Math.max(0, Math.min(1, Number(process.env.DUPLICATE_BLOCK_SIMILARITY ?? 0.9) || 0));
+
+// Optional delegate (a `delegate_models` id) asked to pick tags from the
+// built-in dictionary at submission; the keyword rules are the fallback.
+const TAG_CLASSIFIER_DELEGATE = String(process.env.TAG_CLASSIFIER_DELEGATE || "").trim();
+const MAX_RESOLUTION_TAGS = 5;
+
+const runtime = {
+  modelCatalogCache: {},
   delegateSync: {
     expiresAt: 0,
   },
   streamBus: new EventEmitter(),
   schedulerHandle: null,
+  debateWorker: {
+    active: 0,
+    running: new Map(),
+  },
+  rateLimitBuckets: new Map(),
 };
 
 function nowIso() {
@@ -79,6 +223,14 @@ function normalizeVote(vote) {
   return "Intelligent";
 }
 
+function normalizeVerdict(verdict) {
+  const normalized = String(verdict || "").trim().toLowerCase();
+  if (normalized.startsWith("hung")) {
+    return "Hung";
+  }
+  return normalizeVote(normalized);
+}
+
 function flattenOpenRouterContent(content) {
   if (typeof content === "string") {
     return content;
@@ -130,17 +282,26 @@ function maybeParseJsonObject(text) {
   }
 }
 
+// `parse` records how the vote was recovered: `strict` when the reply is a JSON
+// object with a recognisable vote and numeric confidence, `regex` when the vote
+// was scraped from free text, `defaulted` when no vote could be found at all.
 function parseDelegateOutput(rawText) {
   const fallback = String(rawText || "").replace(/\s+/g, " ").trim();
   const parsed = maybeParseJsonObject(rawText);
 
   if (parsed && typeof parsed === "object") {
-    return {
-      vote: normalizeVote(parsed.vote || parsed.verdict),
-      confidence: clamp(Number(parsed.confidence) || 55, 1, 100),
-      argument: String(parsed.argument || parsed.reasoning || fallback || "No argument returned.").trim(),
-      rebuttal: String(parsed.rebuttal || parsed.counterpoint || "").trim(),
-    };
+    const rawVote = String(parsed.vote || parsed.verdict || "");
+    const voteMatch = rawVote.match(/\b(intelligent|idiotic)\b/i);
+    if (voteMatch) {
+      const strict = /^\s*(intelligent|idiotic)\b/i.test(rawVote) && Number.isFinite(Number(parsed.confidence));
+      return {
+        vote: normalizeVote(voteMatch[1]),
+        confidence: clamp(Number(parsed.confidence) || 55, 1, 100),
+        argument: String(parsed.argument || parsed.reasoning || fallback || "No argument returned.").trim(),
+        rebuttal: String(parsed.rebuttal || parsed.counterpoint || "").trim(),
+        parse: strict ? "strict" : "regex",
+      };
+    }
   }
 
   const voteMatch = fallback.match(/\b(Intelligent|Idiotic)\b/i);
@@ -151,12 +312,33 @@ function parseDelegateOutput(rawText) {
     confidence: clamp(Number(confidenceMatch ? confidenceMatch[1] : 55), 1, 100),
     argument: fallback || "No argument returned.",
     rebuttal: "",
+    parse: voteMatch ? "regex" : "defaulted",
   };
 }
 
-function computeConsensus(delegateRows) {
+// A weight recorded when the debate closed wins over recomputing it, since
+// ranks and calibration curves drift after the verdict is stored.
+function delegateConsensusWeight(row, rule) {
+  if (row.consensusWeight !== null && row.consensusWeight !== undefined) {
+    return row.consensusWeight;
+  }
+  if (rule === "confidence") {
+    return Number(row.confidence) || 0;
+  }
+  if (rule === "calibrated") {
+    return row.calibratedWeight ?? (Number(row.confidence) || 0) / 100;
+  }
+  if (rule === "rank") {
+    return 1 / Math.max(1, Number(row.rank) || UNRANKED_DELEGATE_RANK);
+  }
+  return 1;
+}
+
+function computeConsensus(delegateRows, { rule = "majority", threshold = DEFAULT_SUPERMAJORITY_PCT } = {}) {
   let intelligentVotes = 0;
   let idioticVotes = 0;
+  let intelligentConfidence = 0;
+  let idioticConfidence = 0;
   let intelligentWeight = 0;
   let idioticWeight = 0;
 
@@ -165,37 +347,128 @@ function computeConsensus(delegateRows) {
       continue;
     }
 
+    const weight = delegateConsensusWeight(row, rule);
     if (row.vote === "Idiotic") {
       idioticVotes += 1;
-      idioticWeight += row.confidence;
+      idioticConfidence += row.confidence;
+      idioticWeight += weight;
     } else {
       intelligentVotes += 1;
-      intelligentWeight += row.confidence;
+      intelligentConfidence += row.confidence;
+      intelligentWeight += weight;
     }
   }
 
   const totalVotes = intelligentVotes + idioticVotes;
+  const totalWeight = intelligentWeight + idioticWeight;
+  const weighted = rule === "confidence" || rule === "calibrated" || rule === "rank";
+
+  const intelligentPct = weighted
+    ? totalWeight
+      ? Math.round((intelligentWeight / totalWeight) * 100)
+      : 50
+    : totalVotes
+      ? Math.round((intelligentVotes / totalVotes) * 100)
+      : 50;
+  const idioticPct = 100 - intelligentPct;
 
-  let verdict = "Intelligent";
-  if (idioticVotes > intelligentVotes) {
-    verdict = "Idiotic";
-  } else if (idioticVotes === intelligentVotes) {
-    verdict = idioticWeight > intelligentWeight ? "Idiotic" : "Intelligent";
+  // `Hung` is recorded whenever the selected rule cannot name a side.
+  let verdict = "Hung";
+  if (rule === "supermajority") {
+    if (intelligentPct >= threshold) {
+      verdict = "Intelligent";
+    } else if (idioticPct >= threshold) {
+      verdict = "Idiotic";
+    }
+  } else if (weighted) {
+    if (intelligentWeight !== idioticWeight) {
+      verdict = idioticWeight > intelligentWeight ? "Idiotic" : "Intelligent";
+    }
+  } else if (intelligentVotes !== idioticVotes) {
+    verdict = idioticVotes > intelligentVotes ? "Idiotic" : "Intelligent";
+  } else if (intelligentConfidence !== idioticConfidence) {
+    verdict = idioticConfidence > intelligentConfidence ? "Idiotic" : "Intelligent";
   }
 
-  const intelligentPct = totalVotes ? Math.round((intelligentVotes / totalVotes) * 100) : 50;
-  const idioticPct = 100 - intelligentPct;
-
   return {
     verdict,
+    rule,
+    threshold: rule === "supermajority" ? threshold : null,
     intelligentVotes,
     idioticVotes,
     totalVotes,
+    intelligentWeight: Math.round(intelligentWeight * 1000) / 1000,
+    idioticWeight: Math.round(idioticWeight * 1000) / 1000,
     intelligentPct,
     idioticPct,
   };
 }
 
+function computePeoplesVerdict(humanRows) {
+  const intelligentVotes = humanRows.filter((row) => row.vote === "Intelligent").length;
+  const idioticVotes = humanRows.length - intelligentVotes;
+
+  if (!humanRows.length) {
+    return { verdict: null, intelligentVotes, idioticVotes, totalVotes: 0, intelligentPct: null };
+  }
+
+  let verdict = "Hung";
+  if (intelligentVotes !== idioticVotes) {
+    verdict = idioticVotes > intelligentVotes ? "Idiotic" : "Intelligent";
+  }
+
+  return {
+    verdict,
+    intelligentVotes,
+    idioticVotes,
+    totalVotes: humanRows.length,
+    intelligentPct: Math.round((intelligentVotes / humanRows.length) * 100),
+  };
+}
+
+// Blends the delegates' intelligent share with the People's share. Without
+// human votes the assembly verdict is the delegate verdict.
+function computeAssemblyVerdict({ delegateVerdict, delegatePct, peoplePct, humanWeight }) {
+  if (!delegateVerdict) {
+    return { verdict: null, intelligentPct: null };
+  }
+  if (peoplePct === null || peoplePct === undefined) {
+    return { verdict: delegateVerdict, intelligentPct: delegatePct };
+  }
+
+  const blended = humanWeight * peoplePct + (1 - humanWeight) * delegatePct;
+  const intelligentPct = Math.round(blended);
+
+  let verdict = "Hung";
+  if (blended !== 50) {
+    verdict = blended > 50 ? "Intelligent" : "Idiotic";
+  }
+
+  return { verdict, intelligentPct };
+}
+
+function mapVerdictTallies(row) {
+  const peopleTotal = (row.peopleIntelligentVotes || 0) + (row.peopleIdioticVotes || 0);
+
+  return {
+    peoplesVerdict: {
+      verdict: row.peopleVerdict || null,
+      intelligentVotes: row.peopleIntelligentVotes || 0,
+      idioticVotes: row.peopleIdioticVotes || 0,
+      totalVotes: peopleTotal,
+      intelligentPct: row.peopleIntelligentPct ?? null,
+      idioticPct: row.peopleIntelligentPct === null || row.peopleIntelligentPct === undefined ? null : 100 - row.peopleIntelligentPct,
+    },
+    assemblyVerdict: {
+      verdict: row.assemblyVerdict || null,
+      humanWeight: row.humanWeight ?? DEFAULT_HUMAN_VERDICT_WEIGHT,
+      intelligentPct: row.assemblyIntelligentPct ?? null,
+      idioticPct:
+        row.assemblyIntelligentPct === null || row.assemblyIntelligentPct === undefined ? null : 100 - row.assemblyIntelligentPct,
+    },
+  };
+}
+
 function extractRankedModelRows(html, limit) {
   const regex = /href="\/([^"?#]+\/[^"?#]+)">([^<]+)<\/a>[\s\S]*?<div>([0-9]+(?:\.[0-9]+)?[KMBT])<!-- --> tokens<\/div>/g;
   const rows = [];
@@ -225,14 +498,70 @@ function extractRankedModelRows(html, limit) {
   return rows;
 }
 
+// Keyword dictionaries for the built-in tags. A trailing "*" matches any word
+// starting with the stem; other entries match whole words (plural "s" trimmed,
+// as in similarityTokens) or, with a space, a whole phrase. `general` is only
+// ever the fallback when nothing else matches.
+const TAG_DICTIONARY = [
+  { id: "economics", label: "Economics", keywords: ["econom*", "budget*", "tax", "taxe", "taxation", "taxpayer*", "currenc*", "credit", "income*", "inflation*", "recession*", "gdp", "trade", "tariff*", "market*", "wage*", "debt*", "deficit*", "subsid*", "fiscal", "monetary", "bank*", "price*", "dividend*"] },
+  { id: "politics", label: "Politics", keywords: ["govern*", "constitution*", "election*", "vote", "voting", "voter*", "parliament*", "congres*", "senate*", "democra*", "legislat*", "party", "parties", "referendum*", "policy", "policie", "president*", "minister*"] },
+  { id: "technology", label: "Technology", keywords: ["ai", "artificial intelligence", "algorithm*", "robot*", "llm*", "software", "internet", "comput*", "digital*", "data", "automat*", "cyber*", "crypto*", "blockchain*", "technolog*"] },
+  { id: "ethics", label: "Ethics", keywords: ["ethic*", "moral*", "fair*", "virtue*", "consent", "dignity", "euthanasia"] },
+  { id: "climate", label: "Climate", keywords: ["climate", "carbon", "emission*", "energy", "planet*", "ecolog*", "renewable*", "solar", "wind", "fossil", "global warming", "pollut*", "environment*"] },
+  { id: "health", label: "Health", keywords: ["health*", "medic*", "hospital*", "disease*", "vaccin*", "doctor*", "pandemic*", "drug*", "mental", "obesity", "nutrition*"] },
+  { id: "education", label: "Education", keywords: ["school*", "educat*", "teacher*", "student*", "universit*", "homework", "curricul*", "tuition", "classroom*"] },
+  { id: "justice", label: "Justice", keywords: ["law", "lawyer*", "legal*", "court*", "justice", "crime*", "criminal*", "police*", "policing", "prison*", "sentenc*", "judge*", "right"] },
+  { id: "science", label: "Science", keywords: ["scien*", "research*", "physic*", "biolog*", "chemi*", "experiment*", "genet*", "gene"] },
+  { id: "foreign-affairs", label: "Foreign Affairs", keywords: ["foreign", "diploma*", "treaty", "treaties", "international", "sanction*", "united nation", "embass*", "war", "immigra*", "border*", "refugee*"] },
+  { id: "labor", label: "Labor", keywords: ["labor", "labour", "job", "employ*", "worker*", "union*", "workplace*", "strike*", "minimum wage"] },
+  { id: "housing", label: "Housing", keywords: ["housing", "house", "rent", "rental*", "tenant*", "landlord*", "mortgage*", "homeless*", "zoning"] },
+  { id: "transport", label: "Transport", keywords: ["transport*", "traffic", "vehicle*", "car", "road*", "railway*", "rail", "train", "transit", "bus", "buse", "bicycle*", "aviation", "flight*"] },
+  { id: "defense", label: "Defense", keywords: ["military", "army", "armie", "defence", "defense", "weapon*", "nuclear", "missile*", "soldier*", "navy", "navie"] },
+  { id: "culture", label: "Culture", keywords: ["art", "artist*", "music*", "film*", "cultur*", "religio*", "language*", "sport*", "media"] },
+  { id: "space", label: "Space", keywords: ["space", "mars", "lunar", "moon", "orbit*", "satellite*", "astronaut*", "interplanetary", "nasa", "rocket*"] },
+  { id: "general", label: "General", keywords: [] },
+];
+const TAG_LABELS = new Map(TAG_DICTIONARY.map((tag) => [tag.id, tag.label]));
+const MAX_CLASSIFIED_TAGS = 3;
+
+// Title words count double. A tag is kept when it scores at least half of the
+// best tag, so a resolution that is mostly about one thing gets one tag.
+function classifyTagsWithRules(title, body) {
+  const fields = [
+    { tokens: similarityTokens(title), weight: 2 },
+    { tokens: similarityTokens(body), weight: 1 },
+  ].map((field) => ({ ...field, words: new Set(field.tokens), text: ` ${field.tokens.join(" ")} ` }));
+
+  const matches = (field, keyword) => {
+    if (keyword.includes(" ")) return field.text.includes(` ${keyword} `);
+    if (keyword.endsWith("*")) return field.tokens.some((token) => token.startsWith(keyword.slice(0, -1)));
+    return field.words.has(keyword);
+  };
+
+  const scored = TAG_DICTIONARY.map((tag) => ({
+    id: tag.id,
+    label: tag.label,
+    score: tag.keywords.reduce(
+      (total, keyword) => total + fields.reduce((sum, field) => sum + (matches(field, keyword) ? field.weight : 0), 0),
+      0,
+    ),
+  }))
+    .filter((tag) => tag.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (!scored.length) {
+    return [{ id: "general", label: "General", confidence: 0 }];
+  }
+
+  return scored
+    .filter((tag) => tag.score >= scored[0].score / 2)
+    .slice(0, MAX_CLASSIFIED_TAGS)
+    .map((tag) => ({ id: tag.id, label: tag.label, confidence: Math.round(Math.min(1, tag.score / 6) * 100) / 100 }));
+}
+
+// The single `topic` string is the best built-in tag.
 function inferTopic(title, body) {
-  const source = `${title} ${body}`.toLowerCase();
-  if (/(econom|budget|tax|currency|credit|income)/.test(source)) return "Economics";
-  if (/(law|constitution|govern|policy|rights|vote)/.test(source)) return "Politics";
-  if (/(model|ai|compute|algorithm|robot|llm)/.test(source)) return "Technology";
-  if (/(ethic|moral|justice|fair)/.test(source)) return "Ethics";
-  if (/(climate|energy|planet|ecology)/.test(source)) return "Climate";
-  return "General";
+  return classifyTagsWithRules(title, body)[0].label;
 }
 
 function periodStart(period) {
@@ -392,6 +721,157 @@ CREATE TABLE IF NOT EXISTS leaderboard_entries (
   FOREIGN KEY(user_id) REFERENCES users(id)
 );
 
+CREATE TABLE IF NOT EXISTS delegate_leaderboard_snapshots (
+  id TEXT PRIMARY KEY,
+  period TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS delegate_leaderboard_entries (
+  snapshot_id TEXT NOT NULL,
+  rank INTEGER NOT NULL,
+  model_id TEXT NOT NULL,
+  alignment_score INTEGER NOT NULL,
+  total_votes INTEGER NOT NULL,
+  people_matches INTEGER NOT NULL,
+  people_comparable INTEGER NOT NULL,
+  calibration_score INTEGER,
+  swing_votes INTEGER NOT NULL,
+  PRIMARY KEY(snapshot_id, rank),
+  FOREIGN KEY(snapshot_id) REFERENCES delegate_leaderboard_snapshots(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  version INTEGER PRIMARY KEY,
+  label TEXT NOT NULL,
+  system_template TEXT NOT NULL,
+  user_template TEXT NOT NULL,
+  notes TEXT,
+  active INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS prompt_experiments (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL,
+  variants TEXT NOT NULL,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  stopped_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS debate_jobs (
+  id TEXT PRIMARY KEY,
+  debate_id TEXT NOT NULL UNIQUE,
+  status TEXT NOT NULL,
+  delegate_ids TEXT NOT NULL,
+  completed_round INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY(debate_id) REFERENCES debates(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS delegate_call_attempts (
+  id TEXT PRIMARY KEY,
+  debate_id TEXT NOT NULL,
+  round INTEGER NOT NULL,
+  seat_model_id TEXT NOT NULL,
+  model_id TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  outcome TEXT NOT NULL,
+  http_status INTEGER,
+  error TEXT,
+  latency_ms INTEGER,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY(debate_id) REFERENCES debates(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS delegate_usage (
+  id TEXT PRIMARY KEY,
+  debate_id TEXT,
+  user_id TEXT,
+  model_id TEXT NOT NULL,
+  served_by TEXT NOT NULL,
+  round INTEGER,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd REAL NOT NULL DEFAULT 0,
+  priced INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  user_agent TEXT,
+  created_at TEXT NOT NULL,
+  last_seen_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS content_flags (
+  id TEXT PRIMARY KEY,
+  target_type TEXT NOT NULL,
+  target_id TEXT NOT NULL,
+  reporter_user_id TEXT,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  resolved_by TEXT,
+  resolved_at TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS screening_decisions (
+  id TEXT PRIMARY KEY,
+  target_type TEXT NOT NULL,
+  target_id TEXT,
+  user_id TEXT NOT NULL,
+  content TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  decision TEXT NOT NULL,
+  reasons TEXT NOT NULL DEFAULT '[]',
+  classifier TEXT NOT NULL,
+  review_outcome TEXT,
+  reviewed_by TEXT,
+  reviewed_at TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS moderation_audit_log (
+  id TEXT PRIMARY KEY,
+  actor_user_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id TEXT NOT NULL,
+  reason TEXT,
+  details TEXT NOT NULL DEFAULT '{}',
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS tags (
+  id TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  builtin INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS resolution_tags (
+  resolution_id TEXT NOT NULL,
+  tag_id TEXT NOT NULL,
+  source TEXT NOT NULL,
+  confidence REAL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY(resolution_id, tag_id),
+  FOREIGN KEY(resolution_id) REFERENCES resolutions(id) ON DELETE CASCADE,
+  FOREIGN KEY(tag_id) REFERENCES tags(id)
+);
+
 CREATE INDEX IF NOT EXISTS idx_resolutions_author ON resolutions(author_user_id);
 CREATE INDEX IF NOT EXISTS idx_resolutions_status ON resolutions(status);
 CREATE INDEX IF NOT EXISTS idx_debates_resolution ON debates(resolution_id);
@@ -400,6 +880,17 @@ CREATE INDEX IF NOT EXISTS idx_messages_debate_created ON debate_messages(debate
 CREATE INDEX IF NOT EXISTS idx_delegate_votes_debate ON delegate_votes(debate_id);
 CREATE INDEX IF NOT EXISTS idx_human_votes_debate ON human_votes(debate_id);
 CREATE INDEX IF NOT EXISTS idx_delegate_models_rank ON delegate_models(rank_position);
+CREATE INDEX IF NOT EXISTS idx_debate_jobs_status_created ON debate_jobs(status, created_at ASC);
+CREATE INDEX IF NOT EXISTS idx_delegate_call_attempts_debate ON delegate_call_attempts(debate_id, created_at ASC);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_delegate_usage_created ON delegate_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_delegate_usage_user_created ON delegate_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_content_flags_status_created ON content_flags(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_content_flags_target ON content_flags(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_created ON moderation_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_screening_decision_created ON screening_decisions(decision, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_screening_user_hash ON screening_decisions(user_id, content_hash, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_resolution_tags_tag ON resolution_tags(tag_id);
 `);
 
 function ensureColumn(tableName, columnName, sqlType) {
@@ -410,7 +901,170 @@ function ensureColumn(tableName, columnName, sqlType) {
   }
 }
 
+// Screening and tagging calls are billed too but belong to no debate round;
+// databases created before that had debate_id and round NOT NULL.
+if (db.prepare(`PRAGMA table_info(delegate_usage)`).all().some((column) => column.name === "debate_id" && column.notnull)) {
+  db.transaction(() => {
+    db.exec(`
+      ALTER TABLE delegate_usage RENAME TO delegate_usage_old;
+      CREATE TABLE delegate_usage (
+        id TEXT PRIMARY KEY,
+        debate_id TEXT,
+        user_id TEXT,
+        model_id TEXT NOT NULL,
+        served_by TEXT NOT NULL,
+        round INTEGER,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        cost_usd REAL NOT NULL DEFAULT 0,
+        priced INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL
+      );
+      INSERT INTO delegate_usage (
+        id, debate_id, user_id, model_id, served_by, round, prompt_tokens, completion_tokens, cost_usd, priced, created_at
+      )
+      SELECT id, debate_id, user_id, model_id, served_by, round, prompt_tokens, completion_tokens, cost_usd, priced, created_at
+      FROM delegate_usage_old;
+      DROP TABLE delegate_usage_old;
+      CREATE INDEX IF NOT EXISTS idx_delegate_usage_created ON delegate_usage(created_at);
+      CREATE INDEX IF NOT EXISTS idx_delegate_usage_user_created ON delegate_usage(user_id, created_at);
+    `);
+  })();
+}
+
+ensureColumn("delegate_usage", "purpose", "TEXT NOT NULL DEFAULT 'debate'");
 ensureColumn("delegate_votes", "source", "TEXT NOT NULL DEFAULT 'openrouter'");
+ensureColumn("delegate_models", "served_by", "TEXT NOT NULL DEFAULT 'openrouter'");
+ensureColumn("delegate_models", "structured_output", "INTEGER NOT NULL DEFAULT 0");
+ensureColumn("debates", "rebuttal_rounds", "INTEGER NOT NULL DEFAULT 0");
+ensureColumn("debates", "consensus_rule", "TEXT NOT NULL DEFAULT 'majority'");
+ensureColumn("debates", "consensus_threshold", "INTEGER");
+ensureColumn("debates", "human_weight", "REAL");
+ensureColumn("debates", "parent_debate_id", "TEXT");
+ensureColumn("debates", "prompt_version", "INTEGER");
+ensureColumn("debates", "prompt_experiment_id", "TEXT");
+ensureColumn("resolutions", "parent_resolution_id", "TEXT");
+ensureColumn("resolutions", "version", "INTEGER NOT NULL DEFAULT 1");
+ensureColumn("resolutions", "amendment_rationale", "TEXT");
+ensureColumn("debates", "people_verdict", "TEXT");
+ensureColumn("debates", "people_intelligent_votes", "INTEGER NOT NULL DEFAULT 0");
+ensureColumn("debates", "people_idiotic_votes", "INTEGER NOT NULL DEFAULT 0");
+ensureColumn("debates", "people_intelligent_pct", "INTEGER");
+ensureColumn("debates", "assembly_verdict", "TEXT");
+ensureColumn("debates", "assembly_intelligent_pct", "INTEGER");
+ensureColumn("debate_messages", "round", "INTEGER NOT NULL DEFAULT 1");
+ensureColumn("debate_messages", "phase", "TEXT NOT NULL DEFAULT 'vote'");
+ensureColumn("delegate_votes", "attempts", "INTEGER NOT NULL DEFAULT 1");
+ensureColumn("delegate_votes", "substituted_for", "TEXT");
+ensureColumn("delegate_votes", "substitution_reason", "TEXT");
+ensureColumn("delegate_votes", "parse_outcome", "TEXT");
+ensureColumn("delegate_votes", "persona", "TEXT");
+ensureColumn("delegate_votes", "prompt_version", "INTEGER");
+ensureColumn("delegate_votes", "consensus_weight", "REAL");
+ensureColumn("debate_jobs", "allow_substitutes", "INTEGER NOT NULL DEFAULT 0");
+ensureColumn("debate_jobs", "substitutions", "TEXT NOT NULL DEFAULT '{}'");
+ensureColumn("debate_jobs", "delegate_personas", "TEXT NOT NULL DEFAULT '[]'");
+ensureColumn("users", "password_hash", "TEXT");
+ensureColumn("users", "last_login_at", "TEXT");
+ensureColumn("users", "suspended_at", "TEXT");
+ensureColumn("users", "suspended_reason", "TEXT");
+ensureColumn("resolutions", "hidden_at", "TEXT");
+ensureColumn("resolutions", "hidden_reason", "TEXT");
+ensureColumn("human_arguments", "message_id", "TEXT");
+ensureColumn("human_arguments", "status", "TEXT NOT NULL DEFAULT 'published'");
+db.exec(`CREATE INDEX IF NOT EXISTS idx_debates_parent ON debates(parent_debate_id)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_debates_prompt_experiment ON debates(prompt_experiment_id, prompt_version)`);
+
+// Full-text index over resolution text, floor messages and delegate
+// arguments/rebuttals. Triggers keep it in step with the base tables, so every
+// insert path is covered without touching it; clerk messages and failed
+// delegate seats are left out because they only repeat the title or an error.
+db.exec(`
+CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+  title,
+  body,
+  kind UNINDEXED,
+  source_id UNINDEXED,
+  resolution_id UNINDEXED,
+  debate_id UNINDEXED,
+  actor_name UNINDEXED,
+  tokenize = 'porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS search_index_resolution_insert AFTER INSERT ON resolutions BEGIN
+  INSERT INTO search_index (title, body, kind, source_id, resolution_id, debate_id, actor_name)
+  VALUES (NEW.title, NEW.body, 'resolution', NEW.id, NEW.id, NULL, NULL);
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_index_resolution_update AFTER UPDATE OF title, body ON resolutions BEGIN
+  UPDATE search_index SET title = NEW.title, body = NEW.body WHERE kind = 'resolution' AND source_id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_index_resolution_delete AFTER DELETE ON resolutions BEGIN
+  DELETE FROM search_index WHERE resolution_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_index_message_insert AFTER INSERT ON debate_messages
+WHEN NEW.actor_type = 'human' OR (NEW.actor_type = 'delegate' AND NEW.stance != 'neutral') BEGIN
+  INSERT INTO search_index (title, body, kind, source_id, resolution_id, debate_id, actor_name)
+  VALUES ('', NEW.content, 'message', NEW.id, (SELECT resolution_id FROM debates WHERE id = NEW.debate_id), NEW.debate_id, NEW.actor_name);
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_index_message_delete AFTER DELETE ON debate_messages BEGIN
+  DELETE FROM search_index WHERE kind = 'message' AND source_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_index_vote_insert AFTER INSERT ON delegate_votes
+WHEN NEW.argument IS NOT NULL BEGIN
+  INSERT INTO search_index (title, body, kind, source_id, resolution_id, debate_id, actor_name)
+  VALUES (
+    '',
+    NEW.argument || char(10) || COALESCE(NEW.rebuttal, ''),
+    'delegate_vote',
+    NEW.id,
+    (SELECT resolution_id FROM debates WHERE id = NEW.debate_id),
+    NEW.debate_id,
+    COALESCE((SELECT display_name FROM delegate_models WHERE id = NEW.model_id), NEW.model_id)
+  );
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_index_vote_delete AFTER DELETE ON delegate_votes BEGIN
+  DELETE FROM search_index WHERE kind = 'delegate_vote' AND source_id = OLD.id;
+END;
+`);
+
+// Titles weigh five times as much as body text in the `rank` column.
+db.prepare(`INSERT INTO search_index (search_index, rank) VALUES ('rank', 'bm25(5.0, 1.0)')`).run();
+
+// Databases created before the index existed are backfilled once.
+if (!db.prepare(`SELECT 1 FROM search_index LIMIT 1`).get() && db.prepare(`SELECT 1 FROM resolutions LIMIT 1`).get()) {
+  db.transaction(() => {
+    db.exec(`
+      INSERT INTO search_index (title, body, kind, source_id, resolution_id, debate_id, actor_name)
+      SELECT title, body, 'resolution', id, id, NULL, NULL FROM resolutions;
+
+      INSERT INTO search_index (title, body, kind, source_id, resolution_id, debate_id, actor_name)
+      SELECT '', m.content, 'message', m.id, d.resolution_id, m.debate_id, m.actor_name
+      FROM debate_messages m
+      JOIN debates d ON d.id = m.debate_id
+      WHERE m.actor_type = 'human' OR (m.actor_type = 'delegate' AND m.stance != 'neutral');
+
+      INSERT INTO search_index (title, body, kind, source_id, resolution_id, debate_id, actor_name)
+      SELECT '', dv.argument || char(10) || COALESCE(dv.rebuttal, ''), 'delegate_vote', dv.id, d.resolution_id, dv.debate_id,
+        COALESCE(dm.display_name, dv.model_id)
+      FROM delegate_votes dv
+      JOIN debates d ON d.id = dv.debate_id
+      LEFT JOIN delegate_models dm ON dm.id = dv.model_id
+      WHERE dv.argument IS NOT NULL;
+    `);
+  })();
+}
+
+// Built-in tags are (re)seeded on every boot so new dictionary entries appear.
+const seedTagStmt = db.prepare(`INSERT OR IGNORE INTO tags (id, label, builtin, created_at) VALUES (?, ?, 1, ?)`);
+for (const tag of TAG_DICTIONARY) {
+  seedTagStmt.run(tag.id, tag.label, nowIso());
+}
 
 const upsertUserStmt = db.prepare(`
 INSERT INTO users (id, handle, display_name, role, created_at, updated_at)
@@ -443,7 +1097,122 @@ ensureUser({
   displayName: DEFAULT_USER_NAME,
 });
 
-function getCurrentUser(req) {
+function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltText, hashText] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltText || !hashText) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashText, "base64");
+  const actual = scryptSync(password, Buffer.from(saltText, "base64"), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+function signSessionToken(token) {
+  return `${token}.${createHmac("sha256", SESSION_SECRET).update(token).digest("base64url")}`;
+}
+
+function unsignSessionToken(value) {
+  const separator = String(value || "").lastIndexOf(".");
+  if (separator <= 0) {
+    return null;
+  }
+
+  const token = value.slice(0, separator);
+  const expected = Buffer.from(signSessionToken(token));
+  const actual = Buffer.from(value);
+  return expected.length === actual.length && timingSafeEqual(expected, actual) ? token : null;
+}
+
+function hashSessionToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.get("cookie") || "").split(";")) {
+    const separator = part.indexOf("=");
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+function readSessionToken(req) {
+  const bearer = String(req.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  return unsignSessionToken(bearer ? bearer[1].trim() : readCookie(req, SESSION_COOKIE_NAME));
+}
+
+function setSessionCookie(req, res, signedToken, maxAgeMs) {
+  res.cookie(SESSION_COOKIE_NAME, signedToken, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure || IS_VERCEL,
+    maxAge: maxAgeMs,
+    path: "/",
+  });
+}
+
+function createSession(req, res, user) {
+  const token = randomBytes(32).toString("base64url");
+  const timestamp = nowIso();
+
+  db.prepare(`
+    INSERT INTO user_sessions (id, user_id, token_hash, user_agent, created_at, last_seen_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    randomUUID(),
+    user.id,
+    hashSessionToken(token),
+    String(req.get("user-agent") || "").slice(0, 200) || null,
+    timestamp,
+    timestamp,
+    new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+  );
+  db.prepare(`UPDATE users SET last_login_at = ? WHERE id = ?`).run(timestamp, user.id);
+
+  const signedToken = signSessionToken(token);
+  setSessionCookie(req, res, signedToken, SESSION_TTL_MS);
+  return signedToken;
+}
+
+function destroySession(req, res) {
+  const token = readSessionToken(req);
+  if (token) {
+    db.prepare(`DELETE FROM user_sessions WHERE token_hash = ?`).run(hashSessionToken(token));
+  }
+  res.clearCookie(SESSION_COOKIE_NAME, { path: "/" });
+}
+
+function getSessionUser(req) {
+  const token = readSessionToken(req);
+  if (!token) {
+    return null;
+  }
+
+  const session = db
+    .prepare(`SELECT id, user_id AS userId, expires_at AS expiresAt FROM user_sessions WHERE token_hash = ?`)
+    .get(hashSessionToken(token));
+  if (!session) {
+    return null;
+  }
+
+  if (session.expiresAt <= nowIso()) {
+    db.prepare(`DELETE FROM user_sessions WHERE id = ?`).run(session.id);
+    return null;
+  }
+
+  db.prepare(`UPDATE user_sessions SET last_seen_at = ? WHERE id = ?`).run(nowIso(), session.id);
+  return getUserByIdStmt.get(session.userId) || null;
+}
+
+function getHeaderUser(req) {
   const userId = String(req.get("x-user-id") || "").trim();
   const userHandle = String(req.get("x-user-handle") || "").trim();
   const userName = String(req.get("x-user-name") || "").trim();
@@ -478,21 +1247,115 @@ function getCurrentUser(req) {
   return getUserByIdStmt.get(DEFAULT_USER_ID);
 }
 
-async function fetchModelCatalog() {
-  const now = Date.now();
-  if (runtime.modelCatalogCache.expiresAt > now && runtime.modelCatalogCache.data.length) {
-    return runtime.modelCatalogCache.data;
+// Session cookie (or bearer token) first; x-user-* headers and the default
+// user only when AUTH_DEV_HEADERS is enabled. Returns null for anonymous callers.
+function getCurrentUser(req) {
+  const sessionUser = getSessionUser(req);
+  if (sessionUser) {
+    return sessionUser;
+  }
+
+  return AUTH_DEV_HEADERS ? getHeaderUser(req) : null;
+}
+
+function requireUser(req, res) {
+  const user = getCurrentUser(req);
+  if (!user) {
+    res.status(401).json({ error: "Sign in required" });
+    return null;
+  }
+  if (user.suspended_at) {
+    res.status(403).json({ error: "Account suspended", details: user.suspended_reason || undefined });
+    return null;
+  }
+  return user;
+}
+
+// Hidden resolutions are visible to moderators only; held submissions also
+// to their author so they can see the screening outcome.
+function canViewDebate(debate, user) {
+  if (hasRole(user, "moderator")) {
+    return true;
+  }
+  if (debate.resolution.hidden) {
+    return false;
+  }
+  if (debate.status === "quarantined" || debate.status === "rejected") {
+    return Boolean(user) && user.id === debate.resolution.authorUserId;
+  }
+  return true;
+}
+
+// Route lookup for anything scoped to one debate: missing and not-viewable
+// debates both come back as null so callers answer 404 either way.
+function getViewableDebate(req, debateId = req.params.id) {
+  const debate = getDebateById(debateId);
+  return debate && canViewDebate(debate, getCurrentUser(req)) ? debate : null;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(role);
+}
+
+function requireRole(req, res, role) {
+  const user = requireUser(req, res);
+  if (!user) {
+    return null;
+  }
+  if (!hasRole(user, role)) {
+    res.status(403).json({ error: `${role} role required` });
+    return null;
   }
+  return user;
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    handle: user.handle,
+    displayName: user.display_name,
+    role: user.role,
+    suspended: Boolean(user.suspended_at),
+  };
+}
 
+async function fetchOpenRouterModelCatalog() {
   const response = await fetch(`${OPENROUTER_API_BASE}/models`);
   if (!response.ok) {
     throw new Error(`Failed to load OpenRouter models (HTTP ${response.status})`);
   }
 
   const payload = await response.json();
-  const models = Array.isArray(payload?.data) ? payload.data : [];
+  return Array.isArray(payload?.data) ? payload.data : [];
+}
+
+async function fetchOpenAICompatibleModelCatalog() {
+  const response = await fetch(`${LOCAL_MODEL_BASE_URL}/models`, {
+    headers: LOCAL_MODEL_API_KEY ? { Authorization: `Bearer ${LOCAL_MODEL_API_KEY}` } : {},
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to load models from ${LOCAL_MODEL_BASE_URL} (HTTP ${response.status})`);
+  }
+
+  const payload = await response.json();
+  return Array.isArray(payload?.data) ? payload.data : [];
+}
+
+async function fetchModelCatalog(providerId = "openrouter") {
+  const provider = modelProviders[providerId];
+  if (!provider) {
+    throw new Error(`Unknown model provider: ${providerId}`);
+  }
+
+  const now = Date.now();
+  const cached = runtime.modelCatalogCache[providerId];
+  if (cached && cached.expiresAt > now && cached.data.length) {
+    return cached.data;
+  }
 
-  runtime.modelCatalogCache = {
+  const models = await provider.fetchModelCatalog();
+
+  runtime.modelCatalogCache[providerId] = {
     expiresAt: now + MODEL_CATALOG_TTL_MS,
     data: models,
   };
@@ -504,10 +1367,10 @@ function upsertDelegateModel(agent) {
   db.prepare(`
     INSERT INTO delegate_models (
       id, slug, display_name, provider, weekly_tokens, weekly_tokens_text,
-      context_length, prompt_price, completion_price, rank_position, source_updated_at
+      context_length, prompt_price, completion_price, rank_position, served_by, structured_output, source_updated_at
     ) VALUES (
       @id, @slug, @display_name, @provider, @weekly_tokens, @weekly_tokens_text,
-      @context_length, @prompt_price, @completion_price, @rank_position, @source_updated_at
+      @context_length, @prompt_price, @completion_price, @rank_position, @served_by, @structured_output, @source_updated_at
     )
     ON CONFLICT(id) DO UPDATE SET
       slug = excluded.slug,
@@ -519,11 +1382,18 @@ function upsertDelegateModel(agent) {
       prompt_price = excluded.prompt_price,
       completion_price = excluded.completion_price,
       rank_position = excluded.rank_position,
+      served_by = excluded.served_by,
+      structured_output = excluded.structured_output,
       source_updated_at = excluded.source_updated_at
-  `).run(agent);
+  `).run({ served_by: "openrouter", structured_output: 0, ...agent });
 }
 
-function getDelegates(limit = 10) {
+function getDelegates(limit = 10, servedBy = null) {
+  const providerIds = servedBy ? [servedBy] : enabledModelProviders().map((provider) => provider.id);
+  if (!providerIds.length) {
+    return [];
+  }
+
   return db
     .prepare(`
       SELECT
@@ -531,6 +1401,7 @@ function getDelegates(limit = 10) {
         slug,
         display_name AS displayName,
         provider,
+        served_by AS servedBy,
         weekly_tokens AS weeklyTokens,
         weekly_tokens_text AS weeklyTokensText,
         context_length AS contextLength,
@@ -539,26 +1410,17 @@ function getDelegates(limit = 10) {
         rank_position AS rank,
         source_updated_at AS sourceUpdatedAt
       FROM delegate_models
+      WHERE served_by IN (${providerIds.map(() => "?").join(", ")})
       ORDER BY rank_position ASC, display_name ASC
       LIMIT ?
     `)
-    .all(limit);
+    .all(...providerIds, limit);
 }
 
-async function syncDelegates(limit = 20, force = false) {
-  const now = Date.now();
-  if (!force && runtime.delegateSync.expiresAt > now) {
-    const cached = getDelegates(limit);
-    if (cached.length) {
-      return cached;
-    }
-  }
-
-  const timestamp = nowIso();
-
+async function syncOpenRouterDelegates(limit, timestamp) {
   try {
     const [catalog, rankingsHtmlResponse] = await Promise.all([
-      fetchModelCatalog(),
+      fetchModelCatalog("openrouter"),
       fetch(OPENROUTER_RANKINGS_URL),
     ]);
 
@@ -597,19 +1459,18 @@ async function syncDelegates(limit = 20, force = false) {
           prompt_price: model?.pricing?.prompt ? Number(model.pricing.prompt) : null,
           completion_price: model?.pricing?.completion ? Number(model.pricing.completion) : null,
           rank_position: row.rank,
+          served_by: "openrouter",
+          structured_output: model?.supported_parameters?.includes("structured_outputs") ? 1 : 0,
           source_updated_at: timestamp,
         });
       }
     });
 
     transaction();
-    runtime.delegateSync.expiresAt = now + DELEGATE_SYNC_TTL_MS;
-    return getDelegates(limit);
-  } catch (error) {
-    const existing = getDelegates(limit);
-    if (existing.length) {
-      runtime.delegateSync.expiresAt = now + 60 * 1000;
-      return existing;
+    return true;
+  } catch {
+    if (getDelegates(limit, "openrouter").length) {
+      return false;
     }
 
     const fallback = [
@@ -632,40 +1493,550 @@ async function syncDelegates(limit = 20, force = false) {
           prompt_price: null,
           completion_price: null,
           rank_position: index + 1,
+          served_by: "openrouter",
           source_updated_at: timestamp,
         });
       });
     });
 
     transaction();
-    runtime.delegateSync.expiresAt = now + 60 * 1000;
-    return getDelegates(limit);
+    return false;
+  }
+}
+
+async function syncOpenAICompatibleDelegates(limit, timestamp) {
+  const modelNames = LOCAL_MODEL_IDS.length
+    ? LOCAL_MODEL_IDS
+    : (await fetchModelCatalog("openai_compatible")).map((model) => String(model.id || "").trim()).filter(Boolean);
+
+  const transaction = db.transaction(() => {
+    modelNames.slice(0, limit).forEach((modelName, index) => {
+      upsertDelegateModel({
+        id: `local/${modelName}`,
+        slug: modelName,
+        display_name: modelName,
+        provider: "local",
+        weekly_tokens: null,
+        weekly_tokens_text: "self-hosted",
+        context_length: null,
+        prompt_price: 0,
+        completion_price: 0,
+        rank_position: index + 1,
+        served_by: "openai_compatible",
+        structured_output: LOCAL_MODEL_STRUCTURED_OUTPUT ? 1 : 0,
+        source_updated_at: timestamp,
+      });
+    });
+  });
+
+  transaction();
+  return modelNames.length > 0;
+}
+
+function syncMockDelegates(_limit, timestamp) {
+  const mockDelegates = [
+    { id: "mock/aurora", displayName: "Aurora (mock)" },
+    { id: "mock/basalt", displayName: "Basalt (mock)" },
+    { id: "mock/cirrus", displayName: "Cirrus (mock)" },
+    { id: "mock/dolomite", displayName: "Dolomite (mock)" },
+  ];
+
+  const transaction = db.transaction(() => {
+    mockDelegates.forEach((agent, index) => {
+      upsertDelegateModel({
+        id: agent.id,
+        slug: agent.id,
+        display_name: agent.displayName,
+        provider: "mock",
+        weekly_tokens: null,
+        weekly_tokens_text: "offline",
+        context_length: null,
+        prompt_price: 0,
+        completion_price: 0,
+        rank_position: index + 1,
+        served_by: "mock",
+        source_updated_at: timestamp,
+      });
+    });
+  });
+
+  transaction();
+  return true;
+}
+
+async function syncDelegates(limit = 20, force = false) {
+  const now = Date.now();
+  if (!force && runtime.delegateSync.expiresAt > now) {
+    const cached = getDelegates(limit);
+    if (cached.length) {
+      return cached;
+    }
+  }
+
+  const timestamp = nowIso();
+  let fresh = true;
+
+  for (const provider of enabledModelProviders()) {
+    try {
+      fresh = (await provider.syncDelegates(limit, timestamp)) && fresh;
+    } catch (error) {
+      fresh = false;
+      console.error(`Delegate sync failed for ${provider.id}`, error instanceof Error ? error.message : error);
+    }
+  }
+
+  runtime.delegateSync.expiresAt = now + (fresh ? DELEGATE_SYNC_TTL_MS : 60 * 1000);
+  return getDelegates(limit);
+}
+
+const DEBATE_PHASE_LABELS = {
+  vote: "Delegate votes",
+  opening: "Opening statements",
+  rebuttal: "Rebuttals",
+  closing: "Closing votes",
+};
+
+// Personas are assigned per seat at submission. `{delegation}` in a system
+// prompt is filled in from the persona, and the result is dropped into the
+// prompt template's `{persona}` slot.
+const BUILTIN_DELEGATE_PERSONAS = [
+  {
+    id: "delegate",
+    label: "Generalist",
+    delegation: "General Assembly",
+    description: "The default assembly delegate, weighing every angle evenly.",
+    systemPrompt: "You are an AI delegate in a UN-style assembly.",
+    temperature: 0.4,
+  },
+  {
+    id: "economist",
+    label: "Economist",
+    delegation: "Free Port of Mercatoria",
+    description: "Judges resolutions on incentives, costs, trade-offs and second-order market effects.",
+    systemPrompt:
+      "You are the economist speaking for the delegation of the {delegation} in a UN-style assembly. Judge every resolution by its incentives, costs, trade-offs and second-order effects, and quantify where you can.",
+    temperature: 0.3,
+  },
+  {
+    id: "ethicist",
+    label: "Ethicist",
+    delegation: "Commonwealth of Aletheia",
+    description: "Weighs rights, fairness, harms and duties to people the resolution does not name.",
+    systemPrompt:
+      "You are the ethicist speaking for the delegation of the {delegation} in a UN-style assembly. Weigh rights, fairness, harms and duties, including to people the resolution does not mention.",
+    temperature: 0.5,
+  },
+  {
+    id: "skeptic",
+    label: "Skeptic",
+    delegation: "Principality of Dubitania",
+    description: "Presses on weak evidence, vague wording and unenforceable promises.",
+    systemPrompt:
+      "You are the skeptic speaking for the delegation of the {delegation} in a UN-style assembly. Look for weak evidence, vague wording and unenforceable promises, and only vote Intelligent when the case survives your scrutiny.",
+    temperature: 0.6,
+  },
+  {
+    id: "technologist",
+    label: "Technologist",
+    delegation: "Republic of Silica",
+    description: "Asks whether the resolution can actually be built, deployed and maintained.",
+    systemPrompt:
+      "You are the technologist speaking for the delegation of the {delegation} in a UN-style assembly. Ask whether the resolution can actually be built, deployed and maintained, and what could fail in practice.",
+    temperature: 0.4,
+  },
+];
+const DEFAULT_DELEGATE_PERSONA = "delegate";
+
+// DELEGATE_PERSONAS_FILE points at a JSON array of personas that extend or
+// replace the built-in ones by id.
+function loadDelegatePersonas() {
+  const personas = new Map(BUILTIN_DELEGATE_PERSONAS.map((persona) => [persona.id, persona]));
+  if (!process.env.DELEGATE_PERSONAS_FILE) {
+    return personas;
+  }
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(process.env.DELEGATE_PERSONAS_FILE, "utf8"));
+    for (const item of Array.isArray(custom) ? custom : []) {
+      const id = String(item?.id || "").trim().toLowerCase();
+      if (!id || !item.systemPrompt) {
+        continue;
+      }
+      personas.set(id, {
+        id,
+        label: String(item.label || id),
+        delegation: String(item.delegation || "General Assembly"),
+        description: String(item.description || ""),
+        systemPrompt: String(item.systemPrompt),
+        temperature: clamp(Number(item.temperature ?? 0.4), 0, 2),
+      });
+    }
+  } catch (error) {
+    console.error("Failed to load DELEGATE_PERSONAS_FILE", error instanceof Error ? error.message : error);
+  }
+
+  return personas;
+}
+
+const DELEGATE_PERSONAS = loadDelegatePersonas();
+
+function getDelegatePersona(personaId) {
+  return DELEGATE_PERSONAS.get(personaId) || DELEGATE_PERSONAS.get(DEFAULT_DELEGATE_PERSONA);
+}
+
+// Accepts `{ [modelId]: personaId }` or an array aligned with the seats and
+// returns one persona id per seat. Unknown personas fall back to the default.
+function parsePersonaAssignments(value, delegateIds) {
+  const pick = (personaId) => {
+    const id = String(personaId || "").trim().toLowerCase();
+    return DELEGATE_PERSONAS.has(id) ? id : DEFAULT_DELEGATE_PERSONA;
+  };
+
+  if (Array.isArray(value)) {
+    return delegateIds.map((_modelId, index) => pick(value[index]));
+  }
+  if (value && typeof value === "object") {
+    return delegateIds.map((modelId) => pick(value[modelId]));
+  }
+  return delegateIds.map(() => DEFAULT_DELEGATE_PERSONA);
+}
+
+const DEBATE_PHASE_INSTRUCTIONS = {
+  vote: "Evaluate this resolution for the digital assembly.",
+  opening: "Deliver your opening statement on this resolution for the digital assembly.",
+  rebuttal:
+    "Respond to the other delegates' arguments below. Rebut the points you disagree with and state whether they changed your position.",
+  closing: "The floor debate is over. Weigh the arguments below and cast your closing vote.",
+};
+
+function planDebateRounds(rebuttalRounds) {
+  if (!rebuttalRounds) {
+    return [{ round: 1, phase: "vote" }];
+  }
+
+  const rounds = [{ round: 1, phase: "opening" }];
+  for (let index = 0; index < rebuttalRounds; index += 1) {
+    rounds.push({ round: index + 2, phase: "rebuttal" });
+  }
+  rounds.push({ round: rebuttalRounds + 2, phase: "closing" });
+  return rounds;
+}
+
+const DELEGATE_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    vote: { type: "string", enum: ["Intelligent", "Idiotic"] },
+    confidence: { type: "integer", minimum: 1, maximum: 100 },
+    argument: { type: "string", description: "2-4 sentence argument" },
+    rebuttal: { type: "string", description: "1 sentence counterargument" },
+  },
+  required: ["vote", "confidence", "argument", "rebuttal"],
+  additionalProperties: false,
+};
+
+const DELEGATE_RESPONSE_FORMAT = {
+  type: "json_schema",
+  json_schema: { name: "delegate_vote", strict: true, schema: DELEGATE_RESPONSE_SCHEMA },
+};
+
+// Prompt templates are immutable once saved: editing the wording means saving
+// a new version, so every delegate vote can point at the exact text it saw.
+// `{persona}` in the system template is the seat's persona prompt; the user
+// template gets `{instruction}`, `{title}`, `{resolution}` and `{floor}`. The
+// JSON schema line is always appended so a template cannot break vote parsing.
+const DEFAULT_PROMPT_TEMPLATE = {
+  label: "Baseline",
+  systemTemplate: "{persona} Evaluate the resolution and return strict JSON only. No markdown.",
+  userTemplate: "{instruction}\nTitle: {title}\nResolution: {resolution}{floor}",
+};
+
+const selectPromptTemplateStmt = db.prepare(`
+  SELECT
+    version,
+    label,
+    system_template AS systemTemplate,
+    user_template AS userTemplate,
+    notes,
+    active,
+    created_by AS createdBy,
+    created_at AS createdAt
+  FROM prompt_templates
+  WHERE version = ?
+`);
+
+if (!db.prepare(`SELECT 1 FROM prompt_templates LIMIT 1`).get()) {
+  db.prepare(`
+    INSERT INTO prompt_templates (version, label, system_template, user_template, notes, active, created_by, created_at)
+    VALUES (1, ?, ?, ?, 'Seeded from the built-in prompt.', 1, NULL, ?)
+  `).run(DEFAULT_PROMPT_TEMPLATE.label, DEFAULT_PROMPT_TEMPLATE.systemTemplate, DEFAULT_PROMPT_TEMPLATE.userTemplate, nowIso());
+}
+
+function getPromptTemplate(version) {
+  const row = version ? selectPromptTemplateStmt.get(version) : null;
+  if (row) {
+    return { ...row, active: Boolean(row.active) };
+  }
+  const active = db.prepare(`SELECT version FROM prompt_templates WHERE active = 1`).get();
+  return active && active.version !== version ? getPromptTemplate(active.version) : { version: null, ...DEFAULT_PROMPT_TEMPLATE };
+}
+
+function listPromptTemplates() {
+  return db
+    .prepare(`SELECT version FROM prompt_templates ORDER BY version DESC`)
+    .all()
+    .map((row) => getPromptTemplate(row.version));
+}
+
+function createPromptTemplate({ label, systemTemplate, userTemplate, notes = null, activate = false, createdBy = null }) {
+  const cleanSystem = String(systemTemplate || "").trim();
+  const cleanUser = String(userTemplate || "").trim();
+  if (!cleanSystem || !cleanUser) {
+    const error = new Error("systemTemplate and userTemplate are required");
+    error.code = "INVALID_PROMPT_TEMPLATE";
+    throw error;
+  }
+  // Without {persona} every seat would argue as the generalist, and without
+  // {floor} rebuttal and closing rounds would never see the other delegates.
+  const missing = [
+    ...["{persona}"].filter((field) => !cleanSystem.includes(field)).map((field) => `systemTemplate must include ${field}`),
+    ...["{title}", "{resolution}", "{floor}"].filter((field) => !cleanUser.includes(field)).map((field) => `userTemplate must include ${field}`),
+  ];
+  if (missing.length) {
+    const error = new Error(missing.join("; "));
+    error.code = "INVALID_PROMPT_TEMPLATE";
+    throw error;
+  }
+
+  const save = db.transaction(() => {
+    const { next } = db.prepare(`SELECT COALESCE(MAX(version), 0) + 1 AS next FROM prompt_templates`).get();
+    if (activate) {
+      db.prepare(`UPDATE prompt_templates SET active = 0 WHERE active = 1`).run();
+    }
+    db.prepare(`
+      INSERT INTO prompt_templates (version, label, system_template, user_template, notes, active, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      next,
+      String(label || "").trim() || `Version ${next}`,
+      cleanSystem,
+      cleanUser,
+      notes ? String(notes).trim() : null,
+      activate ? 1 : 0,
+      createdBy,
+      nowIso(),
+    );
+    return next;
+  });
+
+  return getPromptTemplate(save());
+}
+
+function activatePromptTemplate(version) {
+  if (!selectPromptTemplateStmt.get(version)) {
+    return null;
+  }
+  db.transaction(() => {
+    db.prepare(`UPDATE prompt_templates SET active = 0 WHERE active = 1`).run();
+    db.prepare(`UPDATE prompt_templates SET active = 1 WHERE version = ?`).run(version);
+  })();
+  return getPromptTemplate(version);
+}
+
+function mapPromptExperiment(row) {
+  return row
+    ? {
+        id: row.id,
+        name: row.name,
+        status: row.status,
+        variants: JSON.parse(row.variants || "[]"),
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        stoppedAt: row.stopped_at,
+      }
+    : null;
+}
+
+function getRunningPromptExperiment() {
+  return mapPromptExperiment(
+    db.prepare(`SELECT * FROM prompt_experiments WHERE status = 'running' ORDER BY created_at DESC LIMIT 1`).get(),
+  );
+}
+
+// Only one experiment runs at a time. Variants are `[{ version, weight }]`;
+// weights default to 1, so two variants split debates evenly.
+function startPromptExperiment({ name, variants, createdBy = null }) {
+  const seen = new Set();
+  const cleanVariants = (Array.isArray(variants) ? variants : []).map((item) => ({
+    version: Number(typeof item === "object" && item ? item.version : item),
+    weight: clamp(Number(item?.weight) || 1, 0.01, 100),
+  }));
+  if (cleanVariants.length < 2) {
+    const error = new Error("An experiment needs at least two variants");
+    error.code = "INVALID_PROMPT_EXPERIMENT";
+    throw error;
+  }
+  for (const variant of cleanVariants) {
+    if (!selectPromptTemplateStmt.get(variant.version) || seen.has(variant.version)) {
+      const error = new Error(`Unknown or repeated prompt template version: ${variant.version}`);
+      error.code = "INVALID_PROMPT_EXPERIMENT";
+      throw error;
+    }
+    seen.add(variant.version);
+  }
+  if (getRunningPromptExperiment()) {
+    const error = new Error("Another prompt experiment is already running");
+    error.code = "PROMPT_EXPERIMENT_RUNNING";
+    throw error;
+  }
+
+  const id = randomUUID();
+  db.prepare(`
+    INSERT INTO prompt_experiments (id, name, status, variants, created_by, created_at)
+    VALUES (?, ?, 'running', ?, ?, ?)
+  `).run(id, String(name || "").trim() || "Prompt experiment", JSON.stringify(cleanVariants), createdBy, nowIso());
+
+  return mapPromptExperiment(db.prepare(`SELECT * FROM prompt_experiments WHERE id = ?`).get(id));
+}
+
+function stopPromptExperiment(id) {
+  db.prepare(`UPDATE prompt_experiments SET status = 'stopped', stopped_at = ? WHERE id = ? AND status = 'running'`).run(nowIso(), id);
+  return mapPromptExperiment(db.prepare(`SELECT * FROM prompt_experiments WHERE id = ?`).get(id));
+}
+
+// Picks the template a new debate will use: a weighted random variant while an
+// experiment is running, otherwise the active template.
+function assignPromptTemplate() {
+  const experiment = getRunningPromptExperiment();
+  if (experiment) {
+    const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let roll = Math.random() * total;
+    for (const variant of experiment.variants) {
+      roll -= variant.weight;
+      if (roll < 0) {
+        return { version: variant.version, experimentId: experiment.id };
+      }
+    }
+    return { version: experiment.variants[experiment.variants.length - 1].version, experimentId: experiment.id };
   }
+  return { version: getPromptTemplate(null).version, experimentId: null };
+}
+
+// Compares template variants over their debates: verdict distribution, vote
+// split and confidence, and how often replies needed repair or could not be
+// parsed. With an experiment id only that experiment's debates count.
+function getPromptVariantReport({ experimentId = null } = {}) {
+  const where = experimentId ? `d.prompt_experiment_id = ?` : `d.prompt_version IS NOT NULL`;
+  const params = experimentId ? [experimentId] : [];
+
+  const debates = db
+    .prepare(`
+      SELECT
+        d.prompt_version AS version,
+        COUNT(*) AS debates,
+        SUM(CASE WHEN d.status = 'closed' THEN 1 ELSE 0 END) AS closed,
+        SUM(CASE WHEN d.status = 'closed' AND d.verdict = 'Intelligent' THEN 1 ELSE 0 END) AS intelligent,
+        SUM(CASE WHEN d.status = 'closed' AND d.verdict = 'Idiotic' THEN 1 ELSE 0 END) AS idiotic,
+        SUM(CASE WHEN d.status = 'closed' AND d.verdict = 'Hung' THEN 1 ELSE 0 END) AS hung
+      FROM debates d
+      WHERE ${where}
+      GROUP BY d.prompt_version
+    `)
+    .all(...params);
+
+  const votes = new Map(
+    db
+      .prepare(`
+        SELECT
+          d.prompt_version AS version,
+          COUNT(dv.id) AS seats,
+          SUM(CASE WHEN dv.vote = 'Intelligent' THEN 1 ELSE 0 END) AS intelligentVotes,
+          SUM(CASE WHEN dv.vote = 'Idiotic' THEN 1 ELSE 0 END) AS idioticVotes,
+          ROUND(AVG(dv.confidence), 1) AS avgConfidence,
+          SUM(CASE WHEN dv.error IS NOT NULL THEN 1 ELSE 0 END) AS failedSeats,
+          SUM(CASE WHEN dv.parse_outcome = 'strict' THEN 1 ELSE 0 END) AS strict,
+          SUM(CASE WHEN dv.parse_outcome = 'repaired' THEN 1 ELSE 0 END) AS repaired,
+          SUM(CASE WHEN dv.parse_outcome = 'regex' THEN 1 ELSE 0 END) AS regex,
+          SUM(CASE WHEN dv.parse_outcome = 'defaulted' THEN 1 ELSE 0 END) AS defaulted
+        FROM debates d
+        JOIN delegate_votes dv ON dv.debate_id = d.id
+        WHERE ${where}
+        GROUP BY d.prompt_version
+      `)
+      .all(...params)
+      .map((row) => [row.version, row]),
+  );
+
+  const pct = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+  return debates
+    .map((row) => {
+      const voteRow = votes.get(row.version) || {};
+      const seats = voteRow.seats || 0;
+      const cast = (voteRow.intelligentVotes || 0) + (voteRow.idioticVotes || 0);
+      const template = selectPromptTemplateStmt.get(row.version);
+      return {
+        version: row.version,
+        label: template?.label || null,
+        debates: row.debates,
+        closedDebates: row.closed,
+        verdicts: { Intelligent: row.intelligent, Idiotic: row.idiotic, Hung: row.hung },
+        intelligentVerdictPct: pct(row.intelligent, row.closed),
+        hungPct: pct(row.hung, row.closed),
+        seats,
+        intelligentVotePct: pct(voteRow.intelligentVotes || 0, cast),
+        avgConfidence: voteRow.avgConfidence ?? null,
+        failedSeatPct: pct(voteRow.failedSeats || 0, seats),
+        parseOutcomes: {
+          strict: voteRow.strict || 0,
+          repaired: voteRow.repaired || 0,
+          regex: voteRow.regex || 0,
+          defaulted: voteRow.defaulted || 0,
+        },
+        repairPct: pct(voteRow.repaired || 0, seats),
+        parseFailurePct: pct(voteRow.defaulted || 0, seats),
+      };
+    })
+    .sort((a, b) => a.version - b.version);
 }
 
-function buildDelegatePrompt(title, resolution) {
+function buildDelegatePrompt(
+  title,
+  resolution,
+  { phase = "vote", floor = [], persona = DEFAULT_DELEGATE_PERSONA, template = getPromptTemplate(null) } = {},
+) {
+  const floorLines = floor.map(
+    (entry) => `- Round ${entry.round}, ${entry.displayName} (${entry.vote}, ${entry.confidence}%): ${entry.argument}`,
+  );
+  const personaConfig = getDelegatePersona(persona);
+  const fields = {
+    "{persona}": personaConfig.systemPrompt.replaceAll("{delegation}", personaConfig.delegation),
+    "{instruction}": DEBATE_PHASE_INSTRUCTIONS[phase] || DEBATE_PHASE_INSTRUCTIONS.vote,
+    "{title}": title,
+    "{resolution}": resolution,
+    "{floor}": floorLines.length ? ["", "", "Arguments from other delegates on the floor:", ...floorLines].join("\n") : "",
+  };
+  const fill = (text) => text.replace(/\{(persona|instruction|title|resolution|floor)\}/g, (match) => fields[match]);
+
   return [
     {
       role: "system",
-      content:
-        "You are an AI delegate in a UN-style assembly. Evaluate the resolution and return strict JSON only. No markdown.",
+      content: fill(template.systemTemplate),
     },
     {
       role: "user",
       content: [
-        "Evaluate this resolution for the digital assembly.",
-        `Title: ${title}`,
-        `Resolution: ${resolution}`,
+        fill(template.userTemplate),
         "",
         "Return exactly this JSON schema:",
-        '{"vote":"Intelligent|Idiotic","confidence":0-100,"argument":"2-4 sentence argument","rebuttal":"1 sentence counterargument"}',
+        '{"vote":"Intelligent|Idiotic","confidence":1-100,"argument":"2-4 sentence argument","rebuttal":"1 sentence counterargument"}',
       ].join("\n"),
     },
   ];
 }
 
-function mockDelegateDebate(modelId, title, resolution) {
-  const seed = createHash("sha256").update(`${modelId}::${title}::${resolution}`).digest("hex");
+function mockDelegateDebate(modelId, title, resolution, { phase = "vote", floor = [], persona = DEFAULT_DELEGATE_PERSONA } = {}) {
+  const personaSeed = persona && persona !== DEFAULT_DELEGATE_PERSONA ? `::${persona}` : "";
+  const seed = createHash("sha256").update(`${modelId}::${title}::${resolution}${personaSeed}`).digest("hex");
   const n = Number.parseInt(seed.slice(0, 8), 16);
   const vote = n % 2 === 0 ? "Intelligent" : "Idiotic";
   const confidence = 55 + (n % 40);
@@ -675,99 +2046,547 @@ function mockDelegateDebate(modelId, title, resolution) {
   const conArgument =
     "The resolution introduces governance risk and uneven burden distribution, with unclear enforcement and potential systemic side effects.";
 
+  let argument = vote === "Intelligent" ? proArgument : conArgument;
+  const opponent = floor.find((entry) => entry.vote !== vote) || floor[0];
+
+  if (personaSeed) {
+    argument = `Speaking as the ${getDelegatePersona(persona).label.toLowerCase()}: ${argument}`;
+  }
+
+  if (phase === "rebuttal" && opponent) {
+    argument = `Responding to ${opponent.displayName}: ${argument}`;
+  } else if (phase === "closing") {
+    argument = `Having heard the floor, I maintain my position. ${argument}`;
+  }
+
+  const rebuttal =
+    vote === "Intelligent"
+      ? "Opponents may argue adoption cost exceeds benefit in the near term."
+      : "Supporters may argue long-term gains justify transitional complexity.";
+
   return {
     modelId,
     vote,
     confidence,
-    argument: vote === "Intelligent" ? proArgument : conArgument,
-    rebuttal:
-      vote === "Intelligent"
-        ? "Opponents may argue adoption cost exceeds benefit in the near term."
-        : "Supporters may argue long-term gains justify transitional complexity.",
-    raw: JSON.stringify({ vote, confidence }),
+    argument,
+    rebuttal,
+    raw: JSON.stringify({ vote, confidence, argument, rebuttal }),
     usage: null,
     source: "mock",
+    parse: "strict",
   };
 }
 
-async function runDelegateDebate(modelId, title, resolution) {
-  const apiKey = process.env.OPENROUTER_API_KEY;
+// Stands in for provider.complete when no backend is configured. Replays the
+// mock delegate's JSON answer, in small chunks when streaming, so the token
+// stream, SSE plumbing and assembly UI can be exercised without an API key.
+// MOCK_DELEGATE_OUTPUT=invalid answers the first call in prose so the repair
+// round runs; invalid_repair_fails also makes that repair call fail.
+async function completeMockDelegate(modelId, title, resolution, context, { messages, onToken }) {
+  const mock = mockDelegateDebate(modelId, title, resolution, context);
+  const repairing = messages.at(-1)?.content === DELEGATE_REPAIR_INSTRUCTION;
+
+  if (repairing && MOCK_DELEGATE_OUTPUT === "invalid_repair_fails") {
+    const error = new Error(`Mock repair request failed for ${modelId}`);
+    error.code = "DELEGATE_HTTP_ERROR";
+    error.status = 503;
+    throw error;
+  }
 
-  if (!apiKey) {
-    return mockDelegateDebate(modelId, title, resolution);
+  const content =
+    !repairing && MOCK_DELEGATE_OUTPUT !== "json"
+      ? `I find this resolution ${mock.vote}, with ${mock.confidence}% confidence. ${mock.argument}`
+      : mock.raw;
+
+  if (typeof onToken === "function") {
+    let streamed = "";
+    for (let index = 0; index < content.length; index += MOCK_STREAM_CHUNK_SIZE) {
+      const delta = content.slice(index, index + MOCK_STREAM_CHUNK_SIZE);
+      streamed += delta;
+      onToken(streamed, delta);
+      if (MOCK_STREAM_DELAY_MS) {
+        await new Promise((resolve) => setTimeout(resolve, MOCK_STREAM_DELAY_MS));
+      }
+    }
   }
 
-  const response = await fetch(`${OPENROUTER_API_BASE}/chat/completions`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-      "HTTP-Referer": OPENROUTER_SITE_URL,
-      "X-Title": OPENROUTER_SITE_NAME,
-    },
-    body: JSON.stringify({
-      model: modelId,
-      temperature: 0.4,
-      max_tokens: 450,
-      messages: buildDelegatePrompt(title, resolution),
-    }),
-  });
+  return { content, usage: null };
+}
+
+function extractStreamingArgument(text) {
+  const source = String(text || "");
+  const keyMatch = source.match(/"(?:argument|reasoning)"\s*:\s*"/);
+
+  if (!keyMatch) {
+    return source.trimStart().startsWith("{") ? "" : source;
+  }
+
+  let argument = "";
+  for (let index = keyMatch.index + keyMatch[0].length; index < source.length; index += 1) {
+    const char = source[index];
+    if (char === "\\") {
+      const next = source[index + 1];
+      if (next === undefined) {
+        break;
+      }
+      argument += next === "n" ? "\n" : next === "t" ? "\t" : next;
+      index += 1;
+    } else if (char === '"') {
+      break;
+    } else {
+      argument += char;
+    }
+  }
+
+  return argument;
+}
+
+async function readChatCompletionStream(response, label, model, onToken) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let content = "";
+  let usage = null;
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith("data:")) {
+      return;
+    }
+
+    const data = trimmed.slice(5).trim();
+    if (!data || data === "[DONE]") {
+      return;
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    if (chunk?.error) {
+      const error = new Error(`${label} stream failed for ${model}: ${chunk.error.message || "unknown error"}`);
+      error.code = "DELEGATE_HTTP_ERROR";
+      error.status = Number(chunk.error.code) || 502;
+      throw error;
+    }
+
+    if (chunk?.usage) {
+      usage = chunk.usage;
+    }
+
+    const delta = flattenOpenRouterContent(chunk?.choices?.[0]?.delta?.content);
+    if (delta) {
+      content += delta;
+      onToken(content, delta);
+    }
+  };
+
+  try {
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+  } catch (cause) {
+    if (cause?.code === "DELEGATE_HTTP_ERROR") {
+      throw cause;
+    }
+
+    const timedOut = cause?.name === "TimeoutError";
+    const error = new Error(
+      timedOut
+        ? `${label} stream timed out for ${model} after ${DELEGATE_CALL_TIMEOUT_MS}ms`
+        : `${label} stream interrupted for ${model}: ${cause instanceof Error ? cause.message : String(cause)}`,
+    );
+    error.code = timedOut ? "DELEGATE_TIMEOUT" : "DELEGATE_NETWORK_ERROR";
+    throw error;
+  }
+
+  return { content, usage };
+}
+
+// Shared by every OpenAI-style backend (OpenRouter, vLLM, llama.cpp server,
+// Ollama). Passing `onToken(textSoFar, delta)` requests a streamed completion.
+async function requestChatCompletion({
+  label,
+  baseUrl,
+  apiKey,
+  headers = {},
+  extraBody = {},
+  model,
+  messages,
+  onToken,
+  responseFormat,
+  temperature = 0.4,
+}) {
+  const streaming = typeof onToken === "function";
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: JSON.stringify({
+        model,
+        temperature,
+        max_tokens: 450,
+        messages,
+        stream: streaming,
+        // Streams only report token usage in a final chunk when asked to.
+        ...(streaming ? { stream_options: { include_usage: true } } : {}),
+        ...(responseFormat ? { response_format: responseFormat } : {}),
+        ...extraBody,
+      }),
+      signal: AbortSignal.timeout(DELEGATE_CALL_TIMEOUT_MS),
+    });
+  } catch (cause) {
+    const timedOut = cause?.name === "TimeoutError";
+    const error = new Error(
+      timedOut
+        ? `${label} request timed out for ${model} after ${DELEGATE_CALL_TIMEOUT_MS}ms`
+        : `${label} request failed for ${model}: ${cause instanceof Error ? cause.message : String(cause)}`,
+    );
+    error.code = timedOut ? "DELEGATE_TIMEOUT" : "DELEGATE_NETWORK_ERROR";
+    throw error;
+  }
+
+  if (streaming && response.ok) {
+    return readChatCompletionStream(response, label, model, onToken);
+  }
 
   const bodyText = await response.text();
 
   if (!response.ok) {
-    throw new Error(`OpenRouter request failed for ${modelId}: HTTP ${response.status} ${bodyText.slice(0, 200)}`);
+    const error = new Error(`${label} request failed for ${model}: HTTP ${response.status} ${bodyText.slice(0, 200)}`);
+    error.code = "DELEGATE_HTTP_ERROR";
+    error.status = response.status;
+    error.retryAfterMs = (Number(response.headers.get("retry-after")) || 0) * 1000;
+    throw error;
   }
 
   let payload;
   try {
     payload = JSON.parse(bodyText);
   } catch {
-    throw new Error(`OpenRouter returned invalid JSON for ${modelId}`);
+    throw new Error(`${label} returned invalid JSON for ${model}`);
   }
 
-  const content = flattenOpenRouterContent(payload?.choices?.[0]?.message?.content);
-  const parsed = parseDelegateOutput(content);
-
   return {
-    modelId,
-    vote: parsed.vote,
-    confidence: parsed.confidence,
-    argument: parsed.argument,
-    rebuttal: parsed.rebuttal,
-    raw: content,
+    content: flattenOpenRouterContent(payload?.choices?.[0]?.message?.content),
     usage: payload?.usage || null,
-    source: "openrouter",
   };
 }
 
-function emitDebateEvent(debateId, type, payload) {
-  runtime.streamBus.emit(`debate:${debateId}`, {
-    type,
-    payload,
-    at: nowIso(),
-  });
+const modelProviders = {
+  openrouter: {
+    id: "openrouter",
+    label: "OpenRouter",
+    isConfigured: () => Boolean(process.env.OPENROUTER_API_KEY),
+    fetchModelCatalog: fetchOpenRouterModelCatalog,
+    syncDelegates: syncOpenRouterDelegates,
+    upstreamModel: (delegate) => delegate.id,
+    complete: (request) =>
+      requestChatCompletion({
+        ...request,
+        label: "OpenRouter",
+        baseUrl: OPENROUTER_API_BASE,
+        apiKey: process.env.OPENROUTER_API_KEY,
+        headers: {
+          "HTTP-Referer": OPENROUTER_SITE_URL,
+          "X-Title": OPENROUTER_SITE_NAME,
+        },
+        extraBody: { usage: { include: true } },
+      }),
+  },
+  openai_compatible: {
+    id: "openai_compatible",
+    label: "OpenAI-compatible",
+    isConfigured: () => Boolean(LOCAL_MODEL_BASE_URL),
+    fetchModelCatalog: fetchOpenAICompatibleModelCatalog,
+    syncDelegates: syncOpenAICompatibleDelegates,
+    upstreamModel: (delegate) => delegate.slug,
+    complete: (request) =>
+      requestChatCompletion({
+        ...request,
+        label: LOCAL_MODEL_BASE_URL,
+        baseUrl: LOCAL_MODEL_BASE_URL,
+        apiKey: LOCAL_MODEL_API_KEY,
+      }),
+  },
+  mock: {
+    id: "mock",
+    label: "Deterministic mock",
+    isConfigured: () => true,
+    fetchModelCatalog: async () => [],
+    syncDelegates: syncMockDelegates,
+    upstreamModel: (delegate) => delegate.id,
+    complete: null,
+  },
+};
+
+// A typo in DELEGATE_PROVIDERS would otherwise leave no delegates at all.
+const unknownProviderIds = DELEGATE_PROVIDER_IDS.filter((id) => !modelProviders[id]);
+if (unknownProviderIds.length || !DELEGATE_PROVIDER_IDS.length) {
+  throw new Error(
+    `DELEGATE_PROVIDERS must list known providers (${Object.keys(modelProviders).join(", ")}); got "${DELEGATE_PROVIDER_IDS.join(",")}"`,
+  );
 }
 
-function mapDebateRow(row) {
-  if (!row) {
-    return null;
+function enabledModelProviders() {
+  return DELEGATE_PROVIDER_IDS.map((id) => modelProviders[id]).filter(Boolean);
+}
+
+function describeModelProviders() {
+  return enabledModelProviders().map((provider) => ({
+    id: provider.id,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    servedBy: resolveModelProvider(provider.id).id,
+  }));
+}
+
+// Unconfigured backends (e.g. OpenRouter without an API key) fall back to the
+// deterministic mock so the assembly keeps working offline.
+function resolveModelProvider(servedBy) {
+  const provider = modelProviders[servedBy] || modelProviders.openrouter;
+  return provider.isConfigured() ? provider : modelProviders.mock;
+}
+
+const DELEGATE_REPAIR_INSTRUCTION =
+  'Your reply could not be parsed. Answer again with only the JSON object {"vote":"Intelligent|Idiotic","confidence":1-100,"argument":"...","rebuttal":"..."} and nothing else.';
+
+// The backend a delegate's calls actually go to, as recorded in usage and
+// vote rows (an unconfigured OpenRouter seat is served by the mock).
+function delegateProviderId(modelId) {
+  const delegate = db.prepare(`SELECT served_by AS servedBy FROM delegate_models WHERE id = ?`).get(modelId);
+  return resolveModelProvider(delegate?.servedBy || "openrouter").id;
+}
+
+function mergeCompletionUsage(first, second) {
+  if (!first || !second) {
+    return first || second || null;
   }
 
-  return {
-    id: row.debateId,
-    createdAt: row.debateCreatedAt,
-    updatedAt: row.debateUpdatedAt,
-    status: row.debateStatus,
-    verdict: row.debateVerdict,
-    consensus: {
-      verdict: row.debateVerdict,
-      intelligentVotes: row.intelligentVotes,
-      idioticVotes: row.idioticVotes,
+  const merged = { ...first };
+  for (const key of ["prompt_tokens", "completion_tokens", "total_tokens", "cost"]) {
+    if (first[key] !== undefined || second[key] !== undefined) {
+      merged[key] = (Number(first[key]) || 0) + (Number(second[key]) || 0);
+    }
+  }
+  return merged;
+}
+
+async function runDelegateDebate(modelId, title, resolution, context = {}) {
+  const streaming = typeof context.onToken === "function";
+  const delegate = db
+    .prepare(`SELECT id, slug, served_by AS servedBy, structured_output AS structuredOutput FROM delegate_models WHERE id = ?`)
+    .get(modelId) || {
+    id: modelId,
+    slug: modelId,
+    servedBy: "openrouter",
+    structuredOutput: 0,
+  };
+  const provider = resolveModelProvider(delegate.servedBy);
+  const complete =
+    provider.id === "mock" ? (request) => completeMockDelegate(modelId, title, resolution, context, request) : provider.complete;
+
+  const model = provider.upstreamModel(delegate);
+  const messages = buildDelegatePrompt(title, resolution, context);
+  const responseFormat = delegate.structuredOutput ? DELEGATE_RESPONSE_FORMAT : undefined;
+  const { temperature } = getDelegatePersona(context.persona);
+  const first = await complete({
+    model,
+    messages,
+    responseFormat,
+    temperature,
+    onToken: streaming ? (text, delta) => context.onToken(modelId, text, delta) : null,
+  });
+  let parsed = parseDelegateOutput(first.content);
+  let raw = first.content;
+  let usage = first.usage;
+
+  // One repair round: hand the model its own reply and ask for the bare JSON.
+  // If the repair call itself fails, the first reply and its usage stand.
+  let repair = null;
+  if (parsed.parse !== "strict") {
+    try {
+      repair = await complete({
+        model,
+        messages: [
+          ...messages,
+          { role: "assistant", content: first.content },
+          { role: "user", content: DELEGATE_REPAIR_INSTRUCTION },
+        ],
+        responseFormat,
+        temperature,
+      });
+    } catch (error) {
+      console.warn(`Repair call failed for ${model}; keeping the first reply`, error instanceof Error ? error.message : error);
+    }
+  }
+
+  if (repair) {
+    const repaired = parseDelegateOutput(repair.content);
+    usage = mergeCompletionUsage(first.usage, repair.usage);
+    if (repaired.parse === "strict") {
+      parsed = { ...repaired, parse: "repaired" };
+      raw = repair.content;
+    } else if (parsed.parse === "defaulted" && repaired.parse === "regex") {
+      parsed = repaired;
+      raw = repair.content;
+    }
+  }
+
+  if (parsed.parse === "defaulted") {
+    const error = new Error(`${provider.label} returned no recognisable vote for ${model}`);
+    error.code = "DELEGATE_UNPARSEABLE";
+    error.raw = raw;
+    error.usage = usage;
+    error.source = provider.id;
+    throw error;
+  }
+
+  return {
+    modelId,
+    vote: parsed.vote,
+    confidence: parsed.confidence,
+    argument: parsed.argument,
+    rebuttal: parsed.rebuttal,
+    raw,
+    usage,
+    source: provider.id,
+    parse: parsed.parse,
+  };
+}
+
+function isRetryableDelegateError(error) {
+  if (error?.code === "DELEGATE_TIMEOUT" || error?.code === "DELEGATE_NETWORK_ERROR") {
+    return true;
+  }
+  return error?.code === "DELEGATE_HTTP_ERROR" && (error.status === 429 || error.status >= 500);
+}
+
+function delegateRetryDelay(attempt, error) {
+  const backoff = DELEGATE_RETRY_BASE_MS * 2 ** (attempt - 1);
+  const jitter = Math.round(Math.random() * DELEGATE_RETRY_BASE_MS * 0.25);
+  return Math.max(backoff + jitter, error?.retryAfterMs || 0);
+}
+
+async function runDelegateWithRetries(modelId, title, resolution, context, attemptLog) {
+  const maxAttempts = DELEGATE_MAX_RETRIES + 1;
+
+  for (let attempt = 1; ; attempt += 1) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await runDelegateDebate(modelId, title, resolution, context);
+      attemptLog.push({
+        modelId,
+        attempt,
+        outcome: "ok",
+        httpStatus: null,
+        error: null,
+        latencyMs: Date.now() - startedAt,
+        usage: result.usage,
+        source: result.source,
+      });
+      return result;
+    } catch (error) {
+      const willRetry = attempt < maxAttempts && isRetryableDelegateError(error);
+      attemptLog.push({
+        modelId,
+        attempt,
+        outcome: error?.code === "DELEGATE_TIMEOUT" ? "timeout" : "error",
+        httpStatus: error?.status || null,
+        error: error instanceof Error ? error.message : String(error),
+        latencyMs: Date.now() - startedAt,
+        usage: error?.usage || null,
+        source: error?.source || delegateProviderId(modelId),
+      });
+
+      if (!willRetry) {
+        throw error;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, delegateRetryDelay(attempt, error)));
+    }
+  }
+}
+
+function pickSubstituteDelegate(excludedIds) {
+  return getDelegates(20).find((delegate) => !excludedIds.has(delegate.id)) || null;
+}
+
+// Runs one assembly seat: the seated model with retries, then (when allowed)
+// a single substitute from the eligible delegate pool. The attempt log is
+// attached to the result or error so every call ends up in the archive.
+async function runDelegateSeat(modelId, title, resolution, context, { allowSubstitutes, excludedIds }) {
+  const attemptLog = [];
+
+  try {
+    const result = await runDelegateWithRetries(modelId, title, resolution, context, attemptLog);
+    return { ...result, attemptLog };
+  } catch (error) {
+    const reason = error instanceof Error ? error.message : String(error);
+    const substitute = allowSubstitutes ? pickSubstituteDelegate(excludedIds) : null;
+
+    if (!substitute) {
+      error.attemptLog = attemptLog;
+      throw error;
+    }
+
+    excludedIds.add(substitute.id);
+
+    try {
+      const result = await runDelegateWithRetries(substitute.id, title, resolution, context, attemptLog);
+      return { ...result, attemptLog, substitutedFor: modelId, substitutionReason: reason };
+    } catch (substituteError) {
+      substituteError.attemptLog = attemptLog;
+      throw substituteError;
+    }
+  }
+}
+
+function emitDebateEvent(debateId, type, payload) {
+  runtime.streamBus.emit(`debate:${debateId}`, {
+    type,
+    payload,
+    at: nowIso(),
+  });
+}
+
+function mapDebateRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.debateId,
+    createdAt: row.debateCreatedAt,
+    updatedAt: row.debateUpdatedAt,
+    status: row.debateStatus,
+    verdict: row.debateVerdict,
+    rebuttalRounds: row.rebuttalRounds,
+    parentDebateId: row.parentDebateId || null,
+    consensus: {
+      verdict: row.debateVerdict,
+      rule: row.consensusRule,
+      threshold: row.consensusThreshold,
+      intelligentVotes: row.intelligentVotes,
+      idioticVotes: row.idioticVotes,
       totalVotes: row.totalVotes,
       intelligentPct: row.intelligentPct,
       idioticPct: row.idioticPct,
     },
+    ...mapVerdictTallies(row),
     resolution: {
       id: row.resolutionId,
       title: row.title,
@@ -775,6 +2594,10 @@ function mapDebateRow(row) {
       topic: row.topic,
       status: row.resolutionStatus,
       authorUserId: row.authorUserId,
+      version: row.resolutionVersion,
+      parentResolutionId: row.parentResolutionId || null,
+      amendmentRationale: row.amendmentRationale || null,
+      hidden: Boolean(row.hiddenAt),
       createdAt: row.resolutionCreatedAt,
       updatedAt: row.resolutionUpdatedAt,
     },
@@ -793,6 +2616,19 @@ function getDebateById(debateId) {
         d.total_votes AS totalVotes,
         d.intelligent_pct AS intelligentPct,
         d.idiotic_pct AS idioticPct,
+        d.rebuttal_rounds AS rebuttalRounds,
+        d.parent_debate_id AS parentDebateId,
+        d.consensus_rule AS consensusRule,
+        d.consensus_threshold AS consensusThreshold,
+        d.human_weight AS humanWeight,
+        d.people_verdict AS peopleVerdict,
+        d.people_intelligent_votes AS peopleIntelligentVotes,
+        d.people_idiotic_votes AS peopleIdioticVotes,
+        d.people_intelligent_pct AS peopleIntelligentPct,
+        d.assembly_verdict AS assemblyVerdict,
+        d.assembly_intelligent_pct AS assemblyIntelligentPct,
+        d.prompt_version AS promptVersion,
+        d.prompt_experiment_id AS promptExperimentId,
         d.created_at AS debateCreatedAt,
         d.updated_at AS debateUpdatedAt,
         r.id AS resolutionId,
@@ -801,6 +2637,10 @@ function getDebateById(debateId) {
         r.body,
         r.topic,
         r.status AS resolutionStatus,
+        r.version AS resolutionVersion,
+        r.parent_resolution_id AS parentResolutionId,
+        r.amendment_rationale AS amendmentRationale,
+        r.hidden_at AS hiddenAt,
         r.created_at AS resolutionCreatedAt,
         r.updated_at AS resolutionUpdatedAt
       FROM debates d
@@ -826,7 +2666,13 @@ function getDebateById(debateId) {
         dv.rebuttal,
         dv.error,
         dv.created_at AS createdAt,
-        dv.source
+        dv.source,
+        dv.attempts,
+        dv.substituted_for AS substitutedFor,
+        dv.substitution_reason AS substitutionReason,
+        dv.parse_outcome AS parseOutcome,
+        dv.persona,
+        dv.prompt_version AS promptVersion
       FROM delegate_votes dv
       LEFT JOIN delegate_models dm ON dm.id = dv.model_id
       WHERE dv.debate_id = ?
@@ -844,6 +2690,9 @@ function getDebateById(debateId) {
         stance,
         content,
         confidence,
+        round,
+        phase,
+        (SELECT ha.id FROM human_arguments ha WHERE ha.message_id = debate_messages.id) AS argumentId,
         created_at AS createdAt
       FROM debate_messages
       WHERE debate_id = ?
@@ -866,15 +2715,195 @@ function getDebateById(debateId) {
     `)
     .all(debateId);
 
+  const amendments = db
+    .prepare(`
+      SELECT
+        d.id,
+        d.status,
+        d.verdict,
+        r.version,
+        r.author_user_id AS authorUserId,
+        d.created_at AS createdAt
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE d.parent_debate_id = ?
+      ORDER BY d.created_at ASC
+    `)
+    .all(debateId);
+
+  const job = db
+    .prepare(`
+      SELECT
+        id,
+        status,
+        completed_round AS completedRound,
+        attempts,
+        last_error AS lastError,
+        updated_at AS updatedAt
+      FROM debate_jobs
+      WHERE debate_id = ?
+    `)
+    .get(debateId);
+
   return {
     ...mapped,
-    delegateResults: delegateVotes,
+    resolution: { ...mapped.resolution, tags: getResolutionTags(mapped.resolution.id) },
+    prompt: { version: row.promptVersion ?? null, experimentId: row.promptExperimentId || null },
+    delegateResults: delegateVotes.map((row) => ({
+      ...row,
+      personaLabel: row.persona ? getDelegatePersona(row.persona).label : null,
+    })),
     messages,
     humanVotes,
+    amendments,
+    job: job || null,
   };
 }
 
-function createDraft({ userId, title, body, topic }) {
+function slugifyTag(label) {
+  return String(label || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 32);
+}
+
+// User tags arrive as an array or a comma-separated string. `null` means the
+// caller didn't send any (keep what the resolution has); `[]` clears them.
+function parseTagInput(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const labels = (Array.isArray(value) ? value : String(value).split(","))
+    .map((label) => String(label ?? "").replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+  const tags = new Map();
+
+  for (const label of labels) {
+    const id = slugifyTag(label);
+    if (label.length > 32 || id.length < 2) {
+      const error = new Error(`Tags must be 2-32 characters: "${label.slice(0, 40)}"`);
+      error.code = "INVALID_TAGS";
+      throw error;
+    }
+    if (!tags.has(id)) {
+      tags.set(id, { id, label: TAG_LABELS.get(id) || label, confidence: null });
+    }
+  }
+
+  if (tags.size > MAX_RESOLUTION_TAGS) {
+    const error = new Error(`At most ${MAX_RESOLUTION_TAGS} tags per resolution`);
+    error.code = "INVALID_TAGS";
+    throw error;
+  }
+
+  return [...tags.values()];
+}
+
+function setResolutionTags(resolutionId, tags, source) {
+  const timestamp = nowIso();
+  const insertTag = db.prepare(`INSERT OR IGNORE INTO tags (id, label, builtin, created_at) VALUES (?, ?, 0, ?)`);
+  const link = db.prepare(`
+    INSERT OR IGNORE INTO resolution_tags (resolution_id, tag_id, source, confidence, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    db.prepare(`DELETE FROM resolution_tags WHERE resolution_id = ?`).run(resolutionId);
+    for (const tag of tags) {
+      insertTag.run(tag.id, tag.label, timestamp);
+      link.run(resolutionId, tag.id, source, tag.confidence ?? null, timestamp);
+    }
+  })();
+}
+
+// Tags for many resolutions in one query, keyed by resolution id.
+function loadResolutionTags(resolutionIds) {
+  const byResolution = new Map(resolutionIds.map((id) => [id, []]));
+  if (!resolutionIds.length) {
+    return byResolution;
+  }
+
+  db.prepare(`
+    SELECT rt.resolution_id AS resolutionId, t.id, t.label, rt.source, rt.confidence
+    FROM resolution_tags rt
+    JOIN tags t ON t.id = rt.tag_id
+    WHERE rt.resolution_id IN (${resolutionIds.map(() => "?").join(", ")})
+    ORDER BY rt.rowid ASC
+  `)
+    .all(...resolutionIds)
+    .forEach(({ resolutionId, ...tag }) => byResolution.get(resolutionId)?.push(tag));
+
+  return byResolution;
+}
+
+function getResolutionTags(resolutionId) {
+  return loadResolutionTags([resolutionId]).get(resolutionId);
+}
+
+// Same contract as screenWithModel: any failure falls back to the rules and
+// never blocks a submission.
+async function classifyTagsWithDelegate(title, body, { userId = null } = {}) {
+  const delegate = db
+    .prepare(`SELECT id, slug, served_by AS servedBy FROM delegate_models WHERE id = ?`)
+    .get(TAG_CLASSIFIER_DELEGATE) || { id: TAG_CLASSIFIER_DELEGATE, slug: TAG_CLASSIFIER_DELEGATE, servedBy: "openrouter" };
+  const provider = resolveModelProvider(delegate.servedBy);
+  if (!provider.complete || spendingBudgetExceeded(userId)) {
+    return null;
+  }
+
+  const choices = TAG_DICTIONARY.filter((tag) => tag.id !== "general").map((tag) => tag.id);
+
+  try {
+    const { content, usage } = await provider.complete({
+      model: provider.upstreamModel(delegate),
+      messages: [
+        {
+          role: "system",
+          content: `You tag resolutions for a public debate archive. Pick 1-${MAX_CLASSIFIED_TAGS} tags from this list only: ${choices.join(
+            ", ",
+          )}. Respond with JSON only: {"tags":["tag-id"]}`,
+        },
+        { role: "user", content: `${title}\n\n${body}`.slice(0, 4000) },
+      ],
+    });
+    recordDelegateUsage({ userId, modelId: delegate.id, entry: { usage, source: provider.id }, purpose: "tagging" });
+    const picked = [...new Set((maybeParseJsonObject(content)?.tags || []).map((id) => String(id).toLowerCase()))]
+      .filter((id) => choices.includes(id))
+      .slice(0, MAX_CLASSIFIED_TAGS);
+    return picked.length ? picked.map((id) => ({ id, label: TAG_LABELS.get(id), confidence: null })) : null;
+  } catch (error) {
+    console.error("Tag classifier delegate failed", error instanceof Error ? error.message : String(error));
+    return null;
+  }
+}
+
+async function classifyResolutionTags(title, body, { userId = null } = {}) {
+  const picked = TAG_CLASSIFIER_DELEGATE ? await classifyTagsWithDelegate(title, body, { userId }) : null;
+  return picked ? { source: "delegate", tags: picked } : { source: "rules", tags: classifyTagsWithRules(title, body) };
+}
+
+// Resolutions created before tagging existed (or imported from the legacy
+// archive) are tagged by the keyword rules once at startup.
+function backfillResolutionTags() {
+  const rows = db
+    .prepare(`
+      SELECT id, title, body FROM resolutions r
+      WHERE NOT EXISTS (SELECT 1 FROM resolution_tags rt WHERE rt.resolution_id = r.id)
+    `)
+    .all();
+  const transaction = db.transaction(() => {
+    for (const row of rows) {
+      setResolutionTags(row.id, classifyTagsWithRules(row.title, row.body), "rules");
+    }
+  });
+  transaction();
+}
+
+function createDraft({ userId, title, body, topic, userTags = null }) {
   const timestamp = nowIso();
   const id = randomUUID();
 
@@ -882,11 +2911,18 @@ function createDraft({ userId, title, body, topic }) {
     INSERT INTO resolutions (id, author_user_id, title, body, topic, status, created_at, updated_at)
     VALUES (?, ?, ?, ?, ?, 'draft', ?, ?)
   `).run(id, userId, title, body, topic, timestamp, timestamp);
+  if (userTags?.length) {
+    setResolutionTags(id, userTags, "user");
+  } else {
+    setResolutionTags(id, classifyTagsWithRules(title, body), "rules");
+  }
 
   return db.prepare(`SELECT * FROM resolutions WHERE id = ?`).get(id);
 }
 
-function updateDraft({ draftId, userId, title, body, topic }) {
+// Drafts are re-tagged by the keyword rules on every save until the author
+// picks tags; after that only an explicit `tags` change replaces them.
+function updateDraft({ draftId, userId, title, body, topic, userTags = null }) {
   const draft = db.prepare(`SELECT * FROM resolutions WHERE id = ?`).get(draftId);
   if (!draft) {
     return null;
@@ -906,9 +2942,45 @@ function updateDraft({ draftId, userId, title, body, topic }) {
     WHERE id = ? AND status = 'draft'
   `).run(title, body, topic, timestamp, draftId);
 
+  if (draft.status === "draft") {
+    const hasUserTags = db.prepare(`SELECT 1 FROM resolution_tags WHERE resolution_id = ? AND source = 'user' LIMIT 1`).get(draftId);
+    if (userTags?.length) {
+      setResolutionTags(draftId, userTags, "user");
+    } else if (userTags || !hasUserTags) {
+      setResolutionTags(draftId, classifyTagsWithRules(title, body), "rules");
+    }
+  }
+
   return db.prepare(`SELECT * FROM resolutions WHERE id = ?`).get(draftId);
 }
 
+function parseRebuttalRounds(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_REBUTTAL_ROUNDS;
+  }
+  return clamp(Math.floor(Number(value)) || 0, 0, MAX_REBUTTAL_ROUNDS);
+}
+
+function parseConsensusRule(value) {
+  const rule = String(value || "").trim().toLowerCase();
+  return CONSENSUS_RULES.includes(rule) ? rule : DEFAULT_CONSENSUS_RULE;
+}
+
+function parseHumanWeight(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_HUMAN_VERDICT_WEIGHT;
+  }
+  const weight = Number(value);
+  return Number.isFinite(weight) ? clamp(weight, 0, 1) : DEFAULT_HUMAN_VERDICT_WEIGHT;
+}
+
+function parseConsensusThreshold(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_SUPERMAJORITY_PCT;
+  }
+  return clamp(Math.round(Number(value)) || DEFAULT_SUPERMAJORITY_PCT, 51, 100);
+}
+
 function pickDelegates(delegateIds, fallbackLimit = 4) {
   let candidates = [];
 
@@ -925,56 +2997,145 @@ function pickDelegates(delegateIds, fallbackLimit = 4) {
   return candidates.slice(0, 6);
 }
 
-async function runDebateForResolution({ resolutionId, title, body, delegateIds }) {
-  const timestamp = nowIso();
-  const debateId = randomUUID();
-
-  db.prepare(`
-    INSERT INTO debates (
-      id, resolution_id, status, created_at, updated_at
-    ) VALUES (?, ?, 'active', ?, ?)
-  `).run(debateId, resolutionId, timestamp, timestamp);
-
-  db.prepare(`
-    UPDATE resolutions
-    SET status = 'debating', updated_at = ?
-    WHERE id = ?
-  `).run(timestamp, resolutionId);
+const insertDelegateUsageStmt = db.prepare(`
+  INSERT INTO delegate_usage (
+    id, debate_id, user_id, model_id, served_by, round, prompt_tokens, completion_tokens, cost_usd, priced, purpose, created_at
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
 
-  db.prepare(`
-    INSERT INTO debate_messages (
-      id, debate_id, actor_type, actor_id, actor_name, stance, content, confidence, created_at
-    ) VALUES (?, ?, 'system', NULL, 'Assembly Clerk', 'neutral', ?, NULL, ?)
-  `).run(randomUUID(), debateId, `Debate opened for resolution: ${title}`, timestamp);
+// Cost comes from the provider when it reports one (OpenRouter usage
+// accounting), otherwise from the per-token prices synced into delegate_models.
+// A call that reported no usage at all is recorded as unpriced rather than
+// free. Mock and self-hosted calls cost nothing. `purpose` is "debate" for
+// seat calls, "screening" or "tagging" for the helper models.
+function recordDelegateUsage({ debateId = null, userId, modelId, round = null, entry, purpose = "debate", createdAt = nowIso() }) {
+  const usage = entry.usage || {};
+  const promptTokens = Math.max(0, Math.round(Number(usage.prompt_tokens) || 0));
+  const completionTokens = Math.max(0, Math.round(Number(usage.completion_tokens) || 0));
+  const servedBy = entry.source || "mock";
+  let costUsd = 0;
+  let priced = true;
+
+  if (servedBy === "openrouter" && !entry.usage) {
+    priced = false;
+  } else if (servedBy === "openrouter") {
+    const prices = db.prepare(`SELECT prompt_price AS promptPrice, completion_price AS completionPrice FROM delegate_models WHERE id = ?`).get(modelId);
+    if (Number.isFinite(Number(usage.cost)) && usage.cost !== null) {
+      costUsd = Number(usage.cost);
+    } else if (prices?.promptPrice !== null && prices?.promptPrice !== undefined) {
+      costUsd = promptTokens * prices.promptPrice + completionTokens * (prices.completionPrice || 0);
+    } else {
+      priced = false;
+    }
+  }
 
-  emitDebateEvent(debateId, "debate_started", { debateId, resolutionId, title });
+  insertDelegateUsageStmt.run(
+    randomUUID(),
+    debateId,
+    userId,
+    modelId,
+    servedBy,
+    round,
+    promptTokens,
+    completionTokens,
+    costUsd,
+    priced ? 1 : 0,
+    purpose,
+    createdAt,
+  );
+}
 
-  const settled = await Promise.allSettled(delegateIds.map((modelId) => runDelegateDebate(modelId, title, body)));
+// The screening and tagging models are optional helpers: once a spending
+// budget is exhausted they are skipped in favour of the rule-based fallback.
+function spendingBudgetExceeded(userId = null) {
+  return getSpendingStatus(userId).some((item) => item.exceeded);
+}
 
+function recordDelegateRound({
+  debateId,
+  round,
+  phase,
+  delegateIds,
+  personas = [],
+  promptVersion = null,
+  settled,
+  metadataById,
+  castVotes,
+  substitutions,
+}) {
   const insertVoteStmt = db.prepare(`
     INSERT INTO delegate_votes (
-      id, debate_id, model_id, vote, confidence, argument, rebuttal, raw_output, error, source, created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      id, debate_id, model_id, vote, confidence, argument, rebuttal, raw_output, error, source,
+      attempts, substituted_for, substitution_reason, parse_outcome, persona, prompt_version, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const insertMessageStmt = db.prepare(`
     INSERT INTO debate_messages (
-      id, debate_id, actor_type, actor_id, actor_name, stance, content, confidence, created_at
-    ) VALUES (?, ?, 'delegate', ?, ?, ?, ?, ?, ?)
+      id, debate_id, actor_type, actor_id, actor_name, stance, content, confidence, round, phase, created_at
+    ) VALUES (?, ?, 'delegate', ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
-  const delegateRows = [];
+  const insertAttemptStmt = db.prepare(`
+    INSERT INTO delegate_call_attempts (
+      id, debate_id, round, seat_model_id, model_id, attempt, outcome, http_status, error, latency_ms, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
 
-  const metadataById = new Map(getDelegates(50).map((d) => [d.id, d]));
+  const delegateRows = [];
+  const author = db
+    .prepare(`SELECT r.author_user_id AS userId FROM debates d JOIN resolutions r ON r.id = d.resolution_id WHERE d.id = ?`)
+    .get(debateId);
 
   const tx = db.transaction(() => {
     settled.forEach((result, index) => {
-      const modelId = delegateIds[index];
-      const modelMeta = metadataById.get(modelId);
+      const seatModelId = delegateIds[index];
+      const persona = personas[index] || DEFAULT_DELEGATE_PERSONA;
       const createdAt = nowIso();
+      const attemptLog = (result.status === "fulfilled" ? result.value.attemptLog : result.reason?.attemptLog) || [];
+
+      for (const entry of attemptLog) {
+        if (entry.outcome === "ok" || entry.usage) {
+          recordDelegateUsage({ debateId, userId: author?.userId || null, modelId: entry.modelId, round, entry, createdAt });
+        }
+        insertAttemptStmt.run(
+          randomUUID(),
+          debateId,
+          round,
+          seatModelId,
+          entry.modelId,
+          entry.attempt,
+          entry.outcome,
+          entry.httpStatus,
+          entry.error,
+          entry.latencyMs,
+          createdAt,
+        );
+      }
 
       if (result.status === "fulfilled") {
         const row = result.value;
+        const modelId = row.modelId || seatModelId;
+        const modelMeta = metadataById.get(modelId);
+        const substitution = row.substitutedFor
+          ? { modelId: substitutions[row.substitutedFor]?.modelId || row.substitutedFor, reason: row.substitutionReason }
+          : substitutions[modelId] || null;
+
+        if (row.substitutedFor) {
+          substitutions[modelId] = substitution;
+          delegateIds[index] = modelId;
+
+          const original = metadataById.get(row.substitutedFor);
+          insertClerkMessageStmt.run(
+            randomUUID(),
+            debateId,
+            `${modelMeta?.displayName || modelId} takes the seat of ${original?.displayName || row.substitutedFor}: ${row.substitutionReason}`,
+            round,
+            phase,
+            createdAt,
+          );
+        }
+
         delegateRows.push({
           modelId,
           displayName: modelMeta?.displayName || modelId,
@@ -985,22 +3146,34 @@ async function runDebateForResolution({ resolutionId, title, body, delegateIds }
           rebuttal: row.rebuttal,
           error: null,
           source: row.source || "openrouter",
+          attempts: attemptLog.length,
+          substitutedFor: substitution?.modelId || null,
+          parseOutcome: row.parse || null,
+          persona,
           createdAt,
         });
 
-        insertVoteStmt.run(
-          randomUUID(),
-          debateId,
-          modelId,
-          row.vote,
-          row.confidence,
-          row.argument,
-          row.rebuttal,
-          row.raw,
-          null,
-          row.source || "openrouter",
-          createdAt,
-        );
+        if (castVotes) {
+          insertVoteStmt.run(
+            randomUUID(),
+            debateId,
+            modelId,
+            row.vote,
+            row.confidence,
+            row.argument,
+            row.rebuttal,
+            row.raw,
+            null,
+            row.source || "openrouter",
+            attemptLog.length,
+            substitution?.modelId || null,
+            substitution?.reason || null,
+            row.parse || null,
+            persona,
+            promptVersion,
+            createdAt,
+          );
+        }
 
         insertMessageStmt.run(
           randomUUID(),
@@ -1010,9 +3183,13 @@ async function runDebateForResolution({ resolutionId, title, body, delegateIds }
           row.vote === "Idiotic" ? "idiotic" : "intelligent",
           row.argument,
           row.confidence,
+          round,
+          phase,
           createdAt,
         );
       } else {
+        const modelId = seatModelId;
+        const modelMeta = metadataById.get(modelId);
         const errorMessage = result.reason instanceof Error ? result.reason.message : String(result.reason);
         delegateRows.push({
           modelId,
@@ -1023,23 +3200,34 @@ async function runDebateForResolution({ resolutionId, title, body, delegateIds }
           argument: null,
           rebuttal: null,
           error: errorMessage,
-          source: "openrouter",
+          source: result.reason?.source || delegateProviderId(modelId),
+          attempts: attemptLog.length,
+          substitutedFor: substitutions[modelId]?.modelId || null,
+          persona,
           createdAt,
         });
 
-        insertVoteStmt.run(
-          randomUUID(),
-          debateId,
-          modelId,
-          null,
-          null,
-          null,
-          null,
-          null,
-          errorMessage,
-          "openrouter",
-          createdAt,
-        );
+        if (castVotes) {
+          insertVoteStmt.run(
+            randomUUID(),
+            debateId,
+            modelId,
+            null,
+            null,
+            null,
+            null,
+            result.reason?.raw || null,
+            errorMessage,
+            result.reason?.source || delegateProviderId(modelId),
+            attemptLog.length,
+            substitutions[modelId]?.modelId || null,
+            substitutions[modelId]?.reason || null,
+            result.reason?.code === "DELEGATE_UNPARSEABLE" ? "defaulted" : null,
+            persona,
+            promptVersion,
+            createdAt,
+          );
+        }
 
         insertMessageStmt.run(
           randomUUID(),
@@ -1047,8 +3235,10 @@ async function runDebateForResolution({ resolutionId, title, body, delegateIds }
           modelId,
           modelMeta?.displayName || modelId,
           "neutral",
-          `Delegate failed to respond: ${errorMessage}`,
+          `Delegate failed to respond after ${attemptLog.length} attempt(s): ${errorMessage}`,
           null,
+          round,
+          phase,
           createdAt,
         );
       }
@@ -1057,43 +3247,272 @@ async function runDebateForResolution({ resolutionId, title, body, delegateIds }
 
   tx();
 
-  const consensus = computeConsensus(delegateRows);
-  const finalizedAt = nowIso();
+  for (const row of delegateRows) {
+    emitDebateEvent(debateId, "delegate_message", { debateId, round, phase, ...row });
+  }
 
-  db.prepare(`
-    UPDATE debates
-    SET
-      status = 'closed',
-      verdict = ?,
-      intelligent_votes = ?,
-      idiotic_votes = ?,
-      total_votes = ?,
-      intelligent_pct = ?,
-      idiotic_pct = ?,
-      updated_at = ?
-    WHERE id = ?
-  `).run(
-    consensus.verdict,
-    consensus.intelligentVotes,
-    consensus.idioticVotes,
-    consensus.totalVotes,
-    consensus.intelligentPct,
-    consensus.idioticPct,
-    finalizedAt,
-    debateId,
-  );
+  return delegateRows;
+}
 
-  db.prepare(`UPDATE resolutions SET status = 'closed', updated_at = ? WHERE id = ?`).run(finalizedAt, resolutionId);
+const insertClerkMessageStmt = db.prepare(`
+  INSERT INTO debate_messages (
+    id, debate_id, actor_type, actor_id, actor_name, stance, content, confidence, round, phase, created_at
+  ) VALUES (?, ?, 'system', NULL, 'Assembly Clerk', 'neutral', ?, NULL, ?, ?, ?)
+`);
+
+function createDebate({
+  resolutionId,
+  title,
+  rebuttalRounds = 0,
+  consensusRule = DEFAULT_CONSENSUS_RULE,
+  consensusThreshold = null,
+  humanWeight = DEFAULT_HUMAN_VERDICT_WEIGHT,
+  parentDebateId = null,
+}) {
+  const timestamp = nowIso();
+  const debateId = randomUUID();
+  const rounds = planDebateRounds(rebuttalRounds);
+  const prompt = assignPromptTemplate();
 
   db.prepare(`
-    INSERT INTO debate_messages (
-      id, debate_id, actor_type, actor_id, actor_name, stance, content, confidence, created_at
-    ) VALUES (?, ?, 'system', NULL, 'Assembly Clerk', 'neutral', ?, NULL, ?)
+    INSERT INTO debates (
+      id, resolution_id, parent_debate_id, status, rebuttal_rounds, consensus_rule, consensus_threshold, human_weight,
+      prompt_version, prompt_experiment_id, created_at, updated_at
+    ) VALUES (?, ?, ?, 'queued', ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
-    randomUUID(),
     debateId,
-    `Final verdict: ${consensus.verdict} (${consensus.intelligentPct}% intelligent / ${consensus.idioticPct}% idiotic)`,
-    finalizedAt,
+    resolutionId,
+    parentDebateId,
+    rebuttalRounds,
+    consensusRule,
+    consensusRule === "supermajority" ? consensusThreshold || DEFAULT_SUPERMAJORITY_PCT : null,
+    humanWeight,
+    prompt.version,
+    prompt.experimentId,
+    timestamp,
+    timestamp,
+  );
+
+  db.prepare(`
+    UPDATE resolutions
+    SET status = 'debating', updated_at = ?
+    WHERE id = ?
+  `).run(timestamp, resolutionId);
+
+  insertClerkMessageStmt.run(randomUUID(), debateId, `Debate opened for resolution: ${title}`, 1, rounds[0].phase, timestamp);
+
+  return debateId;
+}
+
+function loadDebateFloor(debateId) {
+  return db
+    .prepare(`
+      SELECT
+        round,
+        actor_id AS modelId,
+        actor_name AS displayName,
+        stance,
+        confidence,
+        content AS argument
+      FROM debate_messages
+      WHERE debate_id = ?
+        AND actor_type = 'delegate'
+        AND stance != 'neutral'
+      ORDER BY created_at ASC
+    `)
+    .all(debateId)
+    .map((row) => ({
+      round: row.round,
+      modelId: row.modelId,
+      displayName: row.displayName,
+      vote: row.stance === "idiotic" ? "Idiotic" : "Intelligent",
+      confidence: row.confidence,
+      argument: row.argument,
+    }));
+}
+
+async function runDebateForResolution(job) {
+  const debate = db
+    .prepare(`
+      SELECT
+        d.id,
+        d.resolution_id AS resolutionId,
+        d.rebuttal_rounds AS rebuttalRounds,
+        d.prompt_version AS promptVersion,
+        r.title,
+        r.body
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE d.id = ?
+    `)
+    .get(job.debate_id);
+
+  if (!debate) {
+    throw new Error(`Debate ${job.debate_id} no longer exists`);
+  }
+
+  const { id: debateId, resolutionId, title, body } = debate;
+  const delegateIds = JSON.parse(job.delegate_ids);
+  const personas = JSON.parse(job.delegate_personas || "[]");
+  const substitutions = JSON.parse(job.substitutions || "{}");
+  const template = getPromptTemplate(debate.promptVersion);
+  const rounds = planDebateRounds(debate.rebuttalRounds);
+  const startedAt = nowIso();
+
+  db.prepare(`UPDATE debates SET status = 'active', updated_at = ? WHERE id = ?`).run(startedAt, debateId);
+  db.prepare(`UPDATE resolutions SET status = 'debating', updated_at = ? WHERE id = ?`).run(startedAt, resolutionId);
+
+  emitDebateEvent(debateId, "debate_started", {
+    debateId,
+    resolutionId,
+    title,
+    rounds,
+    resumedAfterRound: job.completed_round,
+  });
+
+  const metadataById = new Map(getDelegates(50).map((d) => [d.id, d]));
+  const floor = loadDebateFloor(debateId);
+  const markRoundCompletedStmt = db.prepare(`
+    UPDATE debate_jobs
+    SET completed_round = ?, delegate_ids = ?, substitutions = ?, updated_at = ?
+    WHERE id = ?
+  `);
+
+  for (const { round, phase } of rounds.filter((item) => item.round > job.completed_round)) {
+    const roundStartedAt = nowIso();
+    emitDebateEvent(debateId, "debate_round_started", { debateId, round, phase });
+
+    const excludedIds = new Set([...delegateIds, ...Object.keys(substitutions), ...Object.values(substitutions).map((item) => item.modelId)]);
+    const settled = await Promise.allSettled(
+      delegateIds.map((modelId, index) =>
+        runDelegateSeat(
+          modelId,
+          title,
+          body,
+          {
+            round,
+            phase,
+            persona: personas[index] || DEFAULT_DELEGATE_PERSONA,
+            template,
+            floor: floor.filter((entry) => entry.modelId !== modelId),
+            onToken: (speakerId, text, delta) =>
+              emitDebateEvent(debateId, "delegate_token", {
+                debateId,
+                round,
+                phase,
+                modelId: speakerId,
+                displayName: metadataById.get(speakerId)?.displayName || speakerId,
+                delta,
+                argument: extractStreamingArgument(text),
+              }),
+          },
+          { allowSubstitutes: Boolean(job.allow_substitutes), excludedIds },
+        ),
+      ),
+    );
+
+    // The round header, delegate rows and job checkpoint commit together so a
+    // restart either replays the whole round or skips it entirely.
+    const commitRound = db.transaction(() => {
+      if (rounds.length > 1) {
+        insertClerkMessageStmt.run(randomUUID(), debateId, `Round ${round}: ${DEBATE_PHASE_LABELS[phase]}`, round, phase, roundStartedAt);
+      }
+
+      const delegateRows = recordDelegateRound({
+        debateId,
+        round,
+        phase,
+        delegateIds,
+        personas,
+        promptVersion: template.version,
+        settled,
+        metadataById,
+        castVotes: phase === "vote" || phase === "closing",
+        substitutions,
+      });
+
+      markRoundCompletedStmt.run(round, JSON.stringify(delegateIds), JSON.stringify(substitutions), nowIso(), job.id);
+      return delegateRows;
+    });
+
+    for (const row of commitRound()) {
+      if (!row.error) {
+        floor.push({
+          round,
+          modelId: row.modelId,
+          displayName: row.displayName,
+          vote: row.vote,
+          confidence: row.confidence,
+          argument: row.argument,
+        });
+      }
+    }
+
+    emitDebateEvent(debateId, "debate_round_completed", { debateId, round, phase });
+  }
+
+  const delegateRows = db
+    .prepare(`
+      SELECT dv.id, dv.model_id AS modelId, dv.vote, dv.confidence, dv.error, dm.rank_position AS rank
+      FROM delegate_votes dv
+      LEFT JOIN delegate_models dm ON dm.id = dv.model_id
+      WHERE dv.debate_id = ?
+    `)
+    .all(debateId);
+  const debateRule = db.prepare(`SELECT consensus_rule AS rule, consensus_threshold AS threshold FROM debates WHERE id = ?`).get(debateId);
+  if (debateRule.rule === "calibrated") {
+    for (const row of delegateRows) {
+      row.calibratedWeight = calibratedConfidence(getCalibrationCurve(row.modelId), row.confidence);
+    }
+  }
+  const consensus = computeConsensus(delegateRows, {
+    rule: debateRule.rule,
+    threshold: debateRule.threshold || DEFAULT_SUPERMAJORITY_PCT,
+  });
+  const finalizedAt = nowIso();
+
+  // Keep the weight each vote carried so the verdict can be explained and
+  // replayed later with the same numbers.
+  const recordWeightStmt = db.prepare(`UPDATE delegate_votes SET consensus_weight = ? WHERE id = ?`);
+  for (const row of delegateRows) {
+    recordWeightStmt.run(row.error ? null : delegateConsensusWeight(row, debateRule.rule), row.id);
+  }
+
+  db.prepare(`
+    UPDATE debates
+    SET
+      status = 'closed',
+      verdict = ?,
+      intelligent_votes = ?,
+      idiotic_votes = ?,
+      total_votes = ?,
+      intelligent_pct = ?,
+      idiotic_pct = ?,
+      updated_at = ?
+    WHERE id = ?
+  `).run(
+    consensus.verdict,
+    consensus.intelligentVotes,
+    consensus.idioticVotes,
+    consensus.totalVotes,
+    consensus.intelligentPct,
+    consensus.idioticPct,
+    finalizedAt,
+    debateId,
+  );
+
+  db.prepare(`UPDATE resolutions SET status = 'closed', updated_at = ? WHERE id = ?`).run(finalizedAt, resolutionId);
+  refreshPeoplesVerdict(debateId);
+
+  insertClerkMessageStmt.run(
+    randomUUID(),
+    debateId,
+    `Final verdict: ${consensus.verdict} by ${CONSENSUS_RULE_LABELS[consensus.rule]}${
+      consensus.threshold ? ` (${consensus.threshold}% required)` : ""
+    } (${consensus.intelligentPct}% intelligent / ${consensus.idioticPct}% idiotic)`,
+    rounds[rounds.length - 1].round,
+    rounds[rounds.length - 1].phase,
+    finalizedAt,
   );
 
   emitDebateEvent(debateId, "debate_completed", {
@@ -1105,910 +3524,4216 @@ async function runDebateForResolution({ resolutionId, title, body, delegateIds }
   return getDebateById(debateId);
 }
 
-function listArchive({ verdict, topic, delegate, q, dateFrom, dateTo, limit = 20, offset = 0 }) {
-  const params = [];
-  const where = [`d.status = 'closed'`];
+function refreshPeoplesVerdict(debateId) {
+  const debate = db
+    .prepare(`SELECT verdict, intelligent_pct AS intelligentPct, human_weight AS humanWeight FROM debates WHERE id = ?`)
+    .get(debateId);
+  if (!debate) {
+    return null;
+  }
+
+  const people = computePeoplesVerdict(db.prepare(`SELECT vote FROM human_votes WHERE debate_id = ?`).all(debateId));
+  const assembly = computeAssemblyVerdict({
+    delegateVerdict: debate.verdict,
+    delegatePct: debate.intelligentPct,
+    peoplePct: people.intelligentPct,
+    humanWeight: debate.humanWeight ?? DEFAULT_HUMAN_VERDICT_WEIGHT,
+  });
+
+  db.prepare(`
+    UPDATE debates
+    SET
+      people_verdict = ?,
+      people_intelligent_votes = ?,
+      people_idiotic_votes = ?,
+      people_intelligent_pct = ?,
+      assembly_verdict = ?,
+      assembly_intelligent_pct = ?
+    WHERE id = ?
+  `).run(
+    people.verdict,
+    people.intelligentVotes,
+    people.idioticVotes,
+    people.intelligentPct,
+    assembly.verdict,
+    assembly.intelligentPct,
+    debateId,
+  );
+
+  return { people, assembly };
+}
+
+// Debates closed before People's tallies existed (or imported from the legacy
+// archive) get their tallies computed once at startup.
+function backfillVerdictTallies() {
+  const rows = db.prepare(`SELECT id FROM debates WHERE status = 'closed' AND assembly_verdict IS NULL`).all();
+  const transaction = db.transaction(() => {
+    for (const row of rows) {
+      refreshPeoplesVerdict(row.id);
+    }
+  });
+  transaction();
+}
+
+function getDebateJob(jobId) {
+  return db.prepare(`SELECT * FROM debate_jobs WHERE id = ?`).get(jobId);
+}
+
+// Held jobs (quarantined submissions) wait for a moderator before the worker
+// may claim them. Callers enqueue inside their transaction and call
+// startDebateJob once it has committed.
+function enqueueDebateJob({ debateId, delegateIds, personas = [], allowSubstitutes = DELEGATE_SUBSTITUTES_DEFAULT, held = false }) {
+  const jobId = randomUUID();
+  const timestamp = nowIso();
+
+  db.prepare(`
+    INSERT INTO debate_jobs (id, debate_id, status, delegate_ids, delegate_personas, allow_substitutes, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    jobId,
+    debateId,
+    held ? "held" : "queued",
+    JSON.stringify(delegateIds),
+    JSON.stringify(personas),
+    allowSubstitutes ? 1 : 0,
+    timestamp,
+    timestamp,
+  );
+
+  return jobId;
+}
+
+function startDebateJob(debateId, jobId) {
+  emitDebateEvent(debateId, "debate_queued", { debateId, jobId });
+  kickDebateWorker();
+}
+
+const claimNextDebateJob = db.transaction(() => {
+  const next = db
+    .prepare(`
+      SELECT id
+      FROM debate_jobs
+      WHERE status = 'queued'
+      ORDER BY created_at ASC
+      LIMIT 1
+    `)
+    .get();
+
+  if (!next) {
+    return null;
+  }
+
+  db.prepare(`
+    UPDATE debate_jobs
+    SET status = 'running', attempts = attempts + 1, updated_at = ?
+    WHERE id = ?
+  `).run(nowIso(), next.id);
+
+  return getDebateJob(next.id);
+});
+
+async function processDebateJob(job) {
+  try {
+    await runDebateForResolution(job);
+
+    db.prepare(`UPDATE debate_jobs SET status = 'completed', last_error = NULL, updated_at = ? WHERE id = ?`).run(nowIso(), job.id);
+
+    persistLeaderboardSnapshots();
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    const timestamp = nowIso();
+    console.error("Debate job failed", job.id, message);
+
+    if (job.attempts < DEBATE_JOB_MAX_ATTEMPTS) {
+      db.prepare(`UPDATE debate_jobs SET status = 'queued', last_error = ?, updated_at = ? WHERE id = ?`).run(message, timestamp, job.id);
+      return;
+    }
+
+    db.prepare(`UPDATE debate_jobs SET status = 'failed', last_error = ?, updated_at = ? WHERE id = ?`).run(message, timestamp, job.id);
+    db.prepare(`UPDATE debates SET status = 'failed', updated_at = ? WHERE id = ?`).run(timestamp, job.debate_id);
+    db.prepare(`
+      UPDATE resolutions
+      SET status = 'failed', updated_at = ?
+      WHERE id = (SELECT resolution_id FROM debates WHERE id = ?)
+    `).run(timestamp, job.debate_id);
+
+    emitDebateEvent(job.debate_id, "debate_failed", { debateId: job.debate_id, jobId: job.id, error: message });
+  }
+}
+
+function kickDebateWorker() {
+  while (runtime.debateWorker.active < DEBATE_JOB_CONCURRENCY) {
+    const job = claimNextDebateJob();
+    if (!job) {
+      return;
+    }
+
+    runtime.debateWorker.active += 1;
+    const run = processDebateJob(job).finally(() => {
+      runtime.debateWorker.active -= 1;
+      runtime.debateWorker.running.delete(job.id);
+      kickDebateWorker();
+    });
+    runtime.debateWorker.running.set(job.id, run);
+  }
+}
+
+// Vercel freezes a function as soon as it has responded, so a job left to the
+// background worker would stall. There, routes that queue a debate wait for
+// that debate's jobs to finish (retries included) before they respond; jobs
+// queued by other requests are only waited on while they hold a worker slot.
+async function settleDebateJobs(debateId) {
+  if (!IS_VERCEL) {
+    return;
+  }
+  const pending = db.prepare(`SELECT id FROM debate_jobs WHERE debate_id = ? AND status IN ('queued', 'running')`);
+  for (let jobs = pending.all(debateId); jobs.length; jobs = pending.all(debateId)) {
+    const own = jobs.map((job) => runtime.debateWorker.running.get(job.id)).filter(Boolean);
+    const others = [...runtime.debateWorker.running.values()];
+    if (!own.length && !others.length) {
+      return;
+    }
+    await (own.length ? Promise.allSettled(own) : Promise.race(others));
+  }
+}
+
+function resumeDebateJobs() {
+  // Jobs still marked running were interrupted by a restart; their
+  // completed_round checkpoint tells the worker where to pick up.
+  const resumed = db
+    .prepare(`UPDATE debate_jobs SET status = 'queued', updated_at = ? WHERE status = 'running'`)
+    .run(nowIso()).changes;
+
+  if (resumed) {
+    console.log(`Resuming ${resumed} interrupted debate job(s)`);
+  }
+
+  kickDebateWorker();
+}
+
+function diffDebateVersions(baseDebateId, amendedDebateId) {
+  const base = getDebateById(baseDebateId);
+  const amended = getDebateById(amendedDebateId);
+  if (!base || !amended) {
+    return null;
+  }
+
+  const baseVotes = new Map(base.delegateResults.filter((row) => !row.error).map((row) => [row.modelId, row]));
+  const amendedVotes = new Map(amended.delegateResults.filter((row) => !row.error).map((row) => [row.modelId, row]));
+  const modelIds = [...new Set([...baseVotes.keys(), ...amendedVotes.keys()])];
+
+  const delegates = modelIds.map((modelId) => {
+    const before = baseVotes.get(modelId) || null;
+    const after = amendedVotes.get(modelId) || null;
+
+    return {
+      modelId,
+      displayName: (after || before).displayName || modelId,
+      before: before ? { vote: before.vote, confidence: before.confidence } : null,
+      after: after ? { vote: after.vote, confidence: after.confidence } : null,
+      flipped: Boolean(before && after && before.vote !== after.vote),
+      confidenceDelta: before && after ? after.confidence - before.confidence : null,
+    };
+  });
+
+  const summarize = (debate) => ({
+    debateId: debate.id,
+    status: debate.status,
+    version: debate.resolution.version,
+    title: debate.resolution.title,
+    body: debate.resolution.body,
+    amendmentRationale: debate.resolution.amendmentRationale,
+    consensus: debate.consensus,
+    peoplesVerdict: debate.peoplesVerdict,
+  });
+
+  return {
+    base: summarize(base),
+    amended: summarize(amended),
+    verdictChanged: base.verdict !== amended.verdict,
+    flips: delegates.filter((row) => row.flipped).length,
+    delegates,
+  };
+}
+
+const DELEGATE_STATS_BUCKETS = {
+  day: "date(dv.created_at)",
+  week: "date(dv.created_at, 'weekday 1', '-7 days')",
+  month: "strftime('%Y-%m-01', dv.created_at)",
+};
+
+function getDelegateStats(modelId, { bucket = "week" } = {}) {
+  const delegate = db
+    .prepare(`
+      SELECT
+        id,
+        display_name AS displayName,
+        provider,
+        served_by AS servedBy,
+        rank_position AS rank,
+        prompt_price AS promptPrice,
+        completion_price AS completionPrice
+      FROM delegate_models
+      WHERE id = ?
+    `)
+    .get(modelId);
+  if (!delegate) {
+    return null;
+  }
+
+  // Agreement only counts decisive verdicts; Hung debates and debates without
+  // human votes are left out of the denominators.
+  const voteColumns = `
+    COUNT(*) AS seats,
+    SUM(CASE WHEN dv.error IS NULL THEN 1 ELSE 0 END) AS votes,
+    SUM(CASE WHEN dv.vote = 'Intelligent' THEN 1 ELSE 0 END) AS intelligent,
+    SUM(CASE WHEN dv.vote = 'Idiotic' THEN 1 ELSE 0 END) AS idiotic,
+    SUM(CASE WHEN dv.error IS NOT NULL THEN 1 ELSE 0 END) AS failedSeats,
+    ROUND(AVG(CASE WHEN dv.error IS NULL THEN dv.confidence END), 1) AS avgConfidence,
+    SUM(CASE WHEN dv.error IS NULL AND d.verdict IN ('Intelligent', 'Idiotic') THEN 1 ELSE 0 END) AS verdictComparable,
+    SUM(CASE WHEN dv.error IS NULL AND d.verdict IN ('Intelligent', 'Idiotic') AND dv.vote = d.verdict THEN 1 ELSE 0 END) AS verdictAgreements,
+    SUM(CASE WHEN dv.error IS NULL AND d.people_verdict IN ('Intelligent', 'Idiotic') THEN 1 ELSE 0 END) AS peopleComparable,
+    SUM(CASE WHEN dv.error IS NULL AND d.people_verdict IN ('Intelligent', 'Idiotic') AND dv.vote = d.people_verdict THEN 1 ELSE 0 END) AS peopleAgreements
+  `;
+  const pct = (part, whole) => (whole ? Math.round((Number(part || 0) / whole) * 100) : null);
+  const summarize = (row) => ({
+    seats: row.seats || 0,
+    votes: row.votes || 0,
+    intelligent: row.intelligent || 0,
+    idiotic: row.idiotic || 0,
+    intelligentPct: pct(row.intelligent, row.votes),
+    failedSeats: row.failedSeats || 0,
+    avgConfidence: row.avgConfidence,
+    verdictAgreementPct: pct(row.verdictAgreements, row.verdictComparable),
+    verdictComparable: row.verdictComparable || 0,
+    peopleAgreementPct: pct(row.peopleAgreements, row.peopleComparable),
+    peopleComparable: row.peopleComparable || 0,
+  });
+
+  const overall = db
+    .prepare(`
+      SELECT ${voteColumns}
+      FROM delegate_votes dv
+      JOIN debates d ON d.id = dv.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE dv.model_id = ? AND r.hidden_at IS NULL
+    `)
+    .get(modelId);
+
+  const attempts = db
+    .prepare(`
+      SELECT
+        COUNT(*) AS calls,
+        SUM(CASE WHEN a.outcome = 'ok' THEN 0 ELSE 1 END) AS failures,
+        SUM(CASE WHEN a.outcome = 'timeout' THEN 1 ELSE 0 END) AS timeouts,
+        ROUND(AVG(CASE WHEN a.outcome = 'ok' THEN a.latency_ms END)) AS avgLatencyMs
+      FROM delegate_call_attempts a
+      JOIN debates d ON d.id = a.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE a.model_id = ? AND r.hidden_at IS NULL
+    `)
+    .get(modelId);
+
+  const parseOutcomes = Object.fromEntries(
+    db
+      .prepare(`
+        SELECT dv.parse_outcome AS outcome, COUNT(*) AS count
+        FROM delegate_votes dv
+        JOIN debates d ON d.id = dv.debate_id
+        JOIN resolutions r ON r.id = d.resolution_id
+        WHERE dv.model_id = ? AND dv.parse_outcome IS NOT NULL AND r.hidden_at IS NULL
+        GROUP BY dv.parse_outcome
+      `)
+      .all(modelId)
+      .map((row) => [row.outcome, row.count]),
+  );
+
+  const latencies = db
+    .prepare(`
+      SELECT a.latency_ms AS latencyMs
+      FROM delegate_call_attempts a
+      JOIN debates d ON d.id = a.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE a.model_id = ? AND a.outcome = 'ok' AND r.hidden_at IS NULL
+      ORDER BY a.latency_ms ASC
+    `)
+    .all(modelId)
+    .map((row) => row.latencyMs);
+  const percentile = (p) => (latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor((p / 100) * latencies.length))] : null);
+
+  const topics = db
+    .prepare(`
+      SELECT r.topic, ${voteColumns}
+      FROM delegate_votes dv
+      JOIN debates d ON d.id = dv.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE dv.model_id = ? AND r.hidden_at IS NULL
+      GROUP BY r.topic
+      ORDER BY seats DESC, r.topic ASC
+    `)
+    .all(modelId)
+    .map((row) => ({ topic: row.topic, ...summarize(row) }));
+
+  const timeline = db
+    .prepare(`
+      SELECT ${DELEGATE_STATS_BUCKETS[bucket]} AS period, ${voteColumns}
+      FROM delegate_votes dv
+      JOIN debates d ON d.id = dv.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE dv.model_id = ? AND r.hidden_at IS NULL
+      GROUP BY period
+      ORDER BY period ASC
+    `)
+    .all(modelId)
+    .map((row) => ({ period: row.period, ...summarize(row) }));
+
+  const recent = db
+    .prepare(`
+      SELECT
+        d.id AS debateId,
+        r.title,
+        r.topic,
+        dv.vote,
+        dv.confidence,
+        dv.error,
+        d.verdict,
+        d.people_verdict AS peopleVerdict,
+        dv.created_at AS createdAt
+      FROM delegate_votes dv
+      JOIN debates d ON d.id = dv.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE dv.model_id = ? AND r.hidden_at IS NULL
+      ORDER BY dv.created_at DESC
+      LIMIT 10
+    `)
+    .all(modelId);
+
+  return {
+    delegate,
+    summary: {
+      ...summarize(overall),
+      calls: attempts.calls || 0,
+      failedCalls: attempts.failures || 0,
+      timeouts: attempts.timeouts || 0,
+      failureRatePct: pct(attempts.failures, attempts.calls),
+      avgLatencyMs: attempts.avgLatencyMs,
+      p50LatencyMs: percentile(50),
+      p95LatencyMs: percentile(95),
+      parseOutcomes,
+    },
+    topics,
+    timeline: { bucket, items: timeline },
+    recent,
+  };
+}
+
+function calibrationBin(confidence) {
+  const value = clamp(Number(confidence) || 0, 1, 100);
+  return Math.min(Math.floor((value - 1) / CALIBRATION_BIN_SIZE), 100 / CALIBRATION_BIN_SIZE - 1);
+}
+
+// Reliability curve and Brier score for one delegate against a reference
+// verdict column. Only closed debates with a decisive reference count.
+function getCalibrationCurve(modelId, reference = "outcome") {
+  const target =
+    reference === "consensus"
+      ? "d.verdict"
+      : reference === "people"
+        ? "d.people_verdict"
+        : "CASE WHEN d.people_verdict IN ('Intelligent', 'Idiotic') THEN d.people_verdict ELSE d.verdict END";
+  const rows = db
+    .prepare(`
+      SELECT dv.confidence, CASE WHEN dv.vote = ${target} THEN 1 ELSE 0 END AS hit
+      FROM delegate_votes dv
+      JOIN debates d ON d.id = dv.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE dv.model_id = ?
+        AND dv.error IS NULL
+        AND d.status = 'closed'
+        AND r.hidden_at IS NULL
+        AND ${target} IN ('Intelligent', 'Idiotic')
+    `)
+    .all(modelId);
+
+  const bins = Array.from({ length: 100 / CALIBRATION_BIN_SIZE }, (_, index) => ({
+    from: index * CALIBRATION_BIN_SIZE + 1,
+    to: (index + 1) * CALIBRATION_BIN_SIZE,
+    count: 0,
+    hits: 0,
+    confidenceSum: 0,
+  }));
+  let brierSum = 0;
+
+  for (const row of rows) {
+    const bin = bins[calibrationBin(row.confidence)];
+    bin.count += 1;
+    bin.hits += row.hit;
+    bin.confidenceSum += row.confidence;
+    brierSum += (row.confidence / 100 - row.hit) ** 2;
+  }
+
+  const brier = rows.length ? Math.round((brierSum / rows.length) * 1000) / 1000 : null;
+  const hits = rows.reduce((sum, row) => sum + row.hit, 0);
+
+  return {
+    reference,
+    comparable: rows.length,
+    hitPct: rows.length ? Math.round((hits / rows.length) * 100) : null,
+    meanConfidence: rows.length ? Math.round((rows.reduce((sum, row) => sum + row.confidence, 0) / rows.length) * 10) / 10 : null,
+    brier,
+    calibrationScore: brier === null ? null : Math.round((1 - brier) * 100),
+    bins: bins.map((bin) => ({
+      from: bin.from,
+      to: bin.to,
+      count: bin.count,
+      hits: bin.hits,
+      meanConfidence: bin.count ? Math.round((bin.confidenceSum / bin.count) * 10) / 10 : null,
+      observedPct: bin.count ? Math.round((bin.hits / bin.count) * 100) : null,
+    })),
+  };
+}
+
+// Maps a stated confidence onto the delegate's observed hit rate for that
+// confidence bin, shrunk towards the stated value. Returns a 0-1 weight.
+function calibratedConfidence(curve, confidence) {
+  const stated = clamp(Number(confidence) || 0, 1, 100) / 100;
+  const bin = curve.bins[calibrationBin(confidence)];
+  const denominator = bin.count + CALIBRATION_PRIOR_VOTES;
+  if (!denominator) {
+    return stated;
+  }
+  return Math.round(((bin.hits + CALIBRATION_PRIOR_VOTES * stated) / denominator) * 1000) / 1000;
+}
+
+function getDelegateCalibration(modelId) {
+  const delegate = db
+    .prepare(`SELECT id, display_name AS displayName, provider FROM delegate_models WHERE id = ?`)
+    .get(modelId);
+  if (!delegate) {
+    return null;
+  }
+
+  const outcome = getCalibrationCurve(modelId);
+  return {
+    delegate,
+    consensus: getCalibrationCurve(modelId, "consensus"),
+    people: getCalibrationCurve(modelId, "people"),
+    weights: outcome.bins.map((bin) => ({
+      from: bin.from,
+      to: bin.to,
+      weight: calibratedConfidence(outcome, bin.to - CALIBRATION_BIN_SIZE / 2),
+    })),
+    priorVotes: CALIBRATION_PRIOR_VOTES,
+  };
+}
+
+function listDelegateCalibration() {
+  return db
+    .prepare(`
+      SELECT DISTINCT dv.model_id AS id, dm.display_name AS displayName
+      FROM delegate_votes dv
+      JOIN debates d ON d.id = dv.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      LEFT JOIN delegate_models dm ON dm.id = dv.model_id
+      WHERE dv.error IS NULL AND r.hidden_at IS NULL
+    `)
+    .all()
+    .map((row) => {
+      const consensus = getCalibrationCurve(row.id, "consensus");
+      const people = getCalibrationCurve(row.id, "people");
+      return {
+        modelId: row.id,
+        displayName: row.displayName || row.id,
+        consensusComparable: consensus.comparable,
+        consensusBrier: consensus.brier,
+        peopleComparable: people.comparable,
+        peopleBrier: people.brier,
+        meanConfidence: consensus.meanConfidence,
+      };
+    })
+    .filter((row) => row.consensusComparable > 0)
+    .sort((a, b) => (a.peopleBrier ?? a.consensusBrier) - (b.peopleBrier ?? b.consensusBrier));
+}
+
+// Pairwise agreement between delegates that voted in the same debates. Only
+// successful votes count; a pair needs minShared common debates to be listed.
+function getDelegateAgreementMatrix({ topic, dateFrom, dateTo, minShared = 1, limit = 12 }) {
+  const params = [];
+  const where = [`a.error IS NULL`, `b.error IS NULL`, `a.vote IS NOT NULL`, `b.vote IS NOT NULL`, `r.hidden_at IS NULL`];
+
+  if (topic) {
+    where.push(`r.topic = ?`);
+    params.push(topic);
+  }
+
+  if (dateFrom) {
+    where.push(`d.created_at >= ?`);
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    where.push(`d.created_at <= ?`);
+    params.push(dateTo);
+  }
+
+  const pairs = db
+    .prepare(`
+      SELECT
+        a.model_id AS modelA,
+        b.model_id AS modelB,
+        COUNT(DISTINCT a.debate_id) AS shared,
+        COUNT(DISTINCT CASE WHEN a.vote = b.vote THEN a.debate_id END) AS agreements
+      FROM delegate_votes a
+      JOIN delegate_votes b ON b.debate_id = a.debate_id AND b.model_id > a.model_id
+      JOIN debates d ON d.id = a.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE ${where.join(" AND ")}
+      GROUP BY a.model_id, b.model_id
+      HAVING shared >= ?
+    `)
+    .all(...params, minShared)
+    .map((row) => ({ ...row, agreementPct: Math.round((row.agreements / row.shared) * 100) }));
+
+  // Keep the delegates that appear in the most pairs so the heatmap stays readable.
+  const appearances = new Map();
+  for (const pair of pairs) {
+    appearances.set(pair.modelA, (appearances.get(pair.modelA) || 0) + pair.shared);
+    appearances.set(pair.modelB, (appearances.get(pair.modelB) || 0) + pair.shared);
+  }
+  const modelIds = [...appearances.entries()]
+    .sort((x, y) => y[1] - x[1] || x[0].localeCompare(y[0]))
+    .slice(0, limit)
+    .map(([modelId]) => modelId);
+  const included = new Set(modelIds);
+
+  const names = new Map(
+    modelIds.length
+      ? db
+          .prepare(`SELECT id, display_name AS displayName FROM delegate_models WHERE id IN (${modelIds.map(() => "?").join(", ")})`)
+          .all(...modelIds)
+          .map((row) => [row.id, row.displayName])
+      : [],
+  );
+
+  const visiblePairs = pairs.filter((pair) => included.has(pair.modelA) && included.has(pair.modelB));
+  const ranked = [...visiblePairs].sort((x, y) => y.agreementPct - x.agreementPct || y.shared - x.shared);
+
+  return {
+    delegates: modelIds.map((id) => ({ id, displayName: names.get(id) || id })),
+    pairs: visiblePairs,
+    mostAligned: ranked.slice(0, 5),
+    leastAligned: ranked.slice(-5).reverse(),
+    filters: { topic: topic || null, dateFrom: dateFrom || null, dateTo: dateTo || null, minShared },
+  };
+}
+
+const LISTING_SORTS = ["newest", "oldest", "most_voted", "closest_margin", "highest_confidence"];
+
+// Sort expressions over a debate aliased `d`, shared by the archive and the
+// profile listings. Every expression is NULL-free so it can key a cursor.
+function debateSortOrders(createdAtExpr) {
+  return {
+    newest: { expr: createdAtExpr, ascending: false },
+    oldest: { expr: createdAtExpr, ascending: true },
+    most_voted: { expr: `COALESCE(d.people_intelligent_votes + d.people_idiotic_votes, 0)`, ascending: false },
+    closest_margin: { expr: `COALESCE(ABS(d.intelligent_pct - 50), 100)`, ascending: true },
+    highest_confidence: {
+      expr: `COALESCE((SELECT AVG(dvs.confidence) FROM delegate_votes dvs WHERE dvs.debate_id = d.id), 0)`,
+      ascending: false,
+    },
+  };
+}
+
+function parseListingSort(value, allowed = LISTING_SORTS) {
+  const sort = String(value || allowed[0]).trim().toLowerCase().replaceAll("-", "_");
+  if (!allowed.includes(sort)) {
+    const error = new Error(`sort must be one of: ${allowed.join(", ")}`);
+    error.code = "INVALID_LISTING_QUERY";
+    throw error;
+  }
+  return sort;
+}
+
+// Cursors are opaque base64url tokens holding the sort key and id of the row
+// they point past, plus whether they page backwards.
+function encodeListingCursor(row, before = false) {
+  return Buffer.from(JSON.stringify({ k: row.sortKey, i: row.cursorId, ...(before ? { b: 1 } : {}) })).toString("base64url");
+}
+
+function decodeListingCursor(token) {
+  if (!token) {
+    return null;
+  }
+  try {
+    const value = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+    if (value && ["string", "number"].includes(typeof value.k) && typeof value.i === "string") {
+      return { key: value.k, id: value.i, before: Boolean(value.b) };
+    }
+  } catch {
+    // fall through to the error below
+  }
+  const error = new Error("Invalid cursor");
+  error.code = "INVALID_LISTING_QUERY";
+  throw error;
+}
+
+// Runs a listing page with both offset and keyset (cursor) paging and the
+// total row count. `from` may carry placeholders; `params` covers `from` and
+// `where` in order. With a cursor the offset is ignored.
+function queryListingPage({ select, from, where, params, order, idExpr, limit, offset = 0, cursor = null }) {
+  const position = decodeListingCursor(cursor);
+  const conditions = [...where];
+  const pageParams = [...params];
+  const backwards = Boolean(position?.before);
+  const ascending = order.ascending !== backwards;
+
+  if (position) {
+    const op = ascending ? ">" : "<";
+    conditions.push(`(${order.expr} ${op} ? OR (${order.expr} = ? AND ${idExpr} ${op} ?))`);
+    pageParams.push(position.key, position.key, position.id);
+  }
+
+  const whereSql = (list) => (list.length ? `WHERE ${list.join(" AND ")}` : "");
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${from} ${whereSql(where)}`).get(...params);
+
+  const direction = ascending ? "ASC" : "DESC";
+  const rows = db
+    .prepare(`
+      SELECT ${select}, ${order.expr} AS sortKey, ${idExpr} AS cursorId
+      FROM ${from}
+      ${whereSql(conditions)}
+      ORDER BY sortKey ${direction}, cursorId ${direction}
+      LIMIT ? OFFSET ?
+    `)
+    .all(...pageParams, limit + 1, position ? 0 : offset);
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backwards) {
+    page.reverse();
+  }
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = backwards ? Boolean(position) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position) || offset > 0;
+
+  return {
+    rows: page.map(({ sortKey, cursorId, ...row }) => row),
+    total,
+    nextCursor: hasNext && last ? encodeListingCursor(last) : null,
+    prevCursor: hasPrev && first ? encodeListingCursor(first, true) : null,
+  };
+}
+
+function sendListingError(res, next, error) {
+  if (error.code === "INVALID_LISTING_QUERY") {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+  next(error);
+}
+
+// Turns free text into an FTS5 query: every word must match, as a prefix, so
+// punctuation or FTS operators typed into the search box cannot break it.
+function buildSearchMatch(q) {
+  const terms = String(q || "").match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms.length ? terms.slice(0, 12).map((term) => `"${term}"*`).join(" ") : null;
+}
+
+// snippet() marks matches with control characters; the text around them is
+// escaped before they become <mark> tags.
+function highlightSnippet(text) {
+  return String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\u0002/g, "<mark>")
+    .replace(/\u0003/g, "</mark>");
+}
+
+function listArchive({
+  verdict,
+  peopleVerdict,
+  assemblyVerdict,
+  disagreement,
+  rule,
+  topic,
+  tag,
+  delegate,
+  persona,
+  q,
+  dateFrom,
+  dateTo,
+  sort = null,
+  cursor = null,
+  limit = 20,
+  offset = 0,
+}) {
+  const params = [];
+  const where = [`d.status = 'closed'`, `r.hidden_at IS NULL`];
+
+  if (verdict) {
+    where.push(`d.verdict = ?`);
+    params.push(normalizeVerdict(verdict));
+  }
+
+  if (peopleVerdict) {
+    where.push(`d.people_verdict = ?`);
+    params.push(normalizeVerdict(peopleVerdict));
+  }
+
+  if (assemblyVerdict) {
+    where.push(`d.assembly_verdict = ?`);
+    params.push(normalizeVerdict(assemblyVerdict));
+  }
+
+  if (disagreement) {
+    where.push(`d.people_verdict IS NOT NULL AND d.people_verdict != d.verdict`);
+  }
+
+  if (rule) {
+    where.push(`d.consensus_rule = ?`);
+    params.push(rule);
+  }
+
+  if (topic) {
+    where.push(`r.topic = ?`);
+    params.push(topic);
+  }
+
+  if (tag) {
+    where.push(`EXISTS (SELECT 1 FROM resolution_tags rtf WHERE rtf.resolution_id = r.id AND rtf.tag_id = ?)`);
+    params.push(slugifyTag(tag));
+  }
+
+  // A match anywhere in the debate counts: the resolution text (shared by
+  // every debate of that resolution) or one of this debate's messages/votes.
+  const match = buildSearchMatch(q);
+  const searchJoin = match
+    ? `JOIN (
+        SELECT dd.id AS debate_id, MIN(h.score) AS score
+        FROM (
+          SELECT resolution_id, debate_id, rank AS score
+          FROM search_index
+          WHERE search_index MATCH ?
+        ) h
+        JOIN debates dd ON dd.id = h.debate_id OR (h.debate_id IS NULL AND dd.resolution_id = h.resolution_id)
+        GROUP BY dd.id
+      ) hits ON hits.debate_id = d.id`
+    : "";
+  if (q && !match) {
+    where.push(`0`);
+  }
+
+  if (dateFrom) {
+    where.push(`d.created_at >= ?`);
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    where.push(`d.created_at <= ?`);
+    params.push(dateTo);
+  }
+
+  if (delegate) {
+    where.push(`EXISTS (
+      SELECT 1 FROM delegate_votes dvf
+      WHERE dvf.debate_id = d.id
+        AND (dvf.model_id = ? OR dvf.model_id LIKE ?)
+    )`);
+    params.push(delegate, `%${delegate}%`);
+  }
+
+  if (persona) {
+    where.push(`EXISTS (SELECT 1 FROM delegate_votes dvp WHERE dvp.debate_id = d.id AND dvp.persona = ?)`);
+    params.push(persona);
+  }
+
+  // A search is ordered by relevance unless another sort is asked for.
+  const sortKey = parseListingSort(sort || (match ? "relevance" : null), match ? ["relevance", ...LISTING_SORTS] : LISTING_SORTS);
+  const orders = { ...debateSortOrders("d.created_at"), relevance: { expr: "hits.score", ascending: true } };
+
+  const page = queryListingPage({
+    select: `
+        d.id AS debateId,
+        d.created_at AS createdAt,
+        d.updated_at AS updatedAt,
+        d.verdict,
+        d.intelligent_votes AS intelligentVotes,
+        d.idiotic_votes AS idioticVotes,
+        d.total_votes AS totalVotes,
+        d.intelligent_pct AS intelligentPct,
+        d.idiotic_pct AS idioticPct,
+        d.consensus_rule AS consensusRule,
+        d.consensus_threshold AS consensusThreshold,
+        d.human_weight AS humanWeight,
+        d.people_verdict AS peopleVerdict,
+        d.people_intelligent_votes AS peopleIntelligentVotes,
+        d.people_idiotic_votes AS peopleIdioticVotes,
+        d.people_intelligent_pct AS peopleIntelligentPct,
+        d.assembly_verdict AS assemblyVerdict,
+        d.assembly_intelligent_pct AS assemblyIntelligentPct,
+        d.parent_debate_id AS parentDebateId,
+        r.version,
+        r.id AS resolutionId,
+        r.title,
+        r.body,
+        r.topic,
+        r.author_user_id AS authorUserId,
+        u.display_name AS authorName`,
+    from: `
+      debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      JOIN users u ON u.id = r.author_user_id
+      ${searchJoin}`,
+    where,
+    params: [...(match ? [match] : []), ...params],
+    order: orders[sortKey],
+    idExpr: "d.id",
+    limit,
+    offset,
+    cursor,
+  });
+
+  const bestHitStmt = match
+    ? db.prepare(`
+        SELECT h.kind, h.sourceId, h.actorName, h.snippet, m.round, m.phase
+        FROM (
+          SELECT
+            kind,
+            source_id AS sourceId,
+            actor_name AS actorName,
+            snippet(search_index, -1, char(2), char(3), '…', 16) AS snippet
+          FROM search_index
+          WHERE search_index MATCH ?
+            AND (debate_id = ? OR (debate_id IS NULL AND resolution_id = ?))
+          ORDER BY rank
+          LIMIT 1
+        ) h
+        LEFT JOIN debate_messages m ON h.kind = 'message' AND m.id = h.sourceId
+      `)
+    : null;
+
+  const tagsByResolution = loadResolutionTags([...new Set(page.rows.map((row) => row.resolutionId))]);
+  const items = page.rows.map((row) => {
+    const delegates = db
+      .prepare(`
+        SELECT
+          dv.model_id AS modelId,
+          dm.display_name AS displayName,
+          dm.provider,
+          dv.persona
+        FROM delegate_votes dv
+        LEFT JOIN delegate_models dm ON dm.id = dv.model_id
+        WHERE dv.debate_id = ?
+        ORDER BY dv.created_at ASC
+      `)
+      .all(row.debateId);
+
+    return {
+      id: row.debateId,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+      verdict: row.verdict,
+      consensus: {
+        verdict: row.verdict,
+        rule: row.consensusRule,
+        threshold: row.consensusThreshold,
+        intelligentVotes: row.intelligentVotes,
+        idioticVotes: row.idioticVotes,
+        totalVotes: row.totalVotes,
+        intelligentPct: row.intelligentPct,
+        idioticPct: row.idioticPct,
+      },
+      ...mapVerdictTallies(row),
+      parentDebateId: row.parentDebateId || null,
+      version: row.version,
+      title: row.title,
+      resolution: row.body,
+      topic: row.topic,
+      tags: tagsByResolution.get(row.resolutionId),
+      authorUserId: row.authorUserId,
+      authorName: row.authorName,
+      delegates,
+      ...(bestHitStmt ? { match: mapSearchHit(bestHitStmt.get(match, row.debateId, row.resolutionId)) } : {}),
+    };
+  });
+
+  return { items, total: page.total, sort: sortKey, nextCursor: page.nextCursor, prevCursor: page.prevCursor };
+}
+
+function mapSearchHit(hit) {
+  if (!hit) {
+    return null;
+  }
+  return {
+    kind: hit.kind,
+    sourceId: hit.sourceId,
+    actorName: hit.actorName || null,
+    round: hit.round ?? null,
+    phase: hit.phase || null,
+    snippet: highlightSnippet(hit.snippet),
+  };
+}
+
+function getArchiveFacets() {
+  const verdicts = db
+    .prepare(`
+      SELECT d.verdict, COUNT(*) AS count
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE d.status = 'closed' AND r.hidden_at IS NULL
+      GROUP BY d.verdict
+      ORDER BY count DESC
+    `)
+    .all();
+
+  const peopleVerdicts = db
+    .prepare(`
+      SELECT d.people_verdict AS verdict, COUNT(*) AS count
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE d.status = 'closed' AND r.hidden_at IS NULL AND d.people_verdict IS NOT NULL
+      GROUP BY d.people_verdict
+      ORDER BY count DESC
+    `)
+    .all();
+
+  const { disagreements } = db
+    .prepare(`
+      SELECT COUNT(*) AS disagreements
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE d.status = 'closed' AND r.hidden_at IS NULL AND d.people_verdict IS NOT NULL AND d.people_verdict != d.verdict
+    `)
+    .get();
+
+  const consensusRules = db
+    .prepare(`
+      SELECT d.consensus_rule AS rule, COUNT(*) AS count
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE d.status = 'closed' AND r.hidden_at IS NULL
+      GROUP BY d.consensus_rule
+      ORDER BY count DESC
+    `)
+    .all();
+
+  const topics = db
+    .prepare(`
+      SELECT topic, COUNT(*) AS count
+      FROM resolutions
+      WHERE status = 'closed' AND hidden_at IS NULL
+      GROUP BY topic
+      ORDER BY count DESC
+    `)
+    .all();
+
+  const tags = db
+    .prepare(`
+      SELECT t.id AS tag, t.label, COUNT(*) AS count
+      FROM resolution_tags rt
+      JOIN tags t ON t.id = rt.tag_id
+      JOIN resolutions r ON r.id = rt.resolution_id
+      WHERE r.status = 'closed' AND r.hidden_at IS NULL
+      GROUP BY t.id
+      ORDER BY count DESC, t.label ASC
+      LIMIT 30
+    `)
+    .all();
+
+  const delegates = db
+    .prepare(`
+      SELECT
+        dm.display_name AS name,
+        dm.provider,
+        COUNT(*) AS count
+      FROM delegate_votes dv
+      JOIN delegate_models dm ON dm.id = dv.model_id
+      JOIN debates d ON d.id = dv.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE d.status = 'closed' AND r.hidden_at IS NULL
+      GROUP BY dv.model_id
+      ORDER BY count DESC
+      LIMIT 20
+    `)
+    .all();
+
+  const personas = db
+    .prepare(`
+      SELECT dv.persona, COUNT(DISTINCT dv.debate_id) AS count
+      FROM delegate_votes dv
+      JOIN debates d ON d.id = dv.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE d.status = 'closed' AND r.hidden_at IS NULL AND dv.persona IS NOT NULL
+      GROUP BY dv.persona
+      ORDER BY count DESC
+    `)
+    .all()
+    .map((row) => ({ ...row, label: DELEGATE_PERSONAS.get(row.persona)?.label || row.persona }));
+
+  return { verdicts, peopleVerdicts, disagreements, consensusRules, topics, tags, delegates, personas };
+}
+
+function getUserStats(userId, period = "all_time") {
+  const start = periodStart(period);
+  const params = [userId];
+  const dateFilter = start ? `AND hv.created_at >= ?` : "";
+  if (start) {
+    params.push(start);
+  }
+
+  const submissionsFilter = start ? `AND r.created_at >= ?` : "";
+  const submissionsParams = [userId];
+  if (start) {
+    submissionsParams.push(start);
+  }
+
+  const submissions = db
+    .prepare(`
+      SELECT COUNT(*) AS count
+      FROM resolutions r
+      WHERE r.author_user_id = ?
+        AND r.status != 'draft'
+        ${submissionsFilter}
+    `)
+    .get(...submissionsParams).count;
+
+  const voteSummary = db
+    .prepare(`
+      SELECT
+        COUNT(*) AS totalVotes,
+        SUM(CASE WHEN hv.vote = d.verdict THEN 1 ELSE 0 END) AS alignedVotes
+      FROM human_votes hv
+      JOIN debates d ON d.id = hv.debate_id
+      WHERE hv.user_id = ?
+      ${dateFilter}
+    `)
+    .get(...params);
+
+  const totalVotes = voteSummary.totalVotes || 0;
+  const alignedVotes = voteSummary.alignedVotes || 0;
+  const alignmentPct = totalVotes ? Math.round((alignedVotes / totalVotes) * 100) : 0;
+
+  const activityBonus = Math.min(30, submissions * 4 + totalVotes * 2);
+  const alignmentScore = Math.round(alignmentPct * 0.7 + activityBonus);
+
+  let title = "Junior Petitioner";
+  if (alignmentScore >= 90 && submissions >= 8) {
+    title = "Grand Envoy";
+  } else if (alignmentScore >= 75 && submissions >= 5) {
+    title = "High Councillor";
+  } else if (alignmentScore >= 60 && submissions >= 3) {
+    title = "Senior Petitioner";
+  }
+
+  return {
+    submissions,
+    totalVotes,
+    alignedVotes,
+    alignmentPct,
+    alignmentScore,
+    title,
+  };
+}
+
+function computeLeaderboard(period = "weekly", limit = 100) {
+  const users = db.prepare(`SELECT id, handle, display_name AS displayName FROM users`).all();
+
+  const rows = users
+    .map((user) => {
+      const stats = getUserStats(user.id, period);
+      return {
+        userId: user.id,
+        handle: user.handle,
+        displayName: user.displayName,
+        alignmentScore: stats.alignmentScore,
+        alignmentPct: stats.alignmentPct,
+        submissions: stats.submissions,
+        totalVotes: stats.totalVotes,
+        alignedVotes: stats.alignedVotes,
+        title: stats.title,
+      };
+    })
+    .filter((row) => row.submissions > 0 || row.totalVotes > 0)
+    .sort((a, b) => {
+      if (b.alignmentScore !== a.alignmentScore) return b.alignmentScore - a.alignmentScore;
+      if (b.alignedVotes !== a.alignedVotes) return b.alignedVotes - a.alignedVotes;
+      return b.submissions - a.submissions;
+    })
+    .slice(0, limit)
+    .map((row, idx) => ({ ...row, rank: idx + 1 }));
+
+  return rows;
+}
+
+function persistLeaderboardSnapshot(period = "weekly") {
+  const snapshotId = randomUUID();
+  const timestamp = nowIso();
+  const rows = computeLeaderboard(period, 100);
+
+  const tx = db.transaction(() => {
+    db.prepare(`INSERT INTO leaderboard_snapshots (id, period, created_at) VALUES (?, ?, ?)`).run(snapshotId, period, timestamp);
+
+    const insertEntry = db.prepare(`
+      INSERT INTO leaderboard_entries (
+        snapshot_id, rank, user_id, alignment_score, submissions, correct_votes, total_votes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    for (const row of rows) {
+      insertEntry.run(
+        snapshotId,
+        row.rank,
+        row.userId,
+        row.alignmentScore,
+        row.submissions,
+        row.alignedVotes,
+        row.totalVotes,
+      );
+    }
+  });
+
+  tx();
+  return { snapshotId, period, createdAt: timestamp, rows };
+}
+
+// Mirror of computeLeaderboard for delegates: how often a model matched the
+// eventual People's verdict, how well its confidence predicted that (Brier
+// score, scaled so 100 is perfect) and how often flipping its vote alone would
+// have flipped the delegate verdict under the debate's consensus rule.
+function computeDelegateLeaderboard(period = "weekly", limit = 100) {
+  const start = periodStart(period);
+  const rows = db
+    .prepare(`
+      SELECT
+        dv.debate_id AS debateId,
+        dv.model_id AS modelId,
+        dv.vote,
+        dv.confidence,
+        dv.consensus_weight AS consensusWeight,
+        d.consensus_rule AS rule,
+        d.consensus_threshold AS threshold,
+        d.verdict,
+        d.people_verdict AS peopleVerdict
+      FROM delegate_votes dv
+      JOIN debates d ON d.id = dv.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      LEFT JOIN delegate_models dm ON dm.id = dv.model_id
+      WHERE d.status = 'closed'
+        AND r.hidden_at IS NULL
+        AND dv.error IS NULL
+        AND dv.vote IS NOT NULL
+        ${start ? "AND dv.created_at >= ?" : ""}
+    `)
+    .all(...(start ? [start] : []));
+
+  const debates = new Map();
+  for (const row of rows) {
+    if (!debates.has(row.debateId)) {
+      debates.set(row.debateId, []);
+    }
+    debates.get(row.debateId).push(row);
+  }
+
+  const byModel = new Map();
+  for (const votes of debates.values()) {
+    const options = { rule: votes[0].rule, threshold: votes[0].threshold || DEFAULT_SUPERMAJORITY_PCT };
+    const verdict = votes[0].verdict;
+    // Swings replay the stored verdict with the weights recorded at close;
+    // rank and calibrated debates closed before weights were recorded cannot
+    // be replayed, so they count for match and calibration only.
+    const replayable = !["rank", "calibrated"].includes(options.rule) || votes.every((row) => row.consensusWeight !== null);
+
+    votes.forEach((row, index) => {
+      const stats = byModel.get(row.modelId) || {
+        modelId: row.modelId,
+        totalVotes: 0,
+        peopleComparable: 0,
+        peopleMatches: 0,
+        brierSum: 0,
+        swingVotes: 0,
+        swingComparable: 0,
+      };
+
+      stats.totalVotes += 1;
+      if (row.peopleVerdict === "Intelligent" || row.peopleVerdict === "Idiotic") {
+        const matched = row.vote === row.peopleVerdict ? 1 : 0;
+        const probability = clamp(Number(row.confidence) || 0, 0, 100) / 100;
+        stats.peopleComparable += 1;
+        stats.peopleMatches += matched;
+        stats.brierSum += (probability - matched) ** 2;
+      }
+
+      const flipped = votes.map((other, otherIndex) =>
+        otherIndex === index ? { ...other, vote: other.vote === "Idiotic" ? "Intelligent" : "Idiotic" } : other,
+      );
+      if (replayable) {
+        stats.swingComparable += 1;
+        if (computeConsensus(flipped, options).verdict !== verdict) {
+          stats.swingVotes += 1;
+        }
+      }
+
+      byModel.set(row.modelId, stats);
+    });
+  }
+
+  const names = new Map(
+    db
+      .prepare(`SELECT id, display_name AS displayName, provider FROM delegate_models`)
+      .all()
+      .map((row) => [row.id, row]),
+  );
+
+  return [...byModel.values()]
+    .filter((stats) => stats.peopleComparable > 0)
+    .map((stats) => {
+      const peopleMatchPct = Math.round((stats.peopleMatches / stats.peopleComparable) * 100);
+      const calibrationScore = Math.round((1 - stats.brierSum / stats.peopleComparable) * 100);
+      const swingPct = stats.swingComparable ? Math.round((stats.swingVotes / stats.swingComparable) * 100) : 0;
+      const activityBonus = Math.min(10, stats.peopleComparable);
+
+      return {
+        modelId: stats.modelId,
+        displayName: names.get(stats.modelId)?.displayName || stats.modelId,
+        provider: names.get(stats.modelId)?.provider || stats.modelId.split("/")[0],
+        alignmentScore: Math.round(peopleMatchPct * 0.6 + calibrationScore * 0.3 + activityBonus),
+        peopleMatchPct,
+        peopleMatches: stats.peopleMatches,
+        peopleComparable: stats.peopleComparable,
+        calibrationScore,
+        swingVotes: stats.swingVotes,
+        swingPct,
+        totalVotes: stats.totalVotes,
+      };
+    })
+    .sort((a, b) => {
+      if (b.alignmentScore !== a.alignmentScore) return b.alignmentScore - a.alignmentScore;
+      if (b.peopleMatches !== a.peopleMatches) return b.peopleMatches - a.peopleMatches;
+      return b.totalVotes - a.totalVotes;
+    })
+    .slice(0, limit)
+    .map((row, idx) => ({ ...row, rank: idx + 1 }));
+}
+
+function persistDelegateLeaderboardSnapshot(period = "weekly") {
+  const snapshotId = randomUUID();
+  const timestamp = nowIso();
+  const rows = computeDelegateLeaderboard(period, 100);
+
+  const tx = db.transaction(() => {
+    db.prepare(`INSERT INTO delegate_leaderboard_snapshots (id, period, created_at) VALUES (?, ?, ?)`).run(
+      snapshotId,
+      period,
+      timestamp,
+    );
+
+    const insertEntry = db.prepare(`
+      INSERT INTO delegate_leaderboard_entries (
+        snapshot_id, rank, model_id, alignment_score, total_votes, people_matches, people_comparable,
+        calibration_score, swing_votes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    for (const row of rows) {
+      insertEntry.run(
+        snapshotId,
+        row.rank,
+        row.modelId,
+        row.alignmentScore,
+        row.totalVotes,
+        row.peopleMatches,
+        row.peopleComparable,
+        row.calibrationScore,
+        row.swingVotes,
+      );
+    }
+  });
+
+  tx();
+  return { snapshotId, period, createdAt: timestamp, rows };
+}
+
+function persistLeaderboardSnapshots() {
+  for (const period of ["weekly", "monthly", "all_time"]) {
+    persistLeaderboardSnapshot(period);
+    persistDelegateLeaderboardSnapshot(period);
+  }
+}
+
+async function bootstrapFromLegacyArchive() {
+  const existingClosedCount = db.prepare(`SELECT COUNT(*) AS count FROM debates`).get().count;
+  if (existingClosedCount > 0) {
+    return;
+  }
+
+  try {
+    const raw = await fsp.readFile(JSON_ARCHIVE_FILE, "utf8");
+    const items = JSON.parse(raw);
+    if (!Array.isArray(items) || !items.length) {
+      return;
+    }
+
+    for (const item of items) {
+      const author = getUserByIdStmt.get(DEFAULT_USER_ID);
+      const resolutionId = randomUUID();
+      const createdAt = item.createdAt || nowIso();
+      const updatedAt = createdAt;
+      const topic = inferTopic(item.title || "", item.resolution || "");
+
+      db.prepare(`
+        INSERT INTO resolutions (id, author_user_id, title, body, topic, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, 'closed', ?, ?)
+      `).run(resolutionId, author.id, item.title || "Untitled", item.resolution || "", topic, createdAt, updatedAt);
+
+      const debateId = item.id || randomUUID();
+      db.prepare(`
+        INSERT INTO debates (
+          id, resolution_id, status, verdict, intelligent_votes, idiotic_votes, total_votes,
+          intelligent_pct, idiotic_pct, created_at, updated_at
+        ) VALUES (?, ?, 'closed', ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        debateId,
+        resolutionId,
+        item.consensus?.verdict || "Intelligent",
+        item.consensus?.intelligentVotes || 0,
+        item.consensus?.idioticVotes || 0,
+        item.consensus?.totalVotes || 0,
+        item.consensus?.intelligentPct || 50,
+        item.consensus?.idioticPct || 50,
+        createdAt,
+        updatedAt,
+      );
+    }
+  } catch {
+    // ignore bootstrap failures
+  }
+}
+
+// req.ip feeds the rate limiter, so behind a proxy it must come from
+// X-Forwarded-For rather than the proxy's own address.
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+} else if (IS_VERCEL) {
+  app.set("trust proxy", 1);
+}
+
+app.use(express.json({ limit: "2mb" }));
+app.use(express.static(PUBLIC_DIR));
+
+app.use(async (_req, _res, next) => {
+  try {
+    await syncDelegates(20);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || "unknown";
+}
+
+function consumeRateLimit(key, limit, windowMs) {
+  const now = Date.now();
+  const buckets = runtime.rateLimitBuckets;
+  let bucket = buckets.get(key);
+
+  if (!bucket || bucket.resetAt <= now) {
+    if (buckets.size > 10000) {
+      for (const [staleKey, staleBucket] of buckets) {
+        if (staleBucket.resetAt <= now) {
+          buckets.delete(staleKey);
+        }
+      }
+    }
+    bucket = { count: 0, resetAt: now + windowMs };
+    buckets.set(key, bucket);
+  }
+
+  bucket.count += 1;
+  return { allowed: bucket.count <= limit, remaining: Math.max(0, limit - bucket.count), resetAt: bucket.resetAt };
+}
+
+function rateLimit(group) {
+  const config = RATE_LIMITS[group];
+
+  return (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) {
+      next();
+      return;
+    }
+
+    const checks = [{ key: `${group}:ip:${clientIp(req)}`, limit: config.limit * (config.ipOnly ? 1 : RATE_LIMIT_IP_MULTIPLIER) }];
+    const user = config.ipOnly ? null : getCurrentUser(req);
+    if (user) {
+      checks.push({ key: `${group}:user:${user.id}`, limit: config.limit });
+    }
+
+    let tightest = null;
+    for (const check of checks) {
+      const result = { ...consumeRateLimit(check.key, check.limit, config.windowMs), limit: check.limit };
+      if (!tightest || !result.allowed || (tightest.allowed && result.remaining < tightest.remaining)) {
+        tightest = result;
+      }
+    }
+
+    const resetSeconds = Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+    res.set("RateLimit-Limit", String(tightest.limit));
+    res.set("RateLimit-Remaining", String(tightest.remaining));
+    res.set("RateLimit-Reset", String(resetSeconds));
+
+    if (!tightest.allowed) {
+      res.set("Retry-After", String(resetSeconds));
+      res.status(429).json({
+        error: "Too many requests",
+        details: `Limit of ${tightest.limit} ${config.label} per ${config.windowLabel} reached; try again in ${
+          resetSeconds >= 120 ? `${Math.ceil(resetSeconds / 60)} minutes` : `${resetSeconds} seconds`
+        }.`,
+        retryAfterSeconds: resetSeconds,
+      });
+      return;
+    }
+
+    next();
+  };
+}
+
+function validateHandle(handle) {
+  return /^[a-z0-9][a-z0-9_-]{2,31}$/.test(handle);
+}
+
+app.post("/v1/auth/signup", rateLimit("auth"), (req, res) => {
+  const handle = String(req.body?.handle || "").trim().toLowerCase();
+  const displayName = String(req.body?.displayName || "").trim() || handle;
+  const password = String(req.body?.password || "");
+
+  if (!validateHandle(handle)) {
+    res.status(400).json({ error: "handle must be 3-32 characters: lowercase letters, digits, '-' or '_'" });
+    return;
+  }
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    res.status(400).json({ error: `password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    return;
+  }
+
+  if (getUserByHandleStmt.get(handle)) {
+    res.status(409).json({ error: "That handle is already taken" });
+    return;
+  }
+
+  const user = ensureUser({
+    id: `user-${randomUUID()}`,
+    handle,
+    displayName: displayName.slice(0, 80),
+  });
+  db.prepare(`UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?`).run(hashPassword(password), nowIso(), user.id);
+
+  const token = createSession(req, res, user);
+  res.status(201).json({ user: publicUser(user), token });
+});
+
+app.post("/v1/auth/login", rateLimit("auth"), (req, res) => {
+  const handle = String(req.body?.handle || "").trim().toLowerCase();
+  const password = String(req.body?.password || "");
+  const user = handle ? getUserByHandleStmt.get(handle) : null;
+
+  if (!user || !user.password_hash || !verifyPassword(password, user.password_hash)) {
+    res.status(401).json({ error: "Invalid handle or password" });
+    return;
+  }
+
+  if (user.suspended_at) {
+    res.status(403).json({ error: "Account suspended", details: user.suspended_reason || undefined });
+    return;
+  }
+
+  const token = createSession(req, res, user);
+  res.json({ user: publicUser(user), token });
+});
+
+app.post("/v1/auth/logout", (req, res) => {
+  destroySession(req, res);
+  res.status(204).end();
+});
+
+app.get("/v1/auth/me", (req, res) => {
+  const user = getCurrentUser(req);
+  res.json({ user: user ? publicUser(user) : null, devHeaders: AUTH_DEV_HEADERS });
+});
+
+app.get("/v1/health", (_req, res) => {
+  res.json({
+    ok: true,
+    time: nowIso(),
+    dbPath: DB_PATH,
+    openrouterConfigured: Boolean(process.env.OPENROUTER_API_KEY),
+    providers: describeModelProviders(),
+  });
+});
+
+app.get("/v1/delegates/eligible", async (req, res, next) => {
+  try {
+    const limit = clamp(Number(req.query.limit) || 10, 1, 50);
+    const delegates = await syncDelegates(limit);
+    res.json({
+      source: OPENROUTER_RANKINGS_URL,
+      updatedAt: nowIso(),
+      providers: describeModelProviders(),
+      delegates,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/v1/personas", (_req, res) => {
+  res.json({
+    personas: [...DELEGATE_PERSONAS.values()].map(({ id, label, delegation, description, temperature }) => ({
+      id,
+      label,
+      delegation,
+      description,
+      temperature,
+    })),
+    defaultPersona: DEFAULT_DELEGATE_PERSONA,
+  });
+});
+
+app.get("/v1/delegates/calibration", (_req, res) => {
+  res.json({ items: listDelegateCalibration(), priorVotes: CALIBRATION_PRIOR_VOTES });
+});
+
+app.get("/v1/delegates/*modelId/calibration", (req, res) => {
+  const calibration = getDelegateCalibration([].concat(req.params.modelId).join("/"));
+  if (!calibration) {
+    res.status(404).json({ error: "Delegate not found" });
+    return;
+  }
+  res.json(calibration);
+});
+
+app.get("/v1/delegates/agreement", (req, res) => {
+  res.json(
+    getDelegateAgreementMatrix({
+      topic: req.query.topic ? String(req.query.topic) : null,
+      dateFrom: req.query.date_from ? String(req.query.date_from) : null,
+      dateTo: req.query.date_to ? String(req.query.date_to) : null,
+      minShared: clamp(Number(req.query.min_shared) || 1, 1, 1000),
+      limit: clamp(Number(req.query.limit) || 12, 2, 30),
+    }),
+  );
+});
+
+// Model ids contain slashes (openai/gpt-4o), so the id is a wildcard segment.
+app.get("/v1/delegates/*modelId/stats", (req, res) => {
+  const modelId = [].concat(req.params.modelId).join("/");
+  const bucket = Object.hasOwn(DELEGATE_STATS_BUCKETS, req.query.bucket) ? req.query.bucket : "week";
+  const stats = getDelegateStats(modelId, { bucket });
+
+  if (!stats) {
+    res.status(404).json({ error: "Delegate not found" });
+    return;
+  }
+
+  res.json(stats);
+});
+
+app.get("/v1/live/hero", (_req, res) => {
+  const latest = db
+    .prepare(`
+      SELECT d.id AS debateId
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE r.hidden_at IS NULL AND d.status NOT IN ('quarantined', 'rejected')
+      ORDER BY d.created_at DESC
+      LIMIT 1
+    `)
+    .get();
+
+  if (!latest) {
+    res.json({ debate: null });
+    return;
+  }
+
+  const debate = getDebateById(latest.debateId);
+  const delegates = getDelegates(6);
+
+  res.json({ debate, delegates });
+});
+
+app.get("/v1/live/arguments", (req, res) => {
+  const limit = clamp(Number(req.query.limit) || 20, 1, 100);
+
+  const latest = db
+    .prepare(`
+      SELECT d.id
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE r.hidden_at IS NULL AND d.status NOT IN ('quarantined', 'rejected')
+      ORDER BY d.created_at DESC
+      LIMIT 1
+    `)
+    .get();
+
+  if (!latest) {
+    res.json({ items: [] });
+    return;
+  }
+
+  const items = db
+    .prepare(`
+      SELECT
+        id,
+        actor_type AS actorType,
+        actor_id AS actorId,
+        actor_name AS actorName,
+        stance,
+        content,
+        confidence,
+        round,
+        phase,
+        created_at AS createdAt
+      FROM debate_messages
+      WHERE debate_id = ?
+      ORDER BY created_at DESC
+      LIMIT ?
+    `)
+    .all(latest.id, limit);
+
+  res.json({ items });
+});
+
+app.get("/v1/live/consensus", (_req, res) => {
+  const row = db
+    .prepare(`
+      SELECT
+        id,
+        verdict,
+        consensus_rule AS consensusRule,
+        consensus_threshold AS consensusThreshold,
+        intelligent_votes AS intelligentVotes,
+        idiotic_votes AS idioticVotes,
+        total_votes AS totalVotes,
+        intelligent_pct AS intelligentPct,
+        idiotic_pct AS idioticPct,
+        human_weight AS humanWeight,
+        people_verdict AS peopleVerdict,
+        people_intelligent_votes AS peopleIntelligentVotes,
+        people_idiotic_votes AS peopleIdioticVotes,
+        people_intelligent_pct AS peopleIntelligentPct,
+        assembly_verdict AS assemblyVerdict,
+        assembly_intelligent_pct AS assemblyIntelligentPct,
+        status,
+        updated_at AS updatedAt
+      FROM debates
+      WHERE status NOT IN ('quarantined', 'rejected')
+        AND resolution_id NOT IN (SELECT id FROM resolutions WHERE hidden_at IS NOT NULL)
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `)
+    .get();
+
+  if (!row) {
+    res.json({ consensus: null });
+    return;
+  }
+
+  res.json({
+    consensus: {
+      id: row.id,
+      verdict: row.verdict,
+      consensusRule: row.consensusRule,
+      consensusThreshold: row.consensusThreshold,
+      intelligentVotes: row.intelligentVotes,
+      idioticVotes: row.idioticVotes,
+      totalVotes: row.totalVotes,
+      intelligentPct: row.intelligentPct,
+      idioticPct: row.idioticPct,
+      status: row.status,
+      updatedAt: row.updatedAt,
+      ...mapVerdictTallies(row),
+    },
+  });
+});
+
+app.get("/v1/live/delegates", (req, res) => {
+  const limit = clamp(Number(req.query.limit) || 10, 1, 50);
+  res.json({ delegates: getDelegates(limit) });
+});
+
+app.get("/v1/live/trending", (req, res) => {
+  const limit = clamp(Number(req.query.limit) || 8, 1, 30);
+  const { items } = listArchive({ limit, offset: 0 });
+  res.json({ items });
+});
+
+app.post("/v1/drafts", (req, res) => {
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
+
+  const title = String(req.body?.title || "").trim();
+  const body = String(req.body?.body || req.body?.resolution || "").trim();
+
+  if (!title || !body) {
+    res.status(400).json({ error: "title and body are required" });
+    return;
+  }
+
+  let userTags;
+  try {
+    userTags = parseTagInput(req.body?.tags);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  const topic = String(req.body?.topic || inferTopic(title, body));
+  const draft = createDraft({ userId: user.id, title, body, topic, userTags });
+
+  res.status(201).json({
+    draft: {
+      id: draft.id,
+      authorUserId: draft.author_user_id,
+      title: draft.title,
+      body: draft.body,
+      topic: draft.topic,
+      tags: getResolutionTags(draft.id),
+      status: draft.status,
+      createdAt: draft.created_at,
+      updatedAt: draft.updated_at,
+    },
+  });
+});
+
+app.put("/v1/drafts/:id", (req, res) => {
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
+
+  const draftId = req.params.id;
+  const title = String(req.body?.title || "").trim();
+  const body = String(req.body?.body || req.body?.resolution || "").trim();
+
+  if (!title || !body) {
+    res.status(400).json({ error: "title and body are required" });
+    return;
+  }
+
+  const topic = String(req.body?.topic || inferTopic(title, body));
+
+  try {
+    const updated = updateDraft({ draftId, userId: user.id, title, body, topic, userTags: parseTagInput(req.body?.tags) });
+    if (!updated) {
+      res.status(404).json({ error: "Draft not found" });
+      return;
+    }
+
+    res.json({
+      draft: {
+        id: updated.id,
+        authorUserId: updated.author_user_id,
+        title: updated.title,
+        body: updated.body,
+        topic: updated.topic,
+        tags: getResolutionTags(updated.id),
+        status: updated.status,
+        createdAt: updated.created_at,
+        updatedAt: updated.updated_at,
+      },
+    });
+  } catch (error) {
+    if (error.code === "FORBIDDEN") {
+      res.status(403).json({ error: error.message });
+      return;
+    }
+    if (error.code === "INVALID_TAGS") {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    throw error;
+  }
+});
+
+app.get("/v1/drafts/:id", (req, res) => {
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
+
+  const draft = db.prepare(`SELECT * FROM resolutions WHERE id = ? AND status = 'draft'`).get(req.params.id);
+
+  if (!draft) {
+    res.status(404).json({ error: "Draft not found" });
+    return;
+  }
+
+  if (draft.author_user_id !== user.id) {
+    res.status(403).json({ error: "Not allowed" });
+    return;
+  }
+
+  res.json({
+    draft: {
+      id: draft.id,
+      authorUserId: draft.author_user_id,
+      title: draft.title,
+      body: draft.body,
+      topic: draft.topic,
+      tags: getResolutionTags(draft.id),
+      status: draft.status,
+      createdAt: draft.created_at,
+      updatedAt: draft.updated_at,
+    },
+  });
+});
+
+// Hateful terms always reject. Patterns tolerate common digit/asterisk
+// substitutions; SCREENING_BLOCKLIST adds deployment-specific terms.
+const SCREENING_SLUR_PATTERNS = [
+  /\bn[i1!*]gg(?:er|a|ah|uh)s?\b/i,
+  /\bf[a@4*]gg?(?:ot)?s?\b/i,
+  /\bk[i1*]kes?\b/i,
+  /\bsp[i1*]cs?\b/i,
+  /\btr[a@4*]nn(?:y|ies)\b/i,
+  /\bwetbacks?\b/i,
+];
+
+const SCREENING_PII_PATTERNS = [
+  { label: "email address", pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/i },
+  { label: "phone number", pattern: /(?:\+?\d{1,2}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/ },
+  { label: "social security number", pattern: /\b\d{3}-\d{2}-\d{4}\b/ },
+];
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function screeningContentHash(text) {
+  return createHash("sha1").update(String(text).toLowerCase().replace(/\s+/g, " ").trim()).digest("hex");
+}
+
+function screenWithRules({ text, userId, targetType }) {
+  const reasons = [];
+  const lowered = text.toLowerCase();
+
+  if (
+    SCREENING_SLUR_PATTERNS.some((pattern) => pattern.test(text)) ||
+    SCREENING_BLOCKLIST.some((term) => new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "i").test(lowered))
+  ) {
+    reasons.push({ category: "slur", decision: "reject", message: "Contains a slur or hateful term." });
+  }
+
+  for (const { label, pattern } of SCREENING_PII_PATTERNS) {
+    if (pattern.test(text)) {
+      reasons.push({ category: "pii", decision: "quarantine", message: `Appears to contain personal information (${label}).` });
+    }
+  }
+  for (const match of text.match(/\b(?:\d[ -]?){13,19}\b/g) || []) {
+    if (passesLuhn(match.replace(/\D/g, ""))) {
+      reasons.push({ category: "pii", decision: "quarantine", message: "Appears to contain personal information (card number)." });
+      break;
+    }
+  }
+
+  const links = text.match(/https?:\/\/\S+|www\.\S+/gi) || [];
+  if (links.length > SCREENING_MAX_LINKS) {
+    reasons.push({ category: "spam", decision: "quarantine", message: `Contains ${links.length} links (limit ${SCREENING_MAX_LINKS}).` });
+  }
+
+  const words = lowered.match(/[a-z0-9']+/g) || [];
+  if (/(.)\1{11,}/.test(text) || (words.length >= 20 && new Set(words).size / words.length < 0.3)) {
+    reasons.push({ category: "spam", decision: "reject", message: "Looks like spam (repeated text)." });
+  }
+
+  const letters = text.replace(/[^a-z]/gi, "");
+  if (letters.length >= 40 && letters === letters.toUpperCase()) {
+    reasons.push({ category: "spam", decision: "quarantine", message: "Written entirely in capitals." });
+  }
+
+  // Only decisions linked to a stored submission count, so a retry after a
+  // rejection or a failed request (e.g. over budget) is not treated as spam.
+  const duplicate = db
+    .prepare(`
+      SELECT id
+      FROM screening_decisions
+      WHERE user_id = ? AND target_type = ? AND content_hash = ? AND target_id IS NOT NULL AND created_at >= ?
+      LIMIT 1
+    `)
+    .get(userId, targetType, screeningContentHash(text), new Date(Date.now() - SCREENING_DUPLICATE_WINDOW_MS).toISOString());
+  if (duplicate) {
+    reasons.push({ category: "spam", decision: "reject", message: "Duplicate of one of your recent submissions." });
+  }
+
+  return reasons;
+}
+
+// Optional second opinion from a model (SCREENING_MODEL). Failures never block
+// a submission; the rule-based decision stands and the error is recorded.
+// The call is billed to the submitting user and skipped once over budget.
+async function screenWithModel(text, userId) {
+  const provider = resolveModelProvider(SCREENING_MODEL_PROVIDER);
+  if (!SCREENING_MODEL || !provider.complete) {
+    return null;
+  }
+  if (spendingBudgetExceeded(userId)) {
+    return { skipped: "budget" };
+  }
+
+  try {
+    const { content, usage } = await provider.complete({
+      model: SCREENING_MODEL,
+      messages: [
+        {
+          role: "system",
+          content:
+            'You screen user submissions for a public debate site. Flag hate speech, harassment, personal information about private individuals, and spam. Respond with JSON only: {"decision":"allow"|"quarantine"|"reject","category":"slur"|"harassment"|"pii"|"spam"|"other","reason":"one sentence"}',
+        },
+        { role: "user", content: text.slice(0, 4000) },
+      ],
+    });
+    recordDelegateUsage({ userId, modelId: SCREENING_MODEL, entry: { usage, source: provider.id }, purpose: "screening" });
+    const parsed = maybeParseJsonObject(content) || {};
+    const decision = ["allow", "quarantine", "reject"].includes(parsed.decision) ? parsed.decision : "allow";
+    if (decision === "allow") {
+      return [];
+    }
+    return [
+      {
+        category: String(parsed.category || "other").slice(0, 40),
+        decision,
+        message: String(parsed.reason || "Flagged by the screening model.").slice(0, 300),
+        source: "model",
+      },
+    ];
+  } catch (error) {
+    return { error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+async function screenContent({ targetType, text, user }) {
+  if (!SCREENING_ENABLED) {
+    return { id: null, decision: "allow", reasons: [] };
+  }
+
+  const reasons = screenWithRules({ text, userId: user.id, targetType });
+  let classifier = "rules";
+
+  if (SCREENING_MODEL && !reasons.some((reason) => reason.decision === "reject")) {
+    const modelResult = await screenWithModel(text, user.id);
+    if (Array.isArray(modelResult)) {
+      classifier = "rules+model";
+      reasons.push(...modelResult);
+    } else if (modelResult?.skipped === "budget") {
+      classifier = "rules (model over budget)";
+    } else if (modelResult?.error) {
+      classifier = "rules (model unavailable)";
+      console.error("Screening model check failed", modelResult.error);
+    }
+  }
+
+  const decision = reasons.some((reason) => reason.decision === "reject")
+    ? "reject"
+    : reasons.some((reason) => reason.decision === "quarantine")
+      ? "quarantine"
+      : "allow";
+
+  const id = randomUUID();
+  db.prepare(`
+    INSERT INTO screening_decisions (id, target_type, user_id, content, content_hash, decision, reasons, classifier, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, targetType, user.id, text, screeningContentHash(text), decision, JSON.stringify(reasons), classifier, nowIso());
+
+  return { id, decision, reasons };
+}
+
+function linkScreeningDecision(screening, targetId) {
+  if (screening?.id) {
+    db.prepare(`UPDATE screening_decisions SET target_id = ? WHERE id = ?`).run(targetId, screening.id);
+  }
+}
+
+const SIMILARITY_STOPWORDS = new Set(
+  "a an and are as at be by for from has have in is it its of on or should that the this to was were will with we our all any".split(" "),
+);
+
+// Lower-cased words without stopwords, with a plural "s" trimmed so "tariff"
+// and "tariffs" count as the same word.
+function similarityTokens(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((token) => !SIMILARITY_STOPWORDS.has(token))
+    .map((token) => (token.length > 3 && token.endsWith("s") && !token.endsWith("ss") ? token.slice(0, -1) : token));
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) {
+    return 0;
+  }
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared += 1;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Average of word and word-pair (2-shingle) Jaccard similarity: rewording a
+// few words keeps most word pairs, while a different proposal on the same
+// topic shares words but few pairs.
+function shingleSimilarity(tokensA, tokensB) {
+  const pairs = (tokens) => new Set(tokens.slice(1).map((token, index) => `${tokens[index]} ${token}`));
+  return (jaccard(new Set(tokensA), new Set(tokensB)) + jaccard(pairs(tokensA), pairs(tokensB))) / 2;
+}
+
+// Candidates come from the full-text index (any shared word), then each is
+// scored on its title and body. Only resolutions that reached the floor count;
+// each is reported with its latest debate.
+function findSimilarResolutions({ title, body, minSimilarity = DUPLICATE_WARN_SIMILARITY, limit = 5 }) {
+  const tokens = similarityTokens(`${title}\n${body}`);
+  const terms = [...new Set(tokens)].sort((a, b) => b.length - a.length).slice(0, 32);
+  if (!terms.length) {
+    return [];
+  }
+
+  const candidateIds = db
+    .prepare(`
+      SELECT resolution_id AS resolutionId
+      FROM search_index
+      WHERE search_index MATCH ? AND kind = 'resolution'
+      ORDER BY rank
+      LIMIT 50
+    `)
+    .all(terms.map((term) => `"${term}"*`).join(" OR "))
+    .map((row) => row.resolutionId);
+  if (!candidateIds.length) {
+    return [];
+  }
+
+  return db
+    .prepare(`
+      SELECT
+        r.id AS resolutionId,
+        r.title,
+        r.body,
+        d.id AS debateId,
+        d.status,
+        d.verdict,
+        d.people_verdict AS peoplesVerdict,
+        d.created_at AS createdAt
+      FROM resolutions r
+      JOIN debates d ON d.id = (
+        SELECT id FROM debates WHERE resolution_id = r.id ORDER BY created_at DESC LIMIT 1
+      )
+      WHERE r.id IN (${candidateIds.map(() => "?").join(", ")})
+        AND r.hidden_at IS NULL
+        AND d.status IN ('queued', 'active', 'closed')
+    `)
+    .all(...candidateIds)
+    .map(({ body: pastBody, ...row }) => ({
+      ...row,
+      similarity: Math.round(shingleSimilarity(tokens, similarityTokens(`${row.title}\n${pastBody}`)) * 100) / 100,
+    }))
+    .filter((row) => row.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+// Shared delegates weigh least: most debates seat the same default roster, so
+// the overlap only separates debates that picked their own.
+const RELATED_WEIGHTS = { text: 0.4, topic: 0.25, voters: 0.2, delegates: 0.15 };
+
+function loadDebateFeatures(debateIds) {
+  if (!debateIds.length) {
+    return new Map();
+  }
+  const placeholders = debateIds.map(() => "?").join(", ");
+  const features = new Map(
+    db
+      .prepare(`
+        SELECT
+          d.id AS debateId,
+          d.resolution_id AS resolutionId,
+          r.title,
+          r.body,
+          r.topic,
+          d.status,
+          d.verdict,
+          d.people_verdict AS peoplesVerdict,
+          d.created_at AS createdAt
+        FROM debates d
+        JOIN resolutions r ON r.id = d.resolution_id
+        WHERE d.id IN (${placeholders})
+      `)
+      .all(...debateIds)
+      .map(({ body, ...row }) => [
+        row.debateId,
+        { ...row, tokens: new Set(similarityTokens(`${row.title}\n${body}`)), delegates: new Set(), voters: new Set() },
+      ]),
+  );
+
+  db.prepare(`SELECT DISTINCT debate_id AS debateId, model_id AS modelId FROM delegate_votes WHERE debate_id IN (${placeholders})`)
+    .all(...debateIds)
+    .forEach((row) => features.get(row.debateId)?.delegates.add(row.modelId));
+  db.prepare(`SELECT debate_id AS debateId, user_id AS userId FROM human_votes WHERE debate_id IN (${placeholders})`)
+    .all(...debateIds)
+    .forEach((row) => features.get(row.debateId)?.voters.add(row.userId));
+
+  return features;
+}
+
+function countShared(a, b) {
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared += 1;
+  }
+  return shared;
+}
+
+// Candidates are pooled from three cheap lookups (shared words, same topic,
+// shared voters) and then scored on all four signals. Other debates of the
+// same resolution are reruns rather than related reading, so they're skipped.
+function listRelatedDebates(debateId, { limit = 6 } = {}) {
+  const source = loadDebateFeatures([debateId]).get(debateId);
+  if (!source) {
+    return null;
+  }
+
+  const closedVisible = `d.status = 'closed' AND r.hidden_at IS NULL AND d.resolution_id != ?`;
+  const pool = new Set();
+  const terms = [...source.tokens].sort((a, b) => b.length - a.length).slice(0, 32);
+
+  if (terms.length) {
+    db.prepare(`
+      SELECT d.id
+      FROM (
+        SELECT resolution_id
+        FROM search_index
+        WHERE search_index MATCH ? AND kind = 'resolution'
+        ORDER BY rank
+        LIMIT 50
+      ) s
+      JOIN debates d ON d.resolution_id = s.resolution_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE ${closedVisible}
+    `)
+      .all(terms.map((term) => `"${term}"*`).join(" OR "), source.resolutionId)
+      .forEach((row) => pool.add(row.id));
+  }
+
+  if (source.topic) {
+    db.prepare(`
+      SELECT d.id
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE ${closedVisible} AND r.topic = ?
+      ORDER BY d.created_at DESC
+      LIMIT 30
+    `)
+      .all(source.resolutionId, source.topic)
+      .forEach((row) => pool.add(row.id));
+  }
+
+  if (source.voters.size) {
+    db.prepare(`
+      SELECT d.id
+      FROM human_votes mine
+      JOIN human_votes theirs ON theirs.user_id = mine.user_id AND theirs.debate_id != mine.debate_id
+      JOIN debates d ON d.id = theirs.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE mine.debate_id = ? AND ${closedVisible}
+      GROUP BY d.id
+      ORDER BY COUNT(*) DESC
+      LIMIT 30
+    `)
+      .all(debateId, source.resolutionId)
+      .forEach((row) => pool.add(row.id));
+  }
+
+  const round2 = (value) => Math.round(value * 100) / 100;
+
+  const items = [...loadDebateFeatures([...pool]).values()]
+    .map((candidate) => {
+      const textSimilarity = jaccard(source.tokens, candidate.tokens);
+      const sameTopic = Boolean(source.topic) && candidate.topic === source.topic;
+      const score =
+        RELATED_WEIGHTS.text * textSimilarity +
+        RELATED_WEIGHTS.topic * (sameTopic ? 1 : 0) +
+        RELATED_WEIGHTS.voters * jaccard(source.voters, candidate.voters) +
+        RELATED_WEIGHTS.delegates * jaccard(source.delegates, candidate.delegates);
+
+      return {
+        debateId: candidate.debateId,
+        title: candidate.title,
+        topic: candidate.topic,
+        verdict: candidate.verdict,
+        peoplesVerdict: candidate.peoplesVerdict,
+        createdAt: candidate.createdAt,
+        score: round2(score),
+        reasons: {
+          sameTopic,
+          textSimilarity: round2(textSimilarity),
+          sharedDelegates: countShared(source.delegates, candidate.delegates),
+          sharedVoters: countShared(source.voters, candidate.voters),
+        },
+      };
+    })
+    .filter((item) => item.reasons.sameTopic || item.reasons.textSimilarity > 0 || item.reasons.sharedVoters > 0)
+    .sort((a, b) => b.score - a.score || b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+
+  return { debateId, items };
+}
+
+// Recommendations from a user's own human_votes: topics they vote on most,
+// plus debates voted on by people who voted the same way on shared debates.
+// A user with no votes yet gets the most-voted recent debates instead.
+function listRecommendedDebates(userId, { limit = 6 } = {}) {
+  const history = db
+    .prepare(`
+      SELECT hv.debate_id AS debateId, hv.vote, r.topic
+      FROM human_votes hv
+      JOIN debates d ON d.id = hv.debate_id
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE hv.user_id = ?
+    `)
+    .all(userId);
+
+  const eligible = `
+    d.status IN ('active', 'closed')
+    AND r.hidden_at IS NULL
+    AND r.author_user_id != @userId
+    AND NOT EXISTS (SELECT 1 FROM human_votes seen WHERE seen.debate_id = d.id AND seen.user_id = @userId)`;
+  const summary = `
+    d.id AS debateId,
+    r.title,
+    r.topic,
+    d.status,
+    d.verdict,
+    d.people_verdict AS peoplesVerdict,
+    d.created_at AS createdAt`;
+
+  if (!history.length) {
+    const items = db
+      .prepare(`
+        SELECT ${summary}, (SELECT COUNT(*) FROM human_votes hv WHERE hv.debate_id = d.id) AS voteCount
+        FROM debates d
+        JOIN resolutions r ON r.id = d.resolution_id
+        WHERE ${eligible}
+        ORDER BY voteCount DESC, d.created_at DESC
+        LIMIT @limit
+      `)
+      .all({ userId, limit })
+      .map(({ voteCount, ...row }) => ({ ...row, score: 0, reason: { kind: "popular", votes: voteCount } }));
+    return { basedOnVotes: 0, items };
+  }
+
+  const topicCounts = new Map();
+  history.forEach((row) => {
+    if (row.topic) topicCounts.set(row.topic, (topicCounts.get(row.topic) || 0) + 1);
+  });
+
+  // Each neighbour is weighted by the share of shared debates where they
+  // voted the same way as this user.
+  const neighbours = db
+    .prepare(`
+      SELECT theirs.user_id AS userId, AVG(CASE WHEN theirs.vote = mine.vote THEN 1.0 ELSE 0.0 END) AS agreement
+      FROM human_votes mine
+      JOIN human_votes theirs ON theirs.debate_id = mine.debate_id AND theirs.user_id != mine.user_id
+      WHERE mine.user_id = ?
+      GROUP BY theirs.user_id
+      HAVING agreement > 0
+      ORDER BY COUNT(*) DESC
+      LIMIT 50
+    `)
+    .all(userId);
+  const neighbourWeights = new Map(neighbours.map((row) => [row.userId, row.agreement]));
+
+  const candidates = new Map();
+  const collect = (rows) => rows.forEach((row) => candidates.set(row.debateId, row));
+  const topTopics = [...topicCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([topic]) => topic);
+
+  if (topTopics.length) {
+    collect(
+      db
+        .prepare(`
+          SELECT ${summary}
+          FROM debates d
+          JOIN resolutions r ON r.id = d.resolution_id
+          WHERE ${eligible} AND r.topic IN (${topTopics.map((_, index) => `@topic${index}`).join(", ")})
+          ORDER BY d.created_at DESC
+          LIMIT 100
+        `)
+        .all({ userId, ...Object.fromEntries(topTopics.map((topic, index) => [`topic${index}`, topic])) }),
+    );
+  }
+
+  const neighbourVotes = new Map();
+  if (neighbours.length) {
+    const rows = db
+      .prepare(`
+        SELECT ${summary}, hv.user_id AS voterId
+        FROM human_votes hv
+        JOIN debates d ON d.id = hv.debate_id
+        JOIN resolutions r ON r.id = d.resolution_id
+        WHERE hv.user_id IN (${neighbours.map((_, index) => `@n${index}`).join(", ")}) AND ${eligible}
+      `)
+      .all({ userId, ...Object.fromEntries(neighbours.map((row, index) => [`n${index}`, row.userId])) });
+    rows.forEach(({ voterId, ...row }) => {
+      candidates.set(row.debateId, row);
+      const entry = neighbourVotes.get(row.debateId) || { weight: 0, voters: 0 };
+      entry.weight += neighbourWeights.get(voterId) || 0;
+      entry.voters += 1;
+      neighbourVotes.set(row.debateId, entry);
+    });
+  }
+
+  const neighbourScale = Math.max(1, ...[...neighbourVotes.values()].map((entry) => entry.weight));
+
+  const items = [...candidates.values()]
+    .map((row) => {
+      const topicScore = (topicCounts.get(row.topic) || 0) / history.length;
+      const neighbour = neighbourVotes.get(row.debateId);
+      const neighbourScore = neighbour ? neighbour.weight / neighbourScale : 0;
+      const reason =
+        neighbourScore > topicScore
+          ? { kind: "similar_voters", voters: neighbour.voters }
+          : { kind: "topic", topic: row.topic, votes: topicCounts.get(row.topic) || 0 };
+      return { ...row, score: Math.round((0.6 * topicScore + 0.4 * neighbourScore) * 100) / 100, reason };
+    })
+    .sort((a, b) => b.score - a.score || b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+
+  return { basedOnVotes: history.length, items };
+}
+
+function sendDuplicateRejection(res, similar) {
+  res.status(409).json({
+    error: "A near-identical resolution has already been debated",
+    blockThreshold: DUPLICATE_BLOCK_SIMILARITY,
+    similar,
+  });
+}
+
+function sendScreeningRejection(res, screening) {
+  res.status(422).json({
+    error: "Rejected by content screening",
+    details: screening.reasons
+      .filter((reason) => reason.decision === "reject")
+      .map((reason) => reason.message)
+      .join(" "),
+    screening,
+  });
+}
+
+function budgetPeriodStarts(now = new Date()) {
+  return {
+    daily: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString(),
+    monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString(),
+  };
+}
+
+function spendSince(sinceIso, userId = null) {
+  const row = db
+    .prepare(`
+      SELECT COALESCE(SUM(cost_usd), 0) AS spent
+      FROM delegate_usage
+      WHERE created_at >= ? ${userId ? "AND user_id = ?" : ""}
+    `)
+    .get(...(userId ? [sinceIso, userId] : [sinceIso]));
+  return Number(row.spent) || 0;
+}
+
+function getSpendingStatus(userId = null) {
+  const starts = budgetPeriodStarts();
+  const status = [];
+
+  for (const scope of userId ? ["user", "global"] : ["global"]) {
+    for (const period of ["daily", "monthly"]) {
+      const limitUsd = SPENDING_BUDGETS[scope][period];
+      const spentUsd = spendSince(starts[period], scope === "user" ? userId : null);
+      status.push({ scope, period, limitUsd, spentUsd, exceeded: limitUsd !== null && spentUsd >= limitUsd });
+    }
+  }
+
+  return status;
+}
+
+function delegateTokenPrice(delegate) {
+  if (delegate.servedBy !== "openrouter") {
+    return 0;
+  }
+  if (delegate.promptPrice === null || delegate.promptPrice === undefined) {
+    return Number.POSITIVE_INFINITY;
+  }
+  return Number(delegate.promptPrice) + Number(delegate.completionPrice || 0);
+}
+
+// Over budget, a submission is either refused or seated with the cheapest
+// eligible delegates (free and self-hosted models first).
+function applySpendingBudget(user, delegateIds) {
+  const exceeded = getSpendingStatus(user.id).filter((item) => item.exceeded);
+  if (!exceeded.length) {
+    return { delegateIds, budget: null };
+  }
+
+  if (BUDGET_EXCEEDED_ACTION === "block") {
+    const first = exceeded[0];
+    const error = new Error(
+      `${first.scope === "user" ? "Your" : "The assembly's"} ${first.period} spending budget of $${first.limitUsd.toFixed(2)} has been reached`,
+    );
+    error.code = "BUDGET_EXCEEDED";
+    error.exceeded = exceeded;
+    throw error;
+  }
+
+  const cheapest = getDelegates(50)
+    .map((delegate, index) => ({ delegate, index, price: delegateTokenPrice(delegate) }))
+    .sort((a, b) => a.price - b.price || a.index - b.index)
+    .slice(0, delegateIds.length)
+    .map((item) => item.delegate.id);
+
+  return {
+    delegateIds: cheapest.length ? cheapest : delegateIds,
+    budget: { action: "downgraded", exceeded, requestedDelegates: delegateIds },
+  };
+}
+
+function sendBudgetExceeded(res, error) {
+  res.status(402).json({ error: error.message, exceeded: error.exceeded });
+}
+
+function submitResolutionPayload({
+  user,
+  title,
+  body,
+  topic,
+  delegateIds,
+  personaInput,
+  userVote,
+  rebuttalRounds,
+  consensusRule,
+  consensusThreshold,
+  humanWeight,
+  allowSubstitutes,
+  screening = null,
+  tagging = null,
+}) {
+  const spending = applySpendingBudget(user, delegateIds);
+  delegateIds = spending.delegateIds;
+  // Resolved against the final seats so a budget downgrade keeps the personas.
+  const personas = parsePersonaAssignments(personaInput, delegateIds);
+
+  const quarantined = screening?.decision === "quarantine";
+  const { source, tags } = tagging || { source: "rules", tags: classifyTagsWithRules(title, body) };
+
+  // One transaction, so a failure part-way never leaves a resolution without
+  // its debate or queued job.
+  const transaction = db.transaction(() => {
+    const resolutionId = randomUUID();
+    const timestamp = nowIso();
+
+    db.prepare(`
+      INSERT INTO resolutions (id, author_user_id, title, body, topic, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(resolutionId, user.id, title, body, topic, quarantined ? "quarantined" : "submitted", timestamp, timestamp);
+    linkScreeningDecision(screening, resolutionId);
+    setResolutionTags(resolutionId, tags, source);
+
+    const pickInsert = db.prepare(`
+      INSERT OR IGNORE INTO resolution_delegate_picks (resolution_id, model_id, created_at)
+      VALUES (?, ?, ?)
+    `);
+    for (const modelId of delegateIds) {
+      pickInsert.run(resolutionId, modelId, timestamp);
+    }
+
+    const debateId = createDebate({ resolutionId, title, rebuttalRounds, consensusRule, consensusThreshold, humanWeight });
+    if (quarantined) {
+      db.prepare(`UPDATE debates SET status = 'quarantined' WHERE id = ?`).run(debateId);
+    }
+
+    if (userVote) {
+      const vote = normalizeVote(userVote);
+      db.prepare(`
+        INSERT INTO human_votes (id, debate_id, user_id, vote, created_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(debate_id, user_id) DO UPDATE SET
+          vote = excluded.vote,
+          created_at = excluded.created_at
+      `).run(randomUUID(), debateId, user.id, vote, nowIso());
+      refreshPeoplesVerdict(debateId);
+    }
+
+    const jobId = enqueueDebateJob({ debateId, delegateIds, personas, allowSubstitutes, held: quarantined });
+    return { debateId, jobId };
+  });
+
+  const { debateId, jobId } = transaction();
+  if (!quarantined) {
+    startDebateJob(debateId, jobId);
+  }
+
+  const debate = getDebateById(debateId);
+  return { ...debate, ...(screening ? { screening } : {}), ...(spending.budget ? { budget: spending.budget } : {}) };
+}
+
+// An amendment is a new version of the resolution, debated by the delegates
+// who voted on the parent debate under the same format and consensus rule.
+function proposeAmendment({ user, parentDebateId, body, title, rationale, screening = null }) {
+  const parent = db
+    .prepare(`
+      SELECT
+        d.id,
+        d.status,
+        d.rebuttal_rounds AS rebuttalRounds,
+        d.consensus_rule AS consensusRule,
+        d.consensus_threshold AS consensusThreshold,
+        d.human_weight AS humanWeight,
+        r.id AS resolutionId,
+        r.title,
+        r.topic,
+        r.version
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      WHERE d.id = ?
+    `)
+    .get(parentDebateId);
+
+  if (!parent) {
+    const error = new Error("Debate not found");
+    error.code = "DEBATE_NOT_FOUND";
+    throw error;
+  }
+
+  if (parent.status !== "closed") {
+    const error = new Error("Only closed debates can be amended");
+    error.code = "DEBATE_NOT_CLOSED";
+    throw error;
+  }
+
+  const parentSeats = db
+    .prepare(`SELECT model_id AS modelId, persona FROM delegate_votes WHERE debate_id = ? ORDER BY created_at ASC, rowid ASC`)
+    .all(parentDebateId);
+  let delegateIds = parentSeats.map((row) => row.modelId);
+  const personas = parentSeats.map((row) => row.persona || DEFAULT_DELEGATE_PERSONA);
+  if (!delegateIds.length) {
+    delegateIds = pickDelegates(
+      db.prepare(`SELECT model_id AS modelId FROM resolution_delegate_picks WHERE resolution_id = ?`).all(parent.resolutionId).map((row) => row.modelId),
+      4,
+    );
+  }
+
+  const spending = applySpendingBudget(user, delegateIds);
+  delegateIds = spending.delegateIds;
+
+  const amendedTitle = title || parent.title;
+  const quarantined = screening?.decision === "quarantine";
+
+  const transaction = db.transaction(() => {
+    const resolutionId = randomUUID();
+    const timestamp = nowIso();
+
+    db.prepare(`
+      INSERT INTO resolutions (
+        id, author_user_id, title, body, topic, status, parent_resolution_id, version, amendment_rationale, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      resolutionId,
+      user.id,
+      amendedTitle,
+      body,
+      parent.topic,
+      quarantined ? "quarantined" : "submitted",
+      parent.resolutionId,
+      parent.version + 1,
+      rationale || null,
+      timestamp,
+      timestamp,
+    );
+    linkScreeningDecision(screening, resolutionId);
+
+    db.prepare(`
+      INSERT INTO resolution_tags (resolution_id, tag_id, source, confidence, created_at)
+      SELECT ?, tag_id, source, confidence, ? FROM resolution_tags WHERE resolution_id = ?
+    `).run(resolutionId, timestamp, parent.resolutionId);
+
+    const pickInsert = db.prepare(`
+      INSERT OR IGNORE INTO resolution_delegate_picks (resolution_id, model_id, created_at)
+      VALUES (?, ?, ?)
+    `);
+    for (const modelId of delegateIds) {
+      pickInsert.run(resolutionId, modelId, timestamp);
+    }
+
+    const debateId = createDebate({
+      resolutionId,
+      title: `${amendedTitle} (amendment v${parent.version + 1})`,
+      rebuttalRounds: parent.rebuttalRounds,
+      consensusRule: parent.consensusRule,
+      consensusThreshold: parent.consensusThreshold,
+      humanWeight: parent.humanWeight ?? DEFAULT_HUMAN_VERDICT_WEIGHT,
+      parentDebateId,
+    });
+    if (quarantined) {
+      db.prepare(`UPDATE debates SET status = 'quarantined' WHERE id = ?`).run(debateId);
+    }
+
+    const jobId = enqueueDebateJob({ debateId, delegateIds, personas, allowSubstitutes: DELEGATE_SUBSTITUTES_DEFAULT, held: quarantined });
+    return { debateId, jobId };
+  });
+
+  const { debateId, jobId } = transaction();
+  if (!quarantined) {
+    startDebateJob(debateId, jobId);
+    emitDebateEvent(parentDebateId, "amendment_proposed", { debateId: parentDebateId, amendmentDebateId: debateId, version: parent.version + 1 });
+  }
+
+  const debate = getDebateById(debateId);
+  return { ...debate, ...(screening ? { screening } : {}), ...(spending.budget ? { budget: spending.budget } : {}) };
+}
+
+app.post("/v1/resolutions/submit", rateLimit("submissions"), async (req, res, next) => {
+  try {
+    const user = requireUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    const title = String(req.body?.title || "").trim();
+    const body = String(req.body?.body || req.body?.resolution || "").trim();
+
+    if (!title || !body) {
+      res.status(400).json({ error: "title and body are required" });
+      return;
+    }
+
+    const topic = String(req.body?.topic || inferTopic(title, body));
+    const userTags = parseTagInput(req.body?.tags);
+    const delegateIds = pickDelegates(req.body?.delegates, 4);
+
+    const similar = findSimilarResolutions({ title, body });
+    if (DUPLICATE_BLOCK_SIMILARITY > 0 && similar.some((row) => row.similarity >= DUPLICATE_BLOCK_SIMILARITY)) {
+      sendDuplicateRejection(res, similar);
+      return;
+    }
+
+    const screening = await screenContent({ targetType: "resolution", text: `${title}\n\n${body}`, user });
+    if (screening.decision === "reject") {
+      sendScreeningRejection(res, screening);
+      return;
+    }
+
+    const tagging = userTags?.length ? { source: "user", tags: userTags } : await classifyResolutionTags(title, body, { userId: user.id });
+
+    const debate = submitResolutionPayload({
+      user,
+      title,
+      body,
+      topic,
+      delegateIds,
+      personaInput: req.body?.personas,
+      userVote: req.body?.userVote || null,
+      rebuttalRounds: parseRebuttalRounds(req.body?.rebuttalRounds),
+      consensusRule: parseConsensusRule(req.body?.consensusRule),
+      consensusThreshold: parseConsensusThreshold(req.body?.consensusThreshold),
+      humanWeight: parseHumanWeight(req.body?.humanWeight),
+      allowSubstitutes:
+        req.body?.allowSubstitutes === undefined ? DELEGATE_SUBSTITUTES_DEFAULT : Boolean(req.body.allowSubstitutes),
+      screening,
+      tagging,
+    });
+
+    await settleDebateJobs(debate.id);
+    res.status(202).json({ ...debate, similar });
+  } catch (error) {
+    if (error.code === "BUDGET_EXCEEDED") {
+      sendBudgetExceeded(res, error);
+      return;
+    }
+    if (error.code === "INVALID_TAGS") {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
+});
+
+app.post("/v1/resolutions/similar", rateLimit("lookups"), (req, res) => {
+  const title = String(req.body?.title || "").trim();
+  const body = String(req.body?.body || req.body?.resolution || "").trim();
+
+  if (!title && !body) {
+    res.status(400).json({ error: "title or body is required" });
+    return;
+  }
+
+  res.json({
+    similar: findSimilarResolutions({ title, body }),
+    warnThreshold: DUPLICATE_WARN_SIMILARITY,
+    blockThreshold: DUPLICATE_BLOCK_SIMILARITY,
+  });
+});
+
+app.get("/v1/debates/:id", (req, res) => {
+  const debate = getDebateById(req.params.id);
+  if (!debate || !canViewDebate(debate, getCurrentUser(req))) {
+    res.status(404).json({ error: "Debate not found" });
+    return;
+  }
+  res.json(debate);
+});
+
+app.get("/v1/debates/:id/messages", (req, res) => {
+  if (!getViewableDebate(req)) {
+    res.status(404).json({ error: "Debate not found" });
+    return;
+  }
+
+  const limit = clamp(Number(req.query.limit) || 100, 1, 500);
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+
+  const items = db
+    .prepare(`
+      SELECT
+        id,
+        actor_type AS actorType,
+        actor_id AS actorId,
+        actor_name AS actorName,
+        stance,
+        content,
+        confidence,
+        round,
+        phase,
+        (SELECT ha.id FROM human_arguments ha WHERE ha.message_id = debate_messages.id) AS argumentId,
+        created_at AS createdAt
+      FROM debate_messages
+      WHERE debate_id = ?
+      ORDER BY created_at ASC
+      LIMIT ? OFFSET ?
+    `)
+    .all(req.params.id, limit, offset);
+
+  res.json({ items, limit, offset });
+});
+
+app.post("/v1/debates/:id/human-vote", rateLimit("votes"), (req, res) => {
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
+
+  const debateId = req.params.id;
+  const debate = db.prepare(`SELECT id, verdict FROM debates WHERE id = ?`).get(debateId);
+
+  if (!debate || !getViewableDebate(req)) {
+    res.status(404).json({ error: "Debate not found" });
+    return;
+  }
+
+  const vote = normalizeVote(req.body?.vote);
+  const timestamp = nowIso();
+
+  db.prepare(`
+    INSERT INTO human_votes (id, debate_id, user_id, vote, created_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(debate_id, user_id) DO UPDATE SET
+      vote = excluded.vote,
+      created_at = excluded.created_at
+  `).run(randomUUID(), debateId, user.id, vote, timestamp);
+
+  const aligned = vote === debate.verdict;
+  const tallies = refreshPeoplesVerdict(debateId);
+
+  emitDebateEvent(debateId, "human_vote", {
+    userId: user.id,
+    vote,
+    aligned,
+    peoplesVerdict: tallies.people,
+    assemblyVerdict: tallies.assembly,
+  });
+
+  res.status(201).json({
+    debateId,
+    userId: user.id,
+    vote,
+    aligned,
+    peoplesVerdict: tallies.people,
+    assemblyVerdict: tallies.assembly,
+    createdAt: timestamp,
+  });
+});
+
+function publishHumanArgument(argumentId) {
+  const argument = db
+    .prepare(`
+      SELECT
+        ha.id,
+        ha.debate_id AS debateId,
+        ha.user_id AS userId,
+        u.display_name AS userName,
+        ha.stance,
+        ha.content,
+        ha.created_at AS createdAt
+      FROM human_arguments ha
+      JOIN users u ON u.id = ha.user_id
+      WHERE ha.id = ?
+    `)
+    .get(argumentId);
+  const messageId = randomUUID();
+
+  db.prepare(`
+    INSERT INTO debate_messages (id, debate_id, actor_type, actor_id, actor_name, stance, content, confidence, created_at)
+    VALUES (?, ?, 'human', ?, ?, ?, ?, NULL, ?)
+  `).run(messageId, argument.debateId, argument.userId, argument.userName, argument.stance, argument.content, argument.createdAt);
+  db.prepare(`UPDATE human_arguments SET status = 'published', message_id = ? WHERE id = ?`).run(messageId, argument.id);
+
+  emitDebateEvent(argument.debateId, "human_argument", argument);
+  return argument;
+}
+
+app.post("/v1/debates/:id/human-argument", rateLimit("arguments"), async (req, res) => {
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
+
+  const debateId = req.params.id;
+  const content = String(req.body?.content || "").trim();
+  const stanceInput = String(req.body?.stance || "neutral").trim().toLowerCase();
+  const stance = ["intelligent", "idiotic", "neutral"].includes(stanceInput) ? stanceInput : "neutral";
+
+  if (!getViewableDebate(req)) {
+    res.status(404).json({ error: "Debate not found" });
+    return;
+  }
+
+  if (!content) {
+    res.status(400).json({ error: "content is required" });
+    return;
+  }
+
+  const screening = await screenContent({ targetType: "argument", text: content, user });
+  if (screening.decision === "reject") {
+    sendScreeningRejection(res, screening);
+    return;
+  }
+
+  const id = randomUUID();
+  db.prepare(`
+    INSERT INTO human_arguments (id, debate_id, user_id, stance, content, status, created_at)
+    VALUES (?, ?, ?, ?, ?, 'quarantined', ?)
+  `).run(id, debateId, user.id, stance, content, nowIso());
+  linkScreeningDecision(screening, id);
+
+  // Quarantined arguments stay off the floor until a moderator approves them.
+  if (screening.decision === "quarantine") {
+    res.status(202).json({ id, debateId, stance, content, status: "quarantined", screening });
+    return;
+  }
+
+  const payload = publishHumanArgument(id);
+  res.status(201).json({ ...payload, status: "published", screening });
+});
+
+app.get("/v1/debates/:id/consensus", (req, res) => {
+  if (!getViewableDebate(req)) {
+    res.status(404).json({ error: "Debate not found" });
+    return;
+  }
+
+  const row = db
+    .prepare(`
+      SELECT
+        id AS debateId,
+        verdict,
+        consensus_rule AS consensusRule,
+        consensus_threshold AS consensusThreshold,
+        intelligent_votes AS intelligentVotes,
+        idiotic_votes AS idioticVotes,
+        total_votes AS totalVotes,
+        intelligent_pct AS intelligentPct,
+        idiotic_pct AS idioticPct,
+        status,
+        updated_at AS updatedAt
+      FROM debates
+      WHERE id = ?
+    `)
+    .get(req.params.id);
+
+  if (!row) {
+    res.status(404).json({ error: "Debate not found" });
+    return;
+  }
+
+  if (row.status !== "closed") {
+    res.json({ ...row, weights: null, threshold: null });
+    return;
+  }
+
+  // Per-side totals under the debate's rule (plain vote counts for majority
+  // and supermajority), replayed from the weights recorded at close. Debates
+  // closed before weights were recorded are recomputed (`recorded: false`).
+  const votes = db
+    .prepare(`
+      SELECT dv.vote, dv.confidence, dv.error, dv.consensus_weight AS consensusWeight, dm.rank_position AS rank
+      FROM delegate_votes dv
+      LEFT JOIN delegate_models dm ON dm.id = dv.model_id
+      WHERE dv.debate_id = ?
+    `)
+    .all(row.debateId);
+  const requiredPct = row.consensusRule === "supermajority" ? row.consensusThreshold || DEFAULT_SUPERMAJORITY_PCT : null;
+  const tally = computeConsensus(votes, { rule: row.consensusRule, threshold: requiredPct || DEFAULT_SUPERMAJORITY_PCT });
+
+  res.json({
+    ...row,
+    weights: {
+      intelligent: tally.intelligentWeight,
+      idiotic: tally.idioticWeight,
+      recorded: votes.every((vote) => vote.error || vote.consensusWeight !== null),
+    },
+    threshold: {
+      requiredPct,
+      winningPct: Math.max(row.intelligentPct ?? 50, row.idioticPct ?? 50),
+      met: row.verdict !== "Hung",
+    },
+  });
+});
+
+app.post("/v1/debates/:id/amendments", rateLimit("submissions"), async (req, res, next) => {
+  try {
+    const user = requireUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (!getViewableDebate(req)) {
+      res.status(404).json({ error: "Debate not found" });
+      return;
+    }
+
+    const body = String(req.body?.body || "").trim();
+    const title = String(req.body?.title || "").trim();
+    const rationale = String(req.body?.rationale || "").trim();
+
+    if (!body) {
+      res.status(400).json({ error: "body is required" });
+      return;
+    }
+
+    const screening = await screenContent({ targetType: "resolution", text: [title, body, rationale].filter(Boolean).join("\n\n"), user });
+    if (screening.decision === "reject") {
+      sendScreeningRejection(res, screening);
+      return;
+    }
+
+    const debate = proposeAmendment({
+      user,
+      parentDebateId: req.params.id,
+      body,
+      title,
+      rationale,
+      screening,
+    });
+
+    await settleDebateJobs(debate.id);
+    res.status(202).json(debate);
+  } catch (error) {
+    if (error.code === "DEBATE_NOT_FOUND") {
+      res.status(404).json({ error: error.message });
+      return;
+    }
+    if (error.code === "DEBATE_NOT_CLOSED") {
+      res.status(409).json({ error: error.message });
+      return;
+    }
+    if (error.code === "BUDGET_EXCEEDED") {
+      sendBudgetExceeded(res, error);
+      return;
+    }
+    next(error);
+  }
+});
+
+app.get("/v1/debates/:id/amendments", (req, res) => {
+  if (!getViewableDebate(req)) {
+    res.status(404).json({ error: "Debate not found" });
+    return;
+  }
+
+  // Walk up to the original debate, then list every version beneath it.
+  let rootId = req.params.id;
+  for (;;) {
+    const parent = db.prepare(`SELECT parent_debate_id AS parentDebateId FROM debates WHERE id = ?`).get(rootId);
+    if (!parent?.parentDebateId) {
+      break;
+    }
+    rootId = parent.parentDebateId;
+  }
+
+  const items = db
+    .prepare(`
+      WITH RECURSIVE lineage(id) AS (
+        SELECT ?
+        UNION ALL
+        SELECT d.id FROM debates d JOIN lineage l ON d.parent_debate_id = l.id
+      )
+      SELECT
+        d.id,
+        d.parent_debate_id AS parentDebateId,
+        d.status,
+        d.verdict,
+        d.intelligent_pct AS intelligentPct,
+        r.version,
+        r.title,
+        r.author_user_id AS authorUserId,
+        r.amendment_rationale AS amendmentRationale,
+        d.created_at AS createdAt
+      FROM lineage l
+      JOIN debates d ON d.id = l.id
+      JOIN resolutions r ON r.id = d.resolution_id
+      ORDER BY r.version ASC, d.created_at ASC
+    `)
+    .all(rootId);
+
+  res.json({ rootDebateId: rootId, items });
+});
+
+app.get("/v1/debates/:id/stream", (req, res) => {
+  const debateId = req.params.id;
+
+  if (!getViewableDebate(req)) {
+    res.status(404).json({ error: "Debate not found" });
+    return;
+  }
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders?.();
+
+  const send = (eventName, data) => {
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send("connected", { debateId, at: nowIso() });
+
+  const listener = (event) => {
+    send(event.type, event);
+  };
+
+  const keepAlive = setInterval(() => {
+    send("ping", { at: nowIso() });
+  }, 15000);
+
+  runtime.streamBus.on(`debate:${debateId}`, listener);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    runtime.streamBus.off(`debate:${debateId}`, listener);
+  });
+});
+
+app.get("/v1/archive", (req, res, next) => {
+  const limit = clamp(Number(req.query.limit) || 20, 1, 100);
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+
+  try {
+    const page = listArchive({
+      verdict: req.query.verdict ? String(req.query.verdict) : null,
+      peopleVerdict: req.query.people_verdict ? String(req.query.people_verdict) : null,
+      assemblyVerdict: req.query.assembly_verdict ? String(req.query.assembly_verdict) : null,
+      disagreement: req.query.disagreement === "true",
+      rule: req.query.rule ? String(req.query.rule) : null,
+      topic: req.query.topic ? String(req.query.topic) : null,
+      tag: req.query.tag ? String(req.query.tag) : null,
+      delegate: req.query.delegate ? String(req.query.delegate) : null,
+      persona: req.query.persona ? String(req.query.persona) : null,
+      q: req.query.q ? String(req.query.q) : null,
+      dateFrom: req.query.date_from ? String(req.query.date_from) : null,
+      dateTo: req.query.date_to ? String(req.query.date_to) : null,
+      sort: req.query.sort ? String(req.query.sort) : null,
+      cursor: req.query.cursor ? String(req.query.cursor) : null,
+      limit,
+      offset,
+    });
+
+    res.json({ ...page, limit, offset });
+  } catch (error) {
+    sendListingError(res, next, error);
+  }
+});
+
+app.get("/v1/archive/facets", (_req, res) => {
+  res.json(getArchiveFacets());
+});
+
+app.get("/v1/tags", (req, res) => {
+  const limit = clamp(Number(req.query.limit) || 50, 1, 200);
+  const prefix = req.query.q ? slugifyTag(req.query.q) : "";
+
+  const tags = db
+    .prepare(`
+      SELECT
+        t.id,
+        t.label,
+        t.builtin,
+        (
+          SELECT COUNT(*)
+          FROM resolution_tags rt
+          JOIN resolutions r ON r.id = rt.resolution_id
+          WHERE rt.tag_id = t.id AND r.status != 'draft' AND r.hidden_at IS NULL
+        ) AS count
+      FROM tags t
+      WHERE t.id LIKE ?
+      ORDER BY t.builtin DESC, count DESC, t.label ASC
+      LIMIT ?
+    `)
+    .all(`${prefix}%`, limit)
+    .map((row) => ({ ...row, builtin: Boolean(row.builtin) }));
 
-  if (verdict) {
-    where.push(`d.verdict = ?`);
-    params.push(normalizeVote(verdict));
-  }
+  res.json({ tags, maxPerResolution: MAX_RESOLUTION_TAGS });
+});
 
-  if (topic) {
-    where.push(`r.topic = ?`);
-    params.push(topic);
-  }
+app.post("/v1/tags/suggest", (req, res) => {
+  const title = String(req.body?.title || "").trim();
+  const body = String(req.body?.body || req.body?.resolution || "").trim();
 
-  if (q) {
-    where.push(`(r.title LIKE ? OR r.body LIKE ?)`);
-    params.push(`%${q}%`, `%${q}%`);
+  if (!title && !body) {
+    res.status(400).json({ error: "title or body is required" });
+    return;
   }
 
-  if (dateFrom) {
-    where.push(`d.created_at >= ?`);
-    params.push(dateFrom);
-  }
+  res.json({ topic: inferTopic(title, body), tags: classifyTagsWithRules(title, body) });
+});
 
-  if (dateTo) {
-    where.push(`d.created_at <= ?`);
-    params.push(dateTo);
+app.get("/v1/archive/:id", (req, res) => {
+  const debate = getDebateById(req.params.id);
+  if (!debate || !canViewDebate(debate, getCurrentUser(req))) {
+    res.status(404).json({ error: "Archive item not found" });
+    return;
   }
+  res.json(debate);
+});
 
-  if (delegate) {
-    where.push(`EXISTS (
-      SELECT 1 FROM delegate_votes dvf
-      WHERE dvf.debate_id = d.id
-        AND (dvf.model_id = ? OR dvf.model_id LIKE ?)
-    )`);
-    params.push(delegate, `%${delegate}%`);
+app.get("/v1/archive/:id/transcript", (req, res) => {
+  if (!getViewableDebate(req)) {
+    res.status(404).json({ error: "Archive item not found" });
+    return;
   }
 
-  params.push(limit, offset);
-
-  const rows = db
+  const items = db
     .prepare(`
       SELECT
-        d.id AS debateId,
-        d.created_at AS createdAt,
-        d.updated_at AS updatedAt,
-        d.verdict,
-        d.intelligent_votes AS intelligentVotes,
-        d.idiotic_votes AS idioticVotes,
-        d.total_votes AS totalVotes,
-        d.intelligent_pct AS intelligentPct,
-        d.idiotic_pct AS idioticPct,
-        r.id AS resolutionId,
-        r.title,
-        r.body,
-        r.topic,
-        r.author_user_id AS authorUserId,
-        u.display_name AS authorName
-      FROM debates d
-      JOIN resolutions r ON r.id = d.resolution_id
-      JOIN users u ON u.id = r.author_user_id
-      WHERE ${where.join(" AND ")}
-      ORDER BY d.created_at DESC
-      LIMIT ? OFFSET ?
+        id,
+        actor_type AS actorType,
+        actor_id AS actorId,
+        actor_name AS actorName,
+        stance,
+        content,
+        confidence,
+        round,
+        phase,
+        (SELECT ha.id FROM human_arguments ha WHERE ha.message_id = debate_messages.id) AS argumentId,
+        created_at AS createdAt
+      FROM debate_messages
+      WHERE debate_id = ?
+      ORDER BY created_at ASC
     `)
-    .all(...params);
-
-  return rows.map((row) => {
-    const delegates = db
-      .prepare(`
-        SELECT
-          dv.model_id AS modelId,
-          dm.display_name AS displayName,
-          dm.provider
-        FROM delegate_votes dv
-        LEFT JOIN delegate_models dm ON dm.id = dv.model_id
-        WHERE dv.debate_id = ?
-        ORDER BY dv.created_at ASC
-      `)
-      .all(row.debateId);
-
-    return {
-      id: row.debateId,
-      createdAt: row.createdAt,
-      updatedAt: row.updatedAt,
-      verdict: row.verdict,
-      consensus: {
-        verdict: row.verdict,
-        intelligentVotes: row.intelligentVotes,
-        idioticVotes: row.idioticVotes,
-        totalVotes: row.totalVotes,
-        intelligentPct: row.intelligentPct,
-        idioticPct: row.idioticPct,
-      },
-      title: row.title,
-      resolution: row.body,
-      topic: row.topic,
-      authorUserId: row.authorUserId,
-      authorName: row.authorName,
-      delegates,
-    };
-  });
-}
+    .all(req.params.id);
 
-function getArchiveFacets() {
-  const verdicts = db
-    .prepare(`
-      SELECT verdict, COUNT(*) AS count
-      FROM debates
-      WHERE status = 'closed'
-      GROUP BY verdict
-      ORDER BY count DESC
-    `)
-    .all();
+  res.json({ items });
+});
 
-  const topics = db
-    .prepare(`
-      SELECT topic, COUNT(*) AS count
-      FROM resolutions
-      WHERE status = 'closed'
-      GROUP BY topic
-      ORDER BY count DESC
-    `)
-    .all();
+app.get("/v1/archive/:id/votes", (req, res) => {
+  if (!getViewableDebate(req)) {
+    res.status(404).json({ error: "Archive item not found" });
+    return;
+  }
 
-  const delegates = db
+  const delegateVotes = db
     .prepare(`
       SELECT
-        dm.display_name AS name,
+        dv.id,
+        dv.model_id AS modelId,
+        dm.display_name AS displayName,
         dm.provider,
-        COUNT(*) AS count
+        dv.vote,
+        dv.confidence,
+        dv.created_at AS createdAt,
+        dv.error,
+        dv.attempts,
+        dv.substituted_for AS substitutedFor,
+        dv.substitution_reason AS substitutionReason,
+        dv.parse_outcome AS parseOutcome,
+        dv.persona,
+        dv.prompt_version AS promptVersion
       FROM delegate_votes dv
-      JOIN delegate_models dm ON dm.id = dv.model_id
-      GROUP BY dv.model_id
-      ORDER BY count DESC
-      LIMIT 20
+      LEFT JOIN delegate_models dm ON dm.id = dv.model_id
+      WHERE dv.debate_id = ?
+      ORDER BY dv.created_at ASC
     `)
-    .all();
+    .all(req.params.id);
 
-  return { verdicts, topics, delegates };
-}
+  const humanVotes = db
+    .prepare(`
+      SELECT
+        hv.id,
+        hv.user_id AS userId,
+        u.display_name AS userName,
+        hv.vote,
+        hv.created_at AS createdAt
+      FROM human_votes hv
+      JOIN users u ON u.id = hv.user_id
+      WHERE hv.debate_id = ?
+      ORDER BY hv.created_at ASC
+    `)
+    .all(req.params.id);
 
-function getUserStats(userId, period = "all_time") {
-  const start = periodStart(period);
-  const params = [userId];
-  const dateFilter = start ? `AND hv.created_at >= ?` : "";
-  if (start) {
-    params.push(start);
-  }
+  res.json({ delegateVotes, humanVotes });
+});
 
-  const submissionsFilter = start ? `AND r.created_at >= ?` : "";
-  const submissionsParams = [userId];
-  if (start) {
-    submissionsParams.push(start);
+app.get("/v1/archive/:id/attempts", (req, res) => {
+  if (!getViewableDebate(req)) {
+    res.status(404).json({ error: "Archive item not found" });
+    return;
   }
 
-  const submissions = db
-    .prepare(`
-      SELECT COUNT(*) AS count
-      FROM resolutions r
-      WHERE r.author_user_id = ?
-        AND r.status != 'draft'
-        ${submissionsFilter}
-    `)
-    .get(...submissionsParams).count;
-
-  const voteSummary = db
+  const items = db
     .prepare(`
       SELECT
-        COUNT(*) AS totalVotes,
-        SUM(CASE WHEN hv.vote = d.verdict THEN 1 ELSE 0 END) AS alignedVotes
-      FROM human_votes hv
-      JOIN debates d ON d.id = hv.debate_id
-      WHERE hv.user_id = ?
-      ${dateFilter}
+        a.id,
+        a.round,
+        a.seat_model_id AS seatModelId,
+        a.model_id AS modelId,
+        dm.display_name AS displayName,
+        a.attempt,
+        a.outcome,
+        a.http_status AS httpStatus,
+        a.error,
+        a.latency_ms AS latencyMs,
+        a.created_at AS createdAt
+      FROM delegate_call_attempts a
+      LEFT JOIN delegate_models dm ON dm.id = a.model_id
+      WHERE a.debate_id = ?
+      ORDER BY a.round ASC, a.rowid ASC
     `)
-    .get(...params);
+    .all(req.params.id);
 
-  const totalVotes = voteSummary.totalVotes || 0;
-  const alignedVotes = voteSummary.alignedVotes || 0;
-  const alignmentPct = totalVotes ? Math.round((alignedVotes / totalVotes) * 100) : 0;
+  res.json({ items });
+});
 
-  const activityBonus = Math.min(30, submissions * 4 + totalVotes * 2);
-  const alignmentScore = Math.round(alignmentPct * 0.7 + activityBonus);
+app.get("/v1/archive/:id/diff", (req, res) => {
+  const amended = db.prepare(`SELECT id, parent_debate_id AS parentDebateId FROM debates WHERE id = ?`).get(req.params.id);
+  if (!amended || !getViewableDebate(req)) {
+    res.status(404).json({ error: "Archive item not found" });
+    return;
+  }
 
-  let title = "Junior Petitioner";
-  if (alignmentScore >= 90 && submissions >= 8) {
-    title = "Grand Envoy";
-  } else if (alignmentScore >= 75 && submissions >= 5) {
-    title = "High Councillor";
-  } else if (alignmentScore >= 60 && submissions >= 3) {
-    title = "Senior Petitioner";
+  const baseId = req.query.against ? String(req.query.against) : amended.parentDebateId;
+  if (!baseId) {
+    res.status(400).json({ error: "Debate is not an amendment; pass ?against=<debateId>" });
+    return;
   }
 
-  return {
-    submissions,
-    totalVotes,
-    alignedVotes,
-    alignmentPct,
-    alignmentScore,
-    title,
-  };
-}
+  const diff = getViewableDebate(req, baseId) ? diffDebateVersions(baseId, amended.id) : null;
+  if (!diff) {
+    res.status(404).json({ error: "Comparison debate not found" });
+    return;
+  }
 
-function computeLeaderboard(period = "weekly", limit = 100) {
-  const users = db.prepare(`SELECT id, handle, display_name AS displayName FROM users`).all();
+  res.json(diff);
+});
 
-  const rows = users
-    .map((user) => {
-      const stats = getUserStats(user.id, period);
-      return {
-        userId: user.id,
-        handle: user.handle,
-        displayName: user.displayName,
-        alignmentScore: stats.alignmentScore,
-        alignmentPct: stats.alignmentPct,
-        submissions: stats.submissions,
-        totalVotes: stats.totalVotes,
-        alignedVotes: stats.alignedVotes,
-        title: stats.title,
-      };
-    })
-    .filter((row) => row.submissions > 0 || row.totalVotes > 0)
-    .sort((a, b) => {
-      if (b.alignmentScore !== a.alignmentScore) return b.alignmentScore - a.alignmentScore;
-      if (b.alignedVotes !== a.alignedVotes) return b.alignedVotes - a.alignedVotes;
-      return b.submissions - a.submissions;
-    })
-    .slice(0, limit)
-    .map((row, idx) => ({ ...row, rank: idx + 1 }));
+app.get("/v1/archive/:id/related", (req, res) => {
+  const debate = getDebateById(req.params.id);
+  if (!debate || !canViewDebate(debate, getCurrentUser(req))) {
+    res.status(404).json({ error: "Archive item not found" });
+    return;
+  }
 
-  return rows;
-}
+  const limit = clamp(Number(req.query.limit) || 6, 1, 20);
+  res.json(listRelatedDebates(debate.id, { limit }));
+});
 
-function persistLeaderboardSnapshot(period = "weekly") {
-  const snapshotId = randomUUID();
-  const timestamp = nowIso();
-  const rows = computeLeaderboard(period, 100);
+const FLAG_TARGET_TYPES = ["resolution", "argument", "user"];
 
-  const tx = db.transaction(() => {
-    db.prepare(`INSERT INTO leaderboard_snapshots (id, period, created_at) VALUES (?, ?, ?)`).run(snapshotId, period, timestamp);
+function recordModerationAction({ actor, action, targetType, targetId, reason = null, details = {} }) {
+  db.prepare(`
+    INSERT INTO moderation_audit_log (id, actor_user_id, action, target_type, target_id, reason, details, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(randomUUID(), actor.id, action, targetType, targetId, reason || null, JSON.stringify(details), nowIso());
+}
 
-    const insertEntry = db.prepare(`
-      INSERT INTO leaderboard_entries (
-        snapshot_id, rank, user_id, alignment_score, submissions, correct_votes, total_votes
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
+function resolveFlagsForTarget(targetType, targetId, actor, status = "resolved") {
+  return db
+    .prepare(`
+      UPDATE content_flags
+      SET status = ?, resolved_by = ?, resolved_at = ?
+      WHERE target_type = ? AND target_id = ? AND status = 'open'
+    `)
+    .run(status, actor.id, nowIso(), targetType, targetId).changes;
+}
 
-    for (const row of rows) {
-      insertEntry.run(
-        snapshotId,
-        row.rank,
-        row.userId,
-        row.alignmentScore,
-        row.submissions,
-        row.alignedVotes,
-        row.totalVotes,
-      );
-    }
-  });
+function moderationTargetExists(targetType, targetId) {
+  const table = { resolution: "resolutions", argument: "human_arguments", user: "users" }[targetType];
+  return Boolean(table && db.prepare(`SELECT id FROM ${table} WHERE id = ?`).get(targetId));
+}
 
-  tx();
-  return { snapshotId, period, createdAt: timestamp, rows };
+function moderationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
 }
 
-async function bootstrapFromLegacyArchive() {
-  const existingClosedCount = db.prepare(`SELECT COUNT(*) AS count FROM debates`).get().count;
-  if (existingClosedCount > 0) {
-    return;
+function deleteResolution(resolutionId) {
+  const resolution = db.prepare(`SELECT id, title FROM resolutions WHERE id = ?`).get(resolutionId);
+  if (!resolution) {
+    throw moderationError("Resolution not found", "RESOLUTION_NOT_FOUND");
   }
 
-  try {
-    const raw = await fsp.readFile(JSON_ARCHIVE_FILE, "utf8");
-    const items = JSON.parse(raw);
-    if (!Array.isArray(items) || !items.length) {
-      return;
+  const busy = db
+    .prepare(`
+      SELECT d.id
+      FROM debates d
+      JOIN debate_jobs j ON j.debate_id = d.id
+      WHERE d.resolution_id = ? AND j.status IN ('queued', 'running')
+      LIMIT 1
+    `)
+    .get(resolutionId);
+  if (busy) {
+    throw moderationError("Resolution has a debate in progress", "DEBATE_IN_PROGRESS");
+  }
+
+  const debateIds = db.prepare(`SELECT id FROM debates WHERE resolution_id = ?`).all(resolutionId).map((row) => row.id);
+
+  db.transaction(() => {
+    // Amendments outlive the resolution they amended; they just lose the link.
+    db.prepare(`UPDATE resolutions SET parent_resolution_id = NULL WHERE parent_resolution_id = ?`).run(resolutionId);
+    for (const debateId of debateIds) {
+      db.prepare(`UPDATE debates SET parent_debate_id = NULL WHERE parent_debate_id = ?`).run(debateId);
     }
+    db.prepare(`DELETE FROM resolutions WHERE id = ?`).run(resolutionId);
+  })();
 
-    for (const item of items) {
-      const author = getUserByIdStmt.get(DEFAULT_USER_ID);
-      const resolutionId = randomUUID();
-      const createdAt = item.createdAt || nowIso();
-      const updatedAt = createdAt;
-      const topic = inferTopic(item.title || "", item.resolution || "");
+  return { resolutionId, title: resolution.title, debateIds };
+}
 
-      db.prepare(`
-        INSERT INTO resolutions (id, author_user_id, title, body, topic, status, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, 'closed', ?, ?)
-      `).run(resolutionId, author.id, item.title || "Untitled", item.resolution || "", topic, createdAt, updatedAt);
+function removeHumanArgument(argumentId) {
+  const argument = db
+    .prepare(`
+      SELECT id, debate_id AS debateId, user_id AS userId, stance, content, message_id AS messageId, created_at AS createdAt
+      FROM human_arguments
+      WHERE id = ?
+    `)
+    .get(argumentId);
+  if (!argument) {
+    throw moderationError("Argument not found", "ARGUMENT_NOT_FOUND");
+  }
 
-      const debateId = item.id || randomUUID();
+  db.transaction(() => {
+    if (argument.messageId) {
+      db.prepare(`DELETE FROM debate_messages WHERE id = ?`).run(argument.messageId);
+    } else {
+      // Arguments posted before message_id existed are matched by content.
       db.prepare(`
-        INSERT INTO debates (
-          id, resolution_id, status, verdict, intelligent_votes, idiotic_votes, total_votes,
-          intelligent_pct, idiotic_pct, created_at, updated_at
-        ) VALUES (?, ?, 'closed', ?, ?, ?, ?, ?, ?, ?, ?)
-      `).run(
-        debateId,
-        resolutionId,
-        item.consensus?.verdict || "Intelligent",
-        item.consensus?.intelligentVotes || 0,
-        item.consensus?.idioticVotes || 0,
-        item.consensus?.totalVotes || 0,
-        item.consensus?.intelligentPct || 50,
-        item.consensus?.idioticPct || 50,
-        createdAt,
-        updatedAt,
-      );
+        DELETE FROM debate_messages
+        WHERE debate_id = ? AND actor_type = 'human' AND actor_id = ? AND content = ? AND created_at = ?
+      `).run(argument.debateId, argument.userId, argument.content, argument.createdAt);
     }
-  } catch {
-    // ignore bootstrap failures
-  }
+    db.prepare(`DELETE FROM human_arguments WHERE id = ?`).run(argumentId);
+  })();
+
+  emitDebateEvent(argument.debateId, "human_argument_removed", { debateId: argument.debateId, argumentId });
+  return argument;
 }
 
-app.use(express.json({ limit: "2mb" }));
-app.use(express.static(PUBLIC_DIR));
+function rerunFailedDebate(debateId) {
+  const debate = db.prepare(`SELECT id, status, resolution_id AS resolutionId FROM debates WHERE id = ?`).get(debateId);
+  if (!debate) {
+    throw moderationError("Debate not found", "DEBATE_NOT_FOUND");
+  }
+  if (debate.status !== "failed") {
+    throw moderationError("Only failed debates can be re-run", "DEBATE_NOT_FAILED");
+  }
 
-app.use(async (_req, _res, next) => {
-  try {
-    await syncDelegates(20);
-    next();
-  } catch (error) {
-    next(error);
+  const job = db
+    .prepare(`SELECT id FROM debate_jobs WHERE debate_id = ? ORDER BY created_at DESC LIMIT 1`)
+    .get(debateId);
+  if (!job) {
+    throw moderationError("Debate has no job to re-run", "DEBATE_NOT_FAILED");
   }
-});
 
-app.get("/v1/health", (_req, res) => {
-  res.json({
-    ok: true,
-    time: nowIso(),
-    dbPath: DB_PATH,
-    openrouterConfigured: Boolean(process.env.OPENROUTER_API_KEY),
-  });
-});
+  const timestamp = nowIso();
+  db.transaction(() => {
+    db.prepare(`UPDATE debate_jobs SET status = 'queued', attempts = 0, last_error = NULL, updated_at = ? WHERE id = ?`).run(timestamp, job.id);
+    db.prepare(`UPDATE debates SET status = 'queued', updated_at = ? WHERE id = ?`).run(timestamp, debateId);
+    db.prepare(`UPDATE resolutions SET status = 'debating', updated_at = ? WHERE id = ?`).run(timestamp, debate.resolutionId);
+  })();
 
-app.get("/v1/delegates/eligible", async (req, res, next) => {
-  try {
-    const limit = clamp(Number(req.query.limit) || 10, 1, 50);
-    const delegates = await syncDelegates(limit);
-    res.json({
-      source: OPENROUTER_RANKINGS_URL,
-      updatedAt: nowIso(),
-      delegates,
-    });
-  } catch (error) {
-    next(error);
-  }
-});
+  startDebateJob(debateId, job.id);
 
-app.get("/v1/live/hero", (_req, res) => {
-  const latest = db
-    .prepare(`
-      SELECT d.id AS debateId
-      FROM debates d
-      ORDER BY d.created_at DESC
-      LIMIT 1
-    `)
-    .get();
+  return { debateId, jobId: job.id };
+}
 
-  if (!latest) {
-    res.json({ debate: null });
+function sendModerationError(res, next, error) {
+  const statusByCode = {
+    RESOLUTION_NOT_FOUND: 404,
+    ARGUMENT_NOT_FOUND: 404,
+    DEBATE_NOT_FOUND: 404,
+    USER_NOT_FOUND: 404,
+    DEBATE_IN_PROGRESS: 409,
+    DEBATE_NOT_FAILED: 409,
+    SCREENING_NOT_FOUND: 404,
+    SCREENING_ALREADY_REVIEWED: 409,
+  };
+  if (statusByCode[error.code]) {
+    res.status(statusByCode[error.code]).json({ error: error.message });
     return;
   }
+  next(error);
+}
 
-  const debate = getDebateById(latest.debateId);
-  const delegates = getDelegates(6);
+app.post("/v1/flags", rateLimit("flags"), (req, res) => {
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
 
-  res.json({ debate, delegates });
-});
+  const targetType = String(req.body?.targetType || "").trim();
+  const targetId = String(req.body?.targetId || "").trim();
+  const reason = String(req.body?.reason || "").trim().slice(0, 500);
 
-app.get("/v1/live/arguments", (req, res) => {
-  const limit = clamp(Number(req.query.limit) || 20, 1, 100);
+  if (!FLAG_TARGET_TYPES.includes(targetType) || !targetId || !reason) {
+    res.status(400).json({ error: `targetType (${FLAG_TARGET_TYPES.join(", ")}), targetId and reason are required` });
+    return;
+  }
 
-  const latest = db
-    .prepare(`
-      SELECT id
-      FROM debates
-      ORDER BY created_at DESC
-      LIMIT 1
-    `)
-    .get();
+  if (!moderationTargetExists(targetType, targetId)) {
+    res.status(404).json({ error: "Flagged content not found" });
+    return;
+  }
 
-  if (!latest) {
-    res.json({ items: [] });
+  const id = randomUUID();
+  db.prepare(`
+    INSERT INTO content_flags (id, target_type, target_id, reporter_user_id, reason, status, created_at)
+    VALUES (?, ?, ?, ?, ?, 'open', ?)
+  `).run(id, targetType, targetId, user.id, reason, nowIso());
+
+  res.status(201).json({ id, targetType, targetId, status: "open" });
+});
+
+app.get("/v1/moderation/flags", (req, res) => {
+  if (!requireRole(req, res, "moderator")) {
     return;
   }
 
+  const status = ["open", "resolved", "dismissed"].includes(req.query.status) ? req.query.status : "open";
+  const limit = Math.max(1, Math.min(200, Number(req.query.limit || 50)));
+
   const items = db
     .prepare(`
       SELECT
-        id,
-        actor_type AS actorType,
-        actor_id AS actorId,
-        actor_name AS actorName,
-        stance,
-        content,
-        confidence,
-        created_at AS createdAt
-      FROM debate_messages
-      WHERE debate_id = ?
-      ORDER BY created_at DESC
+        f.id,
+        f.target_type AS targetType,
+        f.target_id AS targetId,
+        f.reason,
+        f.status,
+        f.created_at AS createdAt,
+        f.resolved_at AS resolvedAt,
+        reporter.handle AS reporterHandle,
+        resolver.handle AS resolvedByHandle,
+        CASE f.target_type
+          WHEN 'resolution' THEN (SELECT title FROM resolutions WHERE id = f.target_id)
+          WHEN 'argument' THEN (SELECT content FROM human_arguments WHERE id = f.target_id)
+          WHEN 'user' THEN (SELECT handle FROM users WHERE id = f.target_id)
+        END AS targetPreview,
+        CASE f.target_type
+          WHEN 'resolution' THEN (SELECT id FROM debates WHERE resolution_id = f.target_id ORDER BY created_at DESC LIMIT 1)
+          WHEN 'argument' THEN (SELECT debate_id FROM human_arguments WHERE id = f.target_id)
+        END AS debateId,
+        CASE f.target_type
+          WHEN 'resolution' THEN (SELECT hidden_at IS NOT NULL FROM resolutions WHERE id = f.target_id)
+          WHEN 'user' THEN (SELECT suspended_at IS NOT NULL FROM users WHERE id = f.target_id)
+          ELSE 0
+        END AS actioned
+      FROM content_flags f
+      LEFT JOIN users reporter ON reporter.id = f.reporter_user_id
+      LEFT JOIN users resolver ON resolver.id = f.resolved_by
+      WHERE f.status = ?
+      ORDER BY f.created_at DESC
       LIMIT ?
     `)
-    .all(latest.id, limit);
+    .all(status, limit)
+    .map((row) => ({ ...row, actioned: Boolean(row.actioned), targetExists: row.targetPreview !== null }));
 
-  res.json({ items });
+  res.json({ status, items });
 });
 
-app.get("/v1/live/consensus", (_req, res) => {
-  const row = db
-    .prepare(`
-      SELECT
-        id,
-        verdict,
-        intelligent_votes AS intelligentVotes,
-        idiotic_votes AS idioticVotes,
-        total_votes AS totalVotes,
-        intelligent_pct AS intelligentPct,
-        idiotic_pct AS idioticPct,
-        status,
-        updated_at AS updatedAt
-      FROM debates
-      ORDER BY updated_at DESC
-      LIMIT 1
-    `)
-    .get();
+app.post("/v1/moderation/flags/:id/dismiss", (req, res) => {
+  const actor = requireRole(req, res, "moderator");
+  if (!actor) {
+    return;
+  }
 
-  res.json({ consensus: row || null });
-});
+  const flag = db.prepare(`SELECT id, target_type AS targetType, target_id AS targetId FROM content_flags WHERE id = ? AND status = 'open'`).get(req.params.id);
+  if (!flag) {
+    res.status(404).json({ error: "Open flag not found" });
+    return;
+  }
 
-app.get("/v1/live/delegates", (req, res) => {
-  const limit = clamp(Number(req.query.limit) || 10, 1, 50);
-  res.json({ delegates: getDelegates(limit) });
-});
+  db.prepare(`UPDATE content_flags SET status = 'dismissed', resolved_by = ?, resolved_at = ? WHERE id = ?`).run(actor.id, nowIso(), flag.id);
+  recordModerationAction({
+    actor,
+    action: "flag.dismiss",
+    targetType: flag.targetType,
+    targetId: flag.targetId,
+    reason: String(req.body?.reason || "").trim(),
+    details: { flagId: flag.id },
+  });
 
-app.get("/v1/live/trending", (req, res) => {
-  const limit = clamp(Number(req.query.limit) || 8, 1, 30);
-  const items = listArchive({ limit, offset: 0 });
-  res.json({ items });
+  res.json({ id: flag.id, status: "dismissed" });
 });
 
-app.post("/v1/drafts", (req, res) => {
-  const user = getCurrentUser(req);
-  const title = String(req.body?.title || "").trim();
-  const body = String(req.body?.body || req.body?.resolution || "").trim();
+app.post("/v1/moderation/resolutions/:id/hide", (req, res) => {
+  const actor = requireRole(req, res, "moderator");
+  if (!actor) {
+    return;
+  }
 
-  if (!title || !body) {
-    res.status(400).json({ error: "title and body are required" });
+  const reason = String(req.body?.reason || "").trim();
+  const changes = db
+    .prepare(`UPDATE resolutions SET hidden_at = COALESCE(hidden_at, ?), hidden_reason = ? WHERE id = ?`)
+    .run(nowIso(), reason || null, req.params.id).changes;
+  if (!changes) {
+    res.status(404).json({ error: "Resolution not found" });
     return;
   }
 
-  const topic = String(req.body?.topic || inferTopic(title, body));
-  const draft = createDraft({ userId: user.id, title, body, topic });
+  const resolvedFlags = resolveFlagsForTarget("resolution", req.params.id, actor);
+  recordModerationAction({ actor, action: "resolution.hide", targetType: "resolution", targetId: req.params.id, reason, details: { resolvedFlags } });
 
-  res.status(201).json({
-    draft: {
-      id: draft.id,
-      authorUserId: draft.author_user_id,
-      title: draft.title,
-      body: draft.body,
-      topic: draft.topic,
-      status: draft.status,
-      createdAt: draft.created_at,
-      updatedAt: draft.updated_at,
-    },
-  });
+  res.json({ id: req.params.id, hidden: true, resolvedFlags });
 });
 
-app.put("/v1/drafts/:id", (req, res) => {
-  const user = getCurrentUser(req);
-  const draftId = req.params.id;
-  const title = String(req.body?.title || "").trim();
-  const body = String(req.body?.body || req.body?.resolution || "").trim();
+app.post("/v1/moderation/resolutions/:id/unhide", (req, res) => {
+  const actor = requireRole(req, res, "moderator");
+  if (!actor) {
+    return;
+  }
 
-  if (!title || !body) {
-    res.status(400).json({ error: "title and body are required" });
+  const changes = db
+    .prepare(`UPDATE resolutions SET hidden_at = NULL, hidden_reason = NULL WHERE id = ?`)
+    .run(req.params.id).changes;
+  if (!changes) {
+    res.status(404).json({ error: "Resolution not found" });
     return;
   }
 
-  const topic = String(req.body?.topic || inferTopic(title, body));
+  recordModerationAction({ actor, action: "resolution.unhide", targetType: "resolution", targetId: req.params.id, reason: String(req.body?.reason || "").trim() });
+
+  res.json({ id: req.params.id, hidden: false });
+});
 
+app.delete("/v1/moderation/resolutions/:id", (req, res, next) => {
   try {
-    const updated = updateDraft({ draftId, userId: user.id, title, body, topic });
-    if (!updated) {
-      res.status(404).json({ error: "Draft not found" });
+    const actor = requireRole(req, res, "admin");
+    if (!actor) {
+      return;
+    }
+
+    const removed = deleteResolution(req.params.id);
+    const resolvedFlags = resolveFlagsForTarget("resolution", req.params.id, actor);
+    recordModerationAction({
+      actor,
+      action: "resolution.delete",
+      targetType: "resolution",
+      targetId: req.params.id,
+      reason: String(req.body?.reason || req.query.reason || "").trim(),
+      details: { title: removed.title, debateIds: removed.debateIds, resolvedFlags },
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    sendModerationError(res, next, error);
+  }
+});
+
+app.delete("/v1/moderation/arguments/:id", (req, res, next) => {
+  try {
+    const actor = requireRole(req, res, "moderator");
+    if (!actor) {
       return;
     }
 
-    res.json({
-      draft: {
-        id: updated.id,
-        authorUserId: updated.author_user_id,
-        title: updated.title,
-        body: updated.body,
-        topic: updated.topic,
-        status: updated.status,
-        createdAt: updated.created_at,
-        updatedAt: updated.updated_at,
-      },
+    const removed = removeHumanArgument(req.params.id);
+    const resolvedFlags = resolveFlagsForTarget("argument", req.params.id, actor);
+    recordModerationAction({
+      actor,
+      action: "argument.delete",
+      targetType: "argument",
+      targetId: req.params.id,
+      reason: String(req.body?.reason || req.query.reason || "").trim(),
+      details: { debateId: removed.debateId, userId: removed.userId, stance: removed.stance, content: removed.content, resolvedFlags },
     });
+
+    res.status(204).end();
   } catch (error) {
-    if (error.code === "FORBIDDEN") {
-      res.status(403).json({ error: error.message });
-      return;
-    }
-    throw error;
+    sendModerationError(res, next, error);
   }
 });
 
-app.get("/v1/drafts/:id", (req, res) => {
-  const user = getCurrentUser(req);
-  const draft = db.prepare(`SELECT * FROM resolutions WHERE id = ? AND status = 'draft'`).get(req.params.id);
+app.post("/v1/moderation/users/:id/suspend", (req, res) => {
+  const actor = requireRole(req, res, "moderator");
+  if (!actor) {
+    return;
+  }
 
-  if (!draft) {
-    res.status(404).json({ error: "Draft not found" });
+  const target = getUserByIdStmt.get(req.params.id);
+  if (!target) {
+    res.status(404).json({ error: "User not found" });
     return;
   }
 
-  if (draft.author_user_id !== user.id) {
-    res.status(403).json({ error: "Not allowed" });
+  // Moderators can only suspend citizens; suspending staff takes an admin.
+  if (target.id === actor.id || !hasRole(actor, target.role === "citizen" ? "moderator" : "admin")) {
+    res.status(403).json({ error: "Not allowed to suspend this user" });
     return;
   }
 
-  res.json({
-    draft: {
-      id: draft.id,
-      authorUserId: draft.author_user_id,
-      title: draft.title,
-      body: draft.body,
-      topic: draft.topic,
-      status: draft.status,
-      createdAt: draft.created_at,
-      updatedAt: draft.updated_at,
-    },
-  });
-});
+  const reason = String(req.body?.reason || "").trim();
+  db.prepare(`UPDATE users SET suspended_at = ?, suspended_reason = ?, updated_at = ? WHERE id = ?`).run(nowIso(), reason || null, nowIso(), target.id);
+  db.prepare(`DELETE FROM user_sessions WHERE user_id = ?`).run(target.id);
 
-async function submitResolutionPayload({ user, title, body, topic, delegateIds, userVote }) {
-  const resolutionId = randomUUID();
-  const timestamp = nowIso();
+  const resolvedFlags = resolveFlagsForTarget("user", target.id, actor);
+  recordModerationAction({ actor, action: "user.suspend", targetType: "user", targetId: target.id, reason, details: { handle: target.handle, resolvedFlags } });
 
-  db.prepare(`
-    INSERT INTO resolutions (id, author_user_id, title, body, topic, status, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, 'submitted', ?, ?)
-  `).run(resolutionId, user.id, title, body, topic, timestamp, timestamp);
+  res.json({ user: publicUser(getUserByIdStmt.get(target.id)) });
+});
 
-  const pickInsert = db.prepare(`
-    INSERT OR IGNORE INTO resolution_delegate_picks (resolution_id, model_id, created_at)
-    VALUES (?, ?, ?)
-  `);
-  for (const modelId of delegateIds) {
-    pickInsert.run(resolutionId, modelId, timestamp);
+app.post("/v1/moderation/users/:id/unsuspend", (req, res) => {
+  const actor = requireRole(req, res, "moderator");
+  if (!actor) {
+    return;
   }
 
-  const debate = await runDebateForResolution({
-    resolutionId,
-    title,
-    body,
-    delegateIds,
-  });
-
-  if (userVote) {
-    const vote = normalizeVote(userVote);
-    db.prepare(`
-      INSERT INTO human_votes (id, debate_id, user_id, vote, created_at)
-      VALUES (?, ?, ?, ?, ?)
-      ON CONFLICT(debate_id, user_id) DO UPDATE SET
-        vote = excluded.vote,
-        created_at = excluded.created_at
-    `).run(randomUUID(), debate.id, user.id, vote, nowIso());
+  const target = getUserByIdStmt.get(req.params.id);
+  if (!target) {
+    res.status(404).json({ error: "User not found" });
+    return;
   }
 
-  persistLeaderboardSnapshot("weekly");
-  persistLeaderboardSnapshot("monthly");
-  persistLeaderboardSnapshot("all_time");
+  db.prepare(`UPDATE users SET suspended_at = NULL, suspended_reason = NULL, updated_at = ? WHERE id = ?`).run(nowIso(), target.id);
+  recordModerationAction({ actor, action: "user.unsuspend", targetType: "user", targetId: target.id, reason: String(req.body?.reason || "").trim(), details: { handle: target.handle } });
 
-  return debate;
-}
+  res.json({ user: publicUser(getUserByIdStmt.get(target.id)) });
+});
 
-app.post("/v1/resolutions/submit", async (req, res, next) => {
-  try {
-    const user = getCurrentUser(req);
-    const title = String(req.body?.title || "").trim();
-    const body = String(req.body?.body || req.body?.resolution || "").trim();
+app.put("/v1/moderation/users/:id/role", (req, res) => {
+  const actor = requireRole(req, res, "admin");
+  if (!actor) {
+    return;
+  }
 
-    if (!title || !body) {
-      res.status(400).json({ error: "title and body are required" });
-      return;
-    }
+  const role = String(req.body?.role || "").trim();
+  if (!USER_ROLES.includes(role)) {
+    res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(", ")}` });
+    return;
+  }
 
-    const topic = String(req.body?.topic || inferTopic(title, body));
-    const delegateIds = pickDelegates(req.body?.delegates, 4);
+  const target = getUserByIdStmt.get(req.params.id);
+  if (!target) {
+    res.status(404).json({ error: "User not found" });
+    return;
+  }
 
-    const debate = await submitResolutionPayload({
-      user,
-      title,
-      body,
-      topic,
-      delegateIds,
-      userVote: req.body?.userVote || null,
-    });
+  db.prepare(`UPDATE users SET role = ?, updated_at = ? WHERE id = ?`).run(role, nowIso(), target.id);
+  recordModerationAction({ actor, action: "user.role", targetType: "user", targetId: target.id, details: { handle: target.handle, from: target.role, to: role } });
 
-    res.status(201).json(debate);
-  } catch (error) {
-    next(error);
-  }
+  res.json({ user: publicUser(getUserByIdStmt.get(target.id)) });
 });
 
-app.get("/v1/debates/:id", (req, res) => {
-  const debate = getDebateById(req.params.id);
-  if (!debate) {
-    res.status(404).json({ error: "Debate not found" });
+app.get("/v1/moderation/failed-debates", (req, res) => {
+  if (!requireRole(req, res, "moderator")) {
     return;
   }
-  res.json(debate);
-});
-
-app.get("/v1/debates/:id/messages", (req, res) => {
-  const limit = clamp(Number(req.query.limit) || 100, 1, 500);
-  const offset = Math.max(0, Number(req.query.offset) || 0);
 
   const items = db
     .prepare(`
       SELECT
-        id,
-        actor_type AS actorType,
-        actor_id AS actorId,
-        actor_name AS actorName,
-        stance,
-        content,
-        confidence,
-        created_at AS createdAt
-      FROM debate_messages
-      WHERE debate_id = ?
-      ORDER BY created_at ASC
-      LIMIT ? OFFSET ?
+        d.id,
+        r.title,
+        d.updated_at AS failedAt,
+        r.id AS resolutionId,
+        j.id AS jobId,
+        j.attempts,
+        j.last_error AS lastError
+      FROM debates d
+      JOIN resolutions r ON r.id = d.resolution_id
+      LEFT JOIN debate_jobs j ON j.id = (SELECT id FROM debate_jobs WHERE debate_id = d.id ORDER BY created_at DESC LIMIT 1)
+      WHERE d.status = 'failed'
+      ORDER BY d.updated_at DESC
+      LIMIT 100
     `)
-    .all(req.params.id, limit, offset);
+    .all();
 
-  res.json({ items, limit, offset });
+  res.json({ items });
 });
 
-app.post("/v1/debates/:id/human-vote", (req, res) => {
-  const user = getCurrentUser(req);
-  const debateId = req.params.id;
-  const debate = db.prepare(`SELECT id, verdict FROM debates WHERE id = ?`).get(debateId);
+app.post("/v1/moderation/debates/:id/rerun", async (req, res, next) => {
+  try {
+    const actor = requireRole(req, res, "moderator");
+    if (!actor) {
+      return;
+    }
 
-  if (!debate) {
-    res.status(404).json({ error: "Debate not found" });
-    return;
+    const rerun = rerunFailedDebate(req.params.id);
+    recordModerationAction({ actor, action: "debate.rerun", targetType: "debate", targetId: req.params.id, details: { jobId: rerun.jobId } });
+
+    await settleDebateJobs(rerun.debateId);
+    res.status(202).json(rerun);
+  } catch (error) {
+    sendModerationError(res, next, error);
+  }
+});
+
+function reviewScreeningDecision({ screeningId, actor, outcome }) {
+  const decision = db
+    .prepare(`
+      SELECT id, target_type AS targetType, target_id AS targetId, decision, review_outcome AS reviewOutcome
+      FROM screening_decisions
+      WHERE id = ?
+    `)
+    .get(screeningId);
+  if (!decision || decision.decision !== "quarantine" || !decision.targetId) {
+    throw moderationError("Quarantined submission not found", "SCREENING_NOT_FOUND");
+  }
+  if (decision.reviewOutcome) {
+    throw moderationError(`Submission was already ${decision.reviewOutcome}`, "SCREENING_ALREADY_REVIEWED");
   }
 
-  const vote = normalizeVote(req.body?.vote);
   const timestamp = nowIso();
+  let debate = null;
+  if (decision.targetType === "resolution") {
+    debate = db.prepare(`SELECT id FROM debates WHERE resolution_id = ? ORDER BY created_at DESC LIMIT 1`).get(decision.targetId);
+    if (outcome === "approved") {
+      db.prepare(`UPDATE resolutions SET status = 'submitted', updated_at = ? WHERE id = ?`).run(timestamp, decision.targetId);
+      if (debate) {
+        db.prepare(`UPDATE debates SET status = 'queued', updated_at = ? WHERE id = ?`).run(timestamp, debate.id);
+        const job = db.prepare(`SELECT id FROM debate_jobs WHERE debate_id = ? AND status = 'held'`).get(debate.id);
+        if (job) {
+          db.prepare(`UPDATE debate_jobs SET status = 'queued', updated_at = ? WHERE id = ?`).run(timestamp, job.id);
+          startDebateJob(debate.id, job.id);
+        }
+      }
+    } else {
+      db.prepare(`UPDATE resolutions SET status = 'rejected', updated_at = ? WHERE id = ?`).run(timestamp, decision.targetId);
+      if (debate) {
+        db.prepare(`UPDATE debates SET status = 'rejected', updated_at = ? WHERE id = ?`).run(timestamp, debate.id);
+        db.prepare(`UPDATE debate_jobs SET status = 'cancelled', updated_at = ? WHERE debate_id = ? AND status = 'held'`).run(timestamp, debate.id);
+      }
+    }
+  } else if (outcome === "approved") {
+    publishHumanArgument(decision.targetId);
+  } else {
+    db.prepare(`UPDATE human_arguments SET status = 'rejected' WHERE id = ?`).run(decision.targetId);
+  }
 
-  db.prepare(`
-    INSERT INTO human_votes (id, debate_id, user_id, vote, created_at)
-    VALUES (?, ?, ?, ?, ?)
-    ON CONFLICT(debate_id, user_id) DO UPDATE SET
-      vote = excluded.vote,
-      created_at = excluded.created_at
-  `).run(randomUUID(), debateId, user.id, vote, timestamp);
+  db.prepare(`UPDATE screening_decisions SET review_outcome = ?, reviewed_by = ?, reviewed_at = ? WHERE id = ?`).run(
+    outcome,
+    actor.id,
+    timestamp,
+    decision.id,
+  );
 
-  const aligned = vote === debate.verdict;
+  return { id: decision.id, targetType: decision.targetType, targetId: decision.targetId, debateId: debate?.id || null, reviewOutcome: outcome };
+}
 
-  emitDebateEvent(debateId, "human_vote", {
-    userId: user.id,
-    vote,
-    aligned,
-  });
+app.get("/v1/moderation/screening", (req, res) => {
+  if (!requireRole(req, res, "moderator")) {
+    return;
+  }
 
-  persistLeaderboardSnapshot("weekly");
-  persistLeaderboardSnapshot("monthly");
-  persistLeaderboardSnapshot("all_time");
+  const decision = ["allow", "quarantine", "reject"].includes(req.query.decision) ? req.query.decision : "quarantine";
+  const pending = req.query.pending !== "false";
+  const limit = Math.max(1, Math.min(200, Number(req.query.limit || 50)));
 
-  res.status(201).json({
-    debateId,
-    userId: user.id,
-    vote,
-    aligned,
-    createdAt: timestamp,
-  });
+  const items = db
+    .prepare(`
+      SELECT
+        s.id,
+        s.target_type AS targetType,
+        s.target_id AS targetId,
+        s.content,
+        s.decision,
+        s.reasons,
+        s.classifier,
+        s.review_outcome AS reviewOutcome,
+        s.reviewed_at AS reviewedAt,
+        s.created_at AS createdAt,
+        u.id AS userId,
+        u.handle AS userHandle
+      FROM screening_decisions s
+      LEFT JOIN users u ON u.id = s.user_id
+      WHERE s.decision = ? ${pending ? "AND s.review_outcome IS NULL" : ""}
+      ORDER BY s.created_at DESC
+      LIMIT ?
+    `)
+    .all(decision, limit)
+    .map((row) => ({ ...row, reasons: JSON.parse(row.reasons || "[]") }));
+
+  res.json({ decision, pending, items });
 });
 
-app.post("/v1/debates/:id/human-argument", (req, res) => {
-  const user = getCurrentUser(req);
-  const debateId = req.params.id;
-  const content = String(req.body?.content || "").trim();
-  const stanceInput = String(req.body?.stance || "neutral").trim().toLowerCase();
-  const stance = ["intelligent", "idiotic", "neutral"].includes(stanceInput) ? stanceInput : "neutral";
+app.post("/v1/moderation/screening/:id/approve", async (req, res, next) => {
+  try {
+    const actor = requireRole(req, res, "moderator");
+    if (!actor) {
+      return;
+    }
 
-  const exists = db.prepare(`SELECT id FROM debates WHERE id = ?`).get(debateId);
-  if (!exists) {
-    res.status(404).json({ error: "Debate not found" });
-    return;
-  }
+    const reviewed = reviewScreeningDecision({ screeningId: req.params.id, actor, outcome: "approved" });
+    recordModerationAction({
+      actor,
+      action: "screening.approve",
+      targetType: reviewed.targetType,
+      targetId: reviewed.targetId,
+      reason: String(req.body?.reason || "").trim(),
+      details: { screeningId: reviewed.id },
+    });
 
-  if (!content) {
-    res.status(400).json({ error: "content is required" });
-    return;
+    if (reviewed.debateId) {
+      await settleDebateJobs(reviewed.debateId);
+    }
+    res.json(reviewed);
+  } catch (error) {
+    sendModerationError(res, next, error);
   }
+});
 
-  const id = randomUUID();
-  const createdAt = nowIso();
-
-  db.prepare(`
-    INSERT INTO human_arguments (id, debate_id, user_id, stance, content, created_at)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `).run(id, debateId, user.id, stance, content, createdAt);
-
-  db.prepare(`
-    INSERT INTO debate_messages (id, debate_id, actor_type, actor_id, actor_name, stance, content, confidence, created_at)
-    VALUES (?, ?, 'human', ?, ?, ?, ?, NULL, ?)
-  `).run(randomUUID(), debateId, user.id, user.display_name, stance, content, createdAt);
-
-  const payload = {
-    id,
-    debateId,
-    userId: user.id,
-    userName: user.display_name,
-    stance,
-    content,
-    createdAt,
-  };
+app.post("/v1/moderation/screening/:id/reject", (req, res, next) => {
+  try {
+    const actor = requireRole(req, res, "moderator");
+    if (!actor) {
+      return;
+    }
 
-  emitDebateEvent(debateId, "human_argument", payload);
+    const reviewed = reviewScreeningDecision({ screeningId: req.params.id, actor, outcome: "rejected" });
+    recordModerationAction({
+      actor,
+      action: "screening.reject",
+      targetType: reviewed.targetType,
+      targetId: reviewed.targetId,
+      reason: String(req.body?.reason || "").trim(),
+      details: { screeningId: reviewed.id },
+    });
 
-  res.status(201).json(payload);
+    res.json(reviewed);
+  } catch (error) {
+    sendModerationError(res, next, error);
+  }
 });
 
-app.get("/v1/debates/:id/consensus", (req, res) => {
-  const row = db
+app.get("/v1/moderation/audit", (req, res) => {
+  if (!requireRole(req, res, "moderator")) {
+    return;
+  }
+
+  const limit = Math.max(1, Math.min(200, Number(req.query.limit || 50)));
+  const items = db
     .prepare(`
       SELECT
-        id AS debateId,
-        verdict,
-        intelligent_votes AS intelligentVotes,
-        idiotic_votes AS idioticVotes,
-        total_votes AS totalVotes,
-        intelligent_pct AS intelligentPct,
-        idiotic_pct AS idioticPct,
-        status,
-        updated_at AS updatedAt
-      FROM debates
-      WHERE id = ?
+        a.id,
+        a.action,
+        a.target_type AS targetType,
+        a.target_id AS targetId,
+        a.reason,
+        a.details,
+        a.created_at AS createdAt,
+        u.id AS actorUserId,
+        u.handle AS actorHandle
+      FROM moderation_audit_log a
+      LEFT JOIN users u ON u.id = a.actor_user_id
+      ORDER BY a.created_at DESC
+      LIMIT ?
     `)
-    .get(req.params.id);
-
-  if (!row) {
-    res.status(404).json({ error: "Debate not found" });
-    return;
-  }
+    .all(limit)
+    .map((row) => ({ ...row, details: JSON.parse(row.details || "{}") }));
 
-  res.json(row);
+  res.json({ items });
 });
 
-app.get("/v1/debates/:id/stream", (req, res) => {
-  const debateId = req.params.id;
-
-  const exists = db.prepare(`SELECT id FROM debates WHERE id = ?`).get(debateId);
-  if (!exists) {
-    res.status(404).json({ error: "Debate not found" });
+app.get("/v1/admin/costs", (req, res) => {
+  if (!requireRole(req, res, "admin")) {
     return;
   }
 
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.flushHeaders?.();
+  const days = clamp(Number(req.query.days) || 30, 1, 366);
+  const since = req.query.from ? String(req.query.from) : new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const until = req.query.to ? String(req.query.to) : nowIso();
+  const totalsSelect = `
+    COUNT(*) AS calls,
+    SUM(u.prompt_tokens) AS promptTokens,
+    SUM(u.completion_tokens) AS completionTokens,
+    ROUND(SUM(u.cost_usd), 6) AS costUsd,
+    SUM(CASE WHEN u.priced = 0 THEN 1 ELSE 0 END) AS unpricedCalls
+  `;
+
+  const totals = db
+    .prepare(`SELECT ${totalsSelect} FROM delegate_usage u WHERE u.created_at >= ? AND u.created_at <= ?`)
+    .get(since, until);
+
+  const byModel = db
+    .prepare(`
+      SELECT u.model_id AS modelId, dm.display_name AS displayName, u.served_by AS servedBy, ${totalsSelect}
+      FROM delegate_usage u
+      LEFT JOIN delegate_models dm ON dm.id = u.model_id
+      WHERE u.created_at >= ? AND u.created_at <= ?
+      GROUP BY u.model_id, u.served_by
+      ORDER BY costUsd DESC, calls DESC
+    `)
+    .all(since, until);
 
-  const send = (eventName, data) => {
-    res.write(`event: ${eventName}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
+  const byUser = db
+    .prepare(`
+      SELECT u.user_id AS userId, us.handle, ${totalsSelect}
+      FROM delegate_usage u
+      LEFT JOIN users us ON us.id = u.user_id
+      WHERE u.created_at >= ? AND u.created_at <= ?
+      GROUP BY u.user_id
+      ORDER BY costUsd DESC, calls DESC
+      LIMIT 100
+    `)
+    .all(since, until);
 
-  send("connected", { debateId, at: nowIso() });
+  const byPurpose = db
+    .prepare(`
+      SELECT u.purpose, ${totalsSelect}
+      FROM delegate_usage u
+      WHERE u.created_at >= ? AND u.created_at <= ?
+      GROUP BY u.purpose
+      ORDER BY costUsd DESC, calls DESC
+    `)
+    .all(since, until);
+
+  const byDay = db
+    .prepare(`
+      SELECT substr(u.created_at, 1, 10) AS day, ${totalsSelect}
+      FROM delegate_usage u
+      WHERE u.created_at >= ? AND u.created_at <= ?
+      GROUP BY day
+      ORDER BY day ASC
+    `)
+    .all(since, until);
+
+  res.json({
+    from: since,
+    to: until,
+    totals: {
+      calls: totals.calls || 0,
+      promptTokens: totals.promptTokens || 0,
+      completionTokens: totals.completionTokens || 0,
+      costUsd: totals.costUsd || 0,
+      unpricedCalls: totals.unpricedCalls || 0,
+    },
+    byModel,
+    byUser,
+    byPurpose,
+    byDay,
+    budgets: {
+      action: BUDGET_EXCEEDED_ACTION,
+      limits: SPENDING_BUDGETS,
+      global: getSpendingStatus(),
+    },
+  });
+});
 
-  const listener = (event) => {
-    send(event.type, event);
-  };
+app.get("/v1/admin/prompt-templates", (req, res) => {
+  if (!requireRole(req, res, "admin")) {
+    return;
+  }
 
-  const keepAlive = setInterval(() => {
-    send("ping", { at: nowIso() });
-  }, 15000);
+  res.json({ templates: listPromptTemplates(), experiment: getRunningPromptExperiment() });
+});
 
-  runtime.streamBus.on(`debate:${debateId}`, listener);
+app.post("/v1/admin/prompt-templates", (req, res, next) => {
+  const actor = requireRole(req, res, "admin");
+  if (!actor) {
+    return;
+  }
 
-  req.on("close", () => {
-    clearInterval(keepAlive);
-    runtime.streamBus.off(`debate:${debateId}`, listener);
-  });
+  try {
+    const template = createPromptTemplate({
+      label: req.body?.label,
+      systemTemplate: req.body?.systemTemplate,
+      userTemplate: req.body?.userTemplate,
+      notes: req.body?.notes,
+      activate: Boolean(req.body?.activate),
+      createdBy: actor.id,
+    });
+    res.status(201).json({ template });
+  } catch (error) {
+    if (error.code === "INVALID_PROMPT_TEMPLATE") {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
 });
 
-app.get("/v1/archive", (req, res) => {
-  const limit = clamp(Number(req.query.limit) || 20, 1, 100);
-  const offset = Math.max(0, Number(req.query.offset) || 0);
+app.get("/v1/admin/prompt-templates/report", (req, res) => {
+  if (!requireRole(req, res, "admin")) {
+    return;
+  }
 
-  const items = listArchive({
-    verdict: req.query.verdict ? String(req.query.verdict) : null,
-    topic: req.query.topic ? String(req.query.topic) : null,
-    delegate: req.query.delegate ? String(req.query.delegate) : null,
-    q: req.query.q ? String(req.query.q) : null,
-    dateFrom: req.query.date_from ? String(req.query.date_from) : null,
-    dateTo: req.query.date_to ? String(req.query.date_to) : null,
-    limit,
-    offset,
-  });
+  res.json({ variants: getPromptVariantReport() });
+});
 
-  res.json({ items, limit, offset });
+app.get("/v1/admin/prompt-templates/:version", (req, res) => {
+  if (!requireRole(req, res, "admin")) {
+    return;
+  }
+
+  const version = Number(req.params.version);
+  if (!selectPromptTemplateStmt.get(version)) {
+    res.status(404).json({ error: "Prompt template not found" });
+    return;
+  }
+  res.json({ template: getPromptTemplate(version) });
 });
 
-app.get("/v1/archive/facets", (_req, res) => {
-  res.json(getArchiveFacets());
+app.post("/v1/admin/prompt-templates/:version/activate", (req, res) => {
+  if (!requireRole(req, res, "admin")) {
+    return;
+  }
+
+  const template = activatePromptTemplate(Number(req.params.version));
+  if (!template) {
+    res.status(404).json({ error: "Prompt template not found" });
+    return;
+  }
+  res.json({ template });
 });
 
-app.get("/v1/archive/:id", (req, res) => {
-  const debate = getDebateById(req.params.id);
-  if (!debate) {
-    res.status(404).json({ error: "Archive item not found" });
+app.get("/v1/admin/prompt-experiments", (req, res) => {
+  if (!requireRole(req, res, "admin")) {
     return;
   }
-  res.json(debate);
+
+  const experiments = db
+    .prepare(`SELECT * FROM prompt_experiments ORDER BY created_at DESC LIMIT 50`)
+    .all()
+    .map(mapPromptExperiment);
+  res.json({ experiments });
 });
 
-app.get("/v1/archive/:id/transcript", (req, res) => {
-  const items = db
-    .prepare(`
-      SELECT
-        id,
-        actor_type AS actorType,
-        actor_id AS actorId,
-        actor_name AS actorName,
-        stance,
-        content,
-        confidence,
-        created_at AS createdAt
-      FROM debate_messages
-      WHERE debate_id = ?
-      ORDER BY created_at ASC
-    `)
-    .all(req.params.id);
+app.post("/v1/admin/prompt-experiments", (req, res, next) => {
+  const actor = requireRole(req, res, "admin");
+  if (!actor) {
+    return;
+  }
 
-  res.json({ items });
+  try {
+    const experiment = startPromptExperiment({ name: req.body?.name, variants: req.body?.variants, createdBy: actor.id });
+    res.status(201).json({ experiment });
+  } catch (error) {
+    if (error.code === "INVALID_PROMPT_EXPERIMENT") {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    if (error.code === "PROMPT_EXPERIMENT_RUNNING") {
+      res.status(409).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
 });
 
-app.get("/v1/archive/:id/votes", (req, res) => {
-  const delegateVotes = db
-    .prepare(`
-      SELECT
-        dv.id,
-        dv.model_id AS modelId,
-        dm.display_name AS displayName,
-        dm.provider,
-        dv.vote,
-        dv.confidence,
-        dv.created_at AS createdAt,
-        dv.error
-      FROM delegate_votes dv
-      LEFT JOIN delegate_models dm ON dm.id = dv.model_id
-      WHERE dv.debate_id = ?
-      ORDER BY dv.created_at ASC
-    `)
-    .all(req.params.id);
+app.post("/v1/admin/prompt-experiments/:id/stop", (req, res) => {
+  if (!requireRole(req, res, "admin")) {
+    return;
+  }
 
-  const humanVotes = db
-    .prepare(`
-      SELECT
-        hv.id,
-        hv.user_id AS userId,
-        u.display_name AS userName,
-        hv.vote,
-        hv.created_at AS createdAt
-      FROM human_votes hv
-      JOIN users u ON u.id = hv.user_id
-      WHERE hv.debate_id = ?
-      ORDER BY hv.created_at ASC
-    `)
-    .all(req.params.id);
+  const experiment = stopPromptExperiment(req.params.id);
+  if (!experiment) {
+    res.status(404).json({ error: "Prompt experiment not found" });
+    return;
+  }
+  res.json({ experiment });
+});
 
-  res.json({ delegateVotes, humanVotes });
+app.get("/v1/admin/prompt-experiments/:id/report", (req, res) => {
+  if (!requireRole(req, res, "admin")) {
+    return;
+  }
+
+  const experiment = mapPromptExperiment(db.prepare(`SELECT * FROM prompt_experiments WHERE id = ?`).get(req.params.id));
+  if (!experiment) {
+    res.status(404).json({ error: "Prompt experiment not found" });
+    return;
+  }
+  res.json({ experiment, variants: getPromptVariantReport({ experimentId: experiment.id }) });
 });
 
 app.get("/v1/me/profile", (req, res) => {
-  const user = getCurrentUser(req);
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
+
   const stats = getUserStats(user.id, "all_time");
 
   res.json({
-    user: {
-      id: user.id,
-      handle: user.handle,
-      displayName: user.display_name,
-      role: user.role,
-    },
+    user: publicUser(user),
     stats,
   });
 });
 
-app.get("/v1/me/submissions", (req, res) => {
-  const user = getCurrentUser(req);
+// Both profile listings page on the server: `sort`, `offset` or `cursor`,
+// `q` (title/body substring) and a `total` for page numbers.
+app.get("/v1/me/submissions", (req, res, next) => {
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
+
   const limit = clamp(Number(req.query.limit) || 30, 1, 100);
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  const where = [`r.author_user_id = ?`];
+  const params = [user.id];
+
+  // `status=draft` lists drafts, `status=published` everything else.
+  if (req.query.status === "draft") {
+    where.push(`r.status = 'draft'`);
+  } else if (req.query.status === "published") {
+    where.push(`r.status != 'draft'`);
+  }
+  if (req.query.q) {
+    where.push(`(r.title LIKE ? OR r.body LIKE ?)`);
+    params.push(`%${req.query.q}%`, `%${req.query.q}%`);
+  }
 
-  const items = db
-    .prepare(`
-      SELECT
+  try {
+    const sort = parseListingSort(req.query.sort);
+    const page = queryListingPage({
+      select: `
         r.id,
         r.title,
         r.body,
@@ -2020,50 +7745,101 @@ app.get("/v1/me/submissions", (req, res) => {
         d.verdict,
         d.total_votes AS totalVotes,
         d.intelligent_pct AS intelligentPct,
-        d.idiotic_pct AS idioticPct
-      FROM resolutions r
-      LEFT JOIN debates d ON d.resolution_id = r.id
-      WHERE r.author_user_id = ?
-      ORDER BY r.created_at DESC
-      LIMIT ?
-    `)
-    .all(user.id, limit);
+        d.idiotic_pct AS idioticPct`,
+      from: `resolutions r LEFT JOIN debates d ON d.resolution_id = r.id`,
+      where,
+      params,
+      order: debateSortOrders("r.created_at")[sort],
+      idExpr: "r.id",
+      limit,
+      offset,
+      cursor: req.query.cursor ? String(req.query.cursor) : null,
+    });
 
-  res.json({ items });
+    res.json({ items: page.rows, total: page.total, sort, limit, offset, nextCursor: page.nextCursor, prevCursor: page.prevCursor });
+  } catch (error) {
+    sendListingError(res, next, error);
+  }
 });
 
-app.get("/v1/me/votes", (req, res) => {
-  const user = getCurrentUser(req);
+app.get("/v1/me/votes", (req, res, next) => {
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
+
   const limit = clamp(Number(req.query.limit) || 100, 1, 200);
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  const where = [`hv.user_id = ?`];
+  const params = [user.id];
 
-  const items = db
-    .prepare(`
-      SELECT
+  if (req.query.q) {
+    where.push(`(r.title LIKE ? OR r.body LIKE ?)`);
+    params.push(`%${req.query.q}%`, `%${req.query.q}%`);
+  }
+
+  try {
+    // `aligned` puts votes that matched the verdict first, newest first within each group.
+    const sort = parseListingSort(req.query.sort, [...LISTING_SORTS, "aligned"]);
+    const orders = {
+      ...debateSortOrders("hv.created_at"),
+      aligned: { expr: `CASE WHEN hv.vote = d.verdict THEN 1 ELSE 0 END || '|' || hv.created_at`, ascending: false },
+    };
+    const page = queryListingPage({
+      select: `
         hv.id,
         hv.vote,
         hv.created_at AS createdAt,
         d.id AS debateId,
         d.verdict,
         d.total_votes AS totalVotes,
-        r.title
-      FROM human_votes hv
-      JOIN debates d ON d.id = hv.debate_id
-      JOIN resolutions r ON r.id = d.resolution_id
-      WHERE hv.user_id = ?
-      ORDER BY hv.created_at DESC
-      LIMIT ?
-    `)
-    .all(user.id, limit)
-    .map((row) => ({
-      ...row,
-      aligned: row.vote === row.verdict,
-    }));
+        r.title`,
+      from: `
+        human_votes hv
+        JOIN debates d ON d.id = hv.debate_id
+        JOIN resolutions r ON r.id = d.resolution_id`,
+      where,
+      params,
+      order: orders[sort],
+      idExpr: "hv.id",
+      limit,
+      offset,
+      cursor: req.query.cursor ? String(req.query.cursor) : null,
+    });
 
-  res.json({ items });
+    res.json({
+      items: page.rows.map((row) => ({
+        ...row,
+        aligned: row.vote === row.verdict,
+      })),
+      total: page.total,
+      sort,
+      limit,
+      offset,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    });
+  } catch (error) {
+    sendListingError(res, next, error);
+  }
+});
+
+app.get("/v1/me/recommended", (req, res) => {
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
+
+  const limit = clamp(Number(req.query.limit) || 6, 1, 20);
+  res.json(listRecommendedDebates(user.id, { limit }));
 });
 
 app.get("/v1/me/alignment", (req, res) => {
-  const user = getCurrentUser(req);
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
+
   const stats = getUserStats(user.id, "all_time");
   const weekly = getUserStats(user.id, "weekly");
   const monthly = getUserStats(user.id, "monthly");
@@ -2076,7 +7852,10 @@ app.get("/v1/me/alignment", (req, res) => {
 });
 
 app.get("/v1/me/stats", (req, res) => {
-  const user = getCurrentUser(req);
+  const user = requireUser(req, res);
+  if (!user) {
+    return;
+  }
 
   const timeline = db
     .prepare(`
@@ -2137,6 +7916,59 @@ app.get("/v1/leaderboard/history", (req, res) => {
   res.json({ snapshots });
 });
 
+app.get("/v1/leaderboard/delegates", (req, res) => {
+  const periodRaw = String(req.query.period || "weekly").toLowerCase();
+  const period = ["weekly", "monthly", "all_time"].includes(periodRaw) ? periodRaw : "weekly";
+  const limit = clamp(Number(req.query.limit) || 100, 1, 200);
+
+  const items = computeDelegateLeaderboard(period, limit);
+  res.json({ period, items, updatedAt: nowIso() });
+});
+
+app.get("/v1/leaderboard/delegates/history", (req, res) => {
+  const periodRaw = String(req.query.period || "weekly").toLowerCase();
+  const period = ["weekly", "monthly", "all_time"].includes(periodRaw) ? periodRaw : "weekly";
+  const limit = clamp(Number(req.query.limit) || 12, 1, 100);
+
+  const snapshots = db
+    .prepare(`
+      SELECT id, period, created_at AS createdAt
+      FROM delegate_leaderboard_snapshots
+      WHERE period = ?
+      ORDER BY created_at DESC
+      LIMIT ?
+    `)
+    .all(period, limit);
+
+  res.json({ snapshots });
+});
+
+app.get("/v1/delegates/*modelId/rank-history", (req, res) => {
+  const modelId = [].concat(req.params.modelId).join("/");
+
+  const rows = db
+    .prepare(`
+      SELECT
+        ls.period,
+        ls.created_at AS createdAt,
+        le.rank,
+        le.alignment_score AS alignmentScore,
+        le.total_votes AS totalVotes,
+        le.people_matches AS peopleMatches,
+        le.people_comparable AS peopleComparable,
+        le.calibration_score AS calibrationScore,
+        le.swing_votes AS swingVotes
+      FROM delegate_leaderboard_entries le
+      JOIN delegate_leaderboard_snapshots ls ON ls.id = le.snapshot_id
+      WHERE le.model_id = ?
+      ORDER BY ls.created_at DESC
+      LIMIT 100
+    `)
+    .all(modelId);
+
+  res.json({ items: rows });
+});
+
 app.get("/v1/users/:id/rank-history", (req, res) => {
   const userId = req.params.id;
 
@@ -2199,7 +8031,7 @@ app.get("/api/agents", async (req, res, next) => {
 });
 
 app.get("/api/archive", (req, res) => {
-  const items = listArchive({
+  const { items } = listArchive({
     limit: clamp(Number(req.query.limit) || 50, 1, 200),
     offset: Math.max(0, Number(req.query.offset) || 0),
   });
@@ -2207,9 +8039,13 @@ app.get("/api/archive", (req, res) => {
   res.json({ items });
 });
 
-app.post("/api/debate", async (req, res, next) => {
+app.post("/api/debate", rateLimit("submissions"), async (req, res, next) => {
   try {
-    const user = getCurrentUser(req);
+    const user = requireUser(req, res);
+    if (!user) {
+      return;
+    }
+
     const title = String(req.body?.title || "").trim();
     const body = String(req.body?.resolution || req.body?.body || "").trim();
 
@@ -2221,17 +8057,42 @@ app.post("/api/debate", async (req, res, next) => {
     const topic = String(req.body?.topic || inferTopic(title, body));
     const delegateIds = pickDelegates(req.body?.delegates, 4);
 
-    const debate = await submitResolutionPayload({
+    const similar = findSimilarResolutions({ title, body });
+    if (DUPLICATE_BLOCK_SIMILARITY > 0 && similar.some((row) => row.similarity >= DUPLICATE_BLOCK_SIMILARITY)) {
+      sendDuplicateRejection(res, similar);
+      return;
+    }
+
+    const screening = await screenContent({ targetType: "resolution", text: `${title}\n\n${body}`, user });
+    if (screening.decision === "reject") {
+      sendScreeningRejection(res, screening);
+      return;
+    }
+
+    const debate = submitResolutionPayload({
       user,
       title,
       body,
       topic,
       delegateIds,
+      personaInput: req.body?.personas,
       userVote: req.body?.userVote || null,
+      rebuttalRounds: parseRebuttalRounds(req.body?.rebuttalRounds),
+      consensusRule: parseConsensusRule(req.body?.consensusRule),
+      consensusThreshold: parseConsensusThreshold(req.body?.consensusThreshold),
+      humanWeight: parseHumanWeight(req.body?.humanWeight),
+      allowSubstitutes:
+        req.body?.allowSubstitutes === undefined ? DELEGATE_SUBSTITUTES_DEFAULT : Boolean(req.body.allowSubstitutes),
+      screening,
     });
 
-    res.status(201).json(debate);
+    await settleDebateJobs(debate.id);
+    res.status(202).json({ ...debate, similar });
   } catch (error) {
+    if (error.code === "BUDGET_EXCEEDED") {
+      sendBudgetExceeded(res, error);
+      return;
+    }
     next(error);
   }
 });
@@ -2252,10 +8113,22 @@ app.get("/archive", (_req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, "archive.html"));
 });
 
+app.get("/login", (_req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "login.html"));
+});
+
 app.get("/profile", (_req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, "profile.html"));
 });
 
+app.get("/delegates/*modelId", (_req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "delegate.html"));
+});
+
+app.get("/moderation", (_req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, "moderation.html"));
+});
+
 app.get("/leaderboard", (_req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, "leaderboard.html"));
 });
@@ -2271,15 +8144,23 @@ app.use((error, _req, res, _next) => {
 });
 
 async function start() {
+  if (!process.env.SESSION_SECRET) {
+    console.warn("SESSION_SECRET is not set; using a throwaway key, so sessions end on restart");
+  }
+  if (AUTH_DEV_HEADERS) {
+    console.warn("AUTH_DEV_HEADERS is enabled; x-user-* headers are trusted as identity");
+  }
+
   await bootstrapFromLegacyArchive();
+  backfillVerdictTallies();
+  backfillResolutionTags();
   await syncDelegates(20);
+  resumeDebateJobs();
 
   if (!runtime.schedulerHandle && !IS_VERCEL) {
     runtime.schedulerHandle = setInterval(() => {
       try {
-        persistLeaderboardSnapshot("weekly");
-        persistLeaderboardSnapshot("monthly");
-        persistLeaderboardSnapshot("all_time");
+        persistLeaderboardSnapshots();
       } catch (error) {
         console.error("Leaderboard snapshot job failed", error);
       }
@@ -2293,7 +8174,33 @@ async function start() {
   return server;
 }
 
+// One-off bootstrap for the first admin, keyed on the account id that
+// GET /v1/auth/me returns: `npm run promote-admin -- <userId>`. Later role
+// changes go through PUT /v1/moderation/users/:id/role.
+function promoteAdmin(userId) {
+  const user = getUserByIdStmt.get(userId);
+  if (!user) {
+    const error = new Error(`No user with id "${userId}"`);
+    error.code = "USER_NOT_FOUND";
+    throw error;
+  }
+
+  db.prepare(`UPDATE users SET role = 'admin', updated_at = ? WHERE id = ?`).run(nowIso(), user.id);
+  return getUserByIdStmt.get(user.id);
+}
+
 if (require.main === module) {
+  if (process.argv[2] === "promote-admin") {
+    try {
+      const user = promoteAdmin(String(process.argv[3] || "").trim());
+      console.log(`${user.handle} (${user.id}) is now an admin`);
+      process.exit(0);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+
   start().catch((error) => {
     console.error("Failed to start server", error);
     process.exit(1);
@@ -2301,3 +8208,5 @@ if (require.main === module) {
 }
 
 module.exports = app;
+// Internals covered by the node:test suite in test/.
+module.exports.internals = { db, computeConsensus, parseDelegateOutput, queryListingPage };
@@ -0,0 +1,81 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, describe, test } = require("node:test");
+
+const dbPath = path.join(os.tmpdir(), `icracy-consensus-${process.pid}.db`);
+process.env.DB_PATH = dbPath;
+process.env.SESSION_SECRET = "test-secret";
+
+const { db, computeConsensus } = require("../server").internals;
+
+after(() => {
+  db.close();
+  for (const suffix of ["", "-wal", "-shm"]) {
+    fs.rmSync(`${dbPath}${suffix}`, { force: true });
+  }
+});
+
+const seat = (vote, confidence = 70, extra = {}) => ({ vote, confidence, error: null, ...extra });
+
+describe("computeConsensus", () => {
+  test("majority counts one vote per delegate", () => {
+    const result = computeConsensus([seat("Intelligent"), seat("Intelligent"), seat("Intelligent"), seat("Idiotic")]);
+    assert.equal(result.verdict, "Intelligent");
+    assert.equal(result.rule, "majority");
+    assert.equal(result.threshold, null);
+    assert.deepEqual([result.intelligentVotes, result.idioticVotes, result.totalVotes], [3, 1, 4]);
+    assert.deepEqual([result.intelligentPct, result.idioticPct], [75, 25]);
+  });
+
+  test("majority ties are broken by summed confidence", () => {
+    const result = computeConsensus([seat("Intelligent", 60), seat("Idiotic", 90)]);
+    assert.equal(result.verdict, "Idiotic");
+    assert.equal(result.intelligentPct, 50);
+  });
+
+  test("seats that errored do not vote", () => {
+    const result = computeConsensus([seat("Intelligent"), seat("Idiotic", 70, { error: "timeout" }), seat("Idiotic", 70, { error: "timeout" })]);
+    assert.equal(result.verdict, "Intelligent");
+    assert.equal(result.totalVotes, 1);
+  });
+
+  test("supermajority is Hung below the threshold", () => {
+    const seats = [seat("Intelligent"), seat("Intelligent"), seat("Idiotic")];
+    assert.equal(computeConsensus(seats, { rule: "supermajority", threshold: 67 }).verdict, "Intelligent");
+
+    const hung = computeConsensus(seats, { rule: "supermajority", threshold: 70 });
+    assert.equal(hung.verdict, "Hung");
+    assert.equal(hung.threshold, 70);
+  });
+
+  test("confidence weighting can outvote a head count", () => {
+    const result = computeConsensus([seat("Intelligent", 30), seat("Intelligent", 30), seat("Idiotic", 90)], { rule: "confidence" });
+    assert.equal(result.verdict, "Idiotic");
+    assert.deepEqual([result.intelligentWeight, result.idioticWeight], [60, 90]);
+    assert.equal(result.idioticPct, 60);
+  });
+
+  test("equal weights are Hung under a weighted rule", () => {
+    const result = computeConsensus([seat("Intelligent", 60), seat("Idiotic", 60)], { rule: "confidence" });
+    assert.equal(result.verdict, "Hung");
+  });
+
+  test("rank weighting favours higher-ranked delegates", () => {
+    const result = computeConsensus([seat("Idiotic", 70, { rank: 1 }), seat("Intelligent", 70, { rank: 2 }), seat("Intelligent", 70, { rank: 3 })], {
+      rule: "rank",
+    });
+    assert.equal(result.verdict, "Idiotic");
+    assert.deepEqual([result.idioticWeight, result.intelligentWeight], [1, 0.833]);
+  });
+
+  test("a recorded weight wins over recomputing it", () => {
+    const result = computeConsensus(
+      [seat("Idiotic", 70, { rank: 1, consensusWeight: 0.2 }), seat("Intelligent", 70, { rank: 4, consensusWeight: 0.25 })],
+      { rule: "rank" },
+    );
+    assert.equal(result.verdict, "Intelligent");
+    assert.deepEqual([result.idioticWeight, result.intelligentWeight], [0.2, 0.25]);
+  });
+});
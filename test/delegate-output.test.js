@@ -0,0 +1,63 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, describe, test } = require("node:test");
+
+const dbPath = path.join(os.tmpdir(), `icracy-delegate-output-${process.pid}.db`);
+process.env.DB_PATH = dbPath;
+process.env.SESSION_SECRET = "test-secret";
+
+const { db, parseDelegateOutput } = require("../server").internals;
+
+after(() => {
+  db.close();
+  for (const suffix of ["", "-wal", "-shm"]) {
+    fs.rmSync(`${dbPath}${suffix}`, { force: true });
+  }
+});
+
+describe("parseDelegateOutput", () => {
+  test("a schema-shaped JSON reply parses strictly", () => {
+    const result = parseDelegateOutput(
+      JSON.stringify({ vote: "Idiotic", confidence: 82, argument: "It costs more than it saves.", rebuttal: "Savings may come later." }),
+    );
+    assert.deepEqual(result, {
+      vote: "Idiotic",
+      confidence: 82,
+      argument: "It costs more than it saves.",
+      rebuttal: "Savings may come later.",
+      parse: "strict",
+    });
+  });
+
+  test("JSON wrapped in prose or a code fence still parses strictly", () => {
+    const result = parseDelegateOutput('Here is my answer:\n```json\n{"vote":"Intelligent","confidence":64,"argument":"Sound.","rebuttal":""}\n```');
+    assert.equal(result.parse, "strict");
+    assert.equal(result.vote, "Intelligent");
+    assert.equal(result.confidence, 64);
+  });
+
+  test("confidence is clamped to 1-100", () => {
+    assert.equal(parseDelegateOutput('{"vote":"Idiotic","confidence":-20,"argument":"x"}').confidence, 1);
+    assert.equal(parseDelegateOutput('{"vote":"Idiotic","confidence":250,"argument":"x"}').confidence, 100);
+  });
+
+  test("a vote buried in a JSON field or free text is recovered by regex", () => {
+    const buried = parseDelegateOutput('{"verdict":"I would say idiotic overall","argument":"Too costly."}');
+    assert.equal(buried.parse, "regex");
+    assert.equal(buried.vote, "Idiotic");
+    assert.equal(buried.confidence, 55);
+
+    const prose = parseDelegateOutput("My vote is Idiotic, with 70% confidence, because it ignores maintenance.");
+    assert.equal(prose.parse, "regex");
+    assert.equal(prose.vote, "Idiotic");
+    assert.equal(prose.confidence, 70);
+    assert.equal(prose.rebuttal, "");
+  });
+
+  test("a reply without any vote is defaulted", () => {
+    const result = parseDelegateOutput("   ");
+    assert.deepEqual(result, { vote: "Intelligent", confidence: 55, argument: "No argument returned.", rebuttal: "", parse: "defaulted" });
+  });
+});
@@ -0,0 +1,112 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, describe, test } = require("node:test");
+
+const dbPath = path.join(os.tmpdir(), `icracy-listing-page-${process.pid}.db`);
+process.env.DB_PATH = dbPath;
+process.env.SESSION_SECRET = "test-secret";
+
+const { db, queryListingPage } = require("../server").internals;
+
+after(() => {
+  db.close();
+  for (const suffix of ["", "-wal", "-shm"]) {
+    fs.rmSync(`${dbPath}${suffix}`, { force: true });
+  }
+});
+
+// Scores repeat so pages have to break ties on the id.
+const SCORES = { a: 5, b: 3, c: 5, d: 1, e: 3, f: 5, g: 2 };
+const BY_SCORE_DESC = ["f", "c", "a", "e", "b", "g", "d"];
+
+const page = (options = {}) =>
+  queryListingPage({
+    select: "id",
+    from: "listing_items",
+    where: [],
+    params: [],
+    order: { expr: "score", ascending: false },
+    idExpr: "id",
+    limit: 3,
+    ...options,
+  });
+const ids = (result) => result.rows.map((row) => row.id);
+
+describe("queryListingPage", () => {
+  before(() => {
+    db.exec(`CREATE TABLE listing_items (id TEXT PRIMARY KEY, score INTEGER NOT NULL)`);
+    const insert = db.prepare(`INSERT INTO listing_items (id, score) VALUES (?, ?)`);
+    for (const [id, score] of Object.entries(SCORES)) {
+      insert.run(id, score);
+    }
+  });
+
+  test("the first page has a next cursor but no previous one", () => {
+    const first = page();
+    assert.deepEqual(ids(first), ["f", "c", "a"]);
+    assert.equal(first.total, 7);
+    assert.equal(first.prevCursor, null);
+    assert.ok(first.nextCursor);
+  });
+
+  test("next cursors walk every row once, breaking ties on the id", () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const result = page({ cursor });
+      seen.push(...ids(result));
+      cursor = result.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, BY_SCORE_DESC);
+  });
+
+  test("previous cursors page back to the same rows in display order", () => {
+    const second = page({ cursor: page().nextCursor });
+    assert.deepEqual(ids(second), ["e", "b", "g"]);
+
+    const back = page({ cursor: second.prevCursor });
+    assert.deepEqual(ids(back), ["f", "c", "a"]);
+    assert.equal(back.prevCursor, null);
+    assert.ok(back.nextCursor);
+  });
+
+  test("the last page has no next cursor", () => {
+    const third = page({ cursor: page({ cursor: page().nextCursor }).nextCursor });
+    assert.deepEqual(ids(third), ["d"]);
+    assert.equal(third.nextCursor, null);
+    assert.ok(third.prevCursor);
+  });
+
+  test("rows inserted ahead of a cursor do not shift the next page", () => {
+    const first = page();
+    db.prepare(`INSERT INTO listing_items (id, score) VALUES ('h', 9)`).run();
+    try {
+      assert.deepEqual(ids(page({ cursor: first.nextCursor })), ["e", "b", "g"]);
+      assert.deepEqual(ids(page({ offset: 3 })), ["a", "e", "b"]);
+    } finally {
+      db.prepare(`DELETE FROM listing_items WHERE id = 'h'`).run();
+    }
+  });
+
+  test("ascending order and filters apply to cursors and the total", () => {
+    const options = { where: ["score >= ?"], params: [3], order: { expr: "score", ascending: true }, limit: 2 };
+    const first = page(options);
+    assert.equal(first.total, 5);
+    assert.deepEqual(ids(first), ["b", "e"]);
+    assert.deepEqual(ids(page({ ...options, cursor: first.nextCursor })), ["a", "c"]);
+  });
+
+  test("offset paging reports a previous page", () => {
+    const result = page({ offset: 3 });
+    assert.deepEqual(ids(result), ["e", "b", "g"]);
+    assert.ok(result.prevCursor);
+  });
+
+  test("a malformed cursor is rejected", () => {
+    for (const cursor of ["not-a-cursor", Buffer.from(JSON.stringify({ k: 1 })).toString("base64url")]) {
+      assert.throws(() => page({ cursor }), { code: "INVALID_LISTING_QUERY", message: "Invalid cursor" });
+    }
+  });
+});
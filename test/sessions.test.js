@@ -0,0 +1,110 @@
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const { createHmac } = require("node:crypto");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, describe, test } = require("node:test");
+
+const dbPath = path.join(os.tmpdir(), `icracy-sessions-${process.pid}.db`);
+process.env.DB_PATH = dbPath;
+process.env.SESSION_SECRET = "test-secret";
+delete process.env.AUTH_DEV_HEADERS;
+
+const app = require("../server");
+const { db } = app.internals;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  db.close();
+  for (const suffix of ["", "-wal", "-shm"]) {
+    fs.rmSync(`${dbPath}${suffix}`, { force: true });
+  }
+});
+
+function request(method, route, { token, cookie, headers = {}, body } = {}) {
+  return fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      ...(body ? { "content-type": "application/json" } : {}),
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+      ...(cookie ? { cookie } : {}),
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+}
+
+async function currentUser(options) {
+  const response = await request("GET", "/v1/auth/me", options);
+  assert.equal(response.status, 200);
+  return (await response.json()).user;
+}
+
+async function signup(handle) {
+  const response = await request("POST", "/v1/auth/signup", { body: { handle, password: "correct-horse-battery" } });
+  assert.equal(response.status, 201);
+  return { ...(await response.json()), cookie: response.headers.get("set-cookie").split(";")[0] };
+}
+
+describe("session verification", () => {
+  test("a signed token identifies the user as a bearer token or a cookie", async () => {
+    const { user, token, cookie } = await signup("session-alice");
+    assert.equal((await currentUser({ token })).id, user.id);
+    assert.equal((await currentUser({ cookie })).id, user.id);
+  });
+
+  test("a tampered or foreign signature is rejected", async () => {
+    const { token } = await signup("session-bob");
+    const raw = token.slice(0, token.lastIndexOf("."));
+    const foreign = `${raw}.${createHmac("sha256", "other-secret").update(raw).digest("base64url")}`;
+
+    assert.equal(await currentUser({ token: `${token}x` }), null);
+    assert.equal(await currentUser({ token: foreign }), null);
+    assert.equal(await currentUser({ token: raw }), null);
+  });
+
+  test("an expired session is rejected and removed", async () => {
+    const { user, token } = await signup("session-carol");
+    db.prepare(`UPDATE user_sessions SET expires_at = ? WHERE user_id = ?`).run(new Date(Date.now() - 1000).toISOString(), user.id);
+
+    assert.equal(await currentUser({ token }), null);
+    assert.equal(db.prepare(`SELECT COUNT(*) AS count FROM user_sessions WHERE user_id = ?`).get(user.id).count, 0);
+  });
+
+  test("logging out ends the session", async () => {
+    const { token } = await signup("session-dave");
+    assert.equal((await request("POST", "/v1/auth/logout", { token })).status, 204);
+    assert.equal(await currentUser({ token }), null);
+  });
+
+  test("identity headers are ignored without AUTH_DEV_HEADERS", async () => {
+    const { user } = await signup("session-erin");
+    assert.equal(await currentUser({ headers: { "x-user-id": user.id } }), null);
+  });
+
+  test("the server refuses to load without SESSION_SECRET outside dev mode", () => {
+    const env = { ...process.env, DB_PATH: `${dbPath}-nosecret` };
+    delete env.SESSION_SECRET;
+    delete env.AUTH_DEV_HEADERS;
+    const result = spawnSync(process.execPath, ["-e", 'require("./server")'], {
+      cwd: path.join(__dirname, ".."),
+      env,
+      encoding: "utf8",
+      timeout: 30000,
+    });
+    fs.rmSync(`${dbPath}-nosecret`, { force: true });
+
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /SESSION_SECRET is not set/);
+  });
+});